@@ -0,0 +1,56 @@
+/**
+ * aiFailure.ts
+ *
+ * Reason codes for failed executions, stored on the execution record
+ * (status "failed") so failures are observable without reading logs.
+ */
+
+export type FailureReason =
+  | "ai_timeout" // no answer within the 15s abort
+  | "ai_http_5xx" // provider error
+  | "ai_http_4xx" // bad key, quota, malformed request
+  | "ai_network" // fetch itself failed
+  | "ai_empty" // nothing usable came back
+  | "ai_not_configured" // no API key or incomplete provider config
+  | "missing_prompt" // ai reminder without an aiPrompt
+  | "unknown";
+
+/**
+ * Error carrying its reason code, thrown by the AI call and by
+ * executeReminder's own checks.
+ */
+export class ExecutionFailure extends Error {
+  constructor(
+    public readonly reason: FailureReason,
+    message: string,
+  ) {
+    super(message);
+    this.name = "ExecutionFailure";
+  }
+}
+
+/**
+ * Maps any thrown value to a reason code.
+ */
+export function failureReason(error: unknown): FailureReason {
+  if (error instanceof ExecutionFailure) return error.reason;
+
+  // AbortController fires this when the timeout hits mid-fetch
+  if (error instanceof Error && error.name === "AbortError") {
+    return "ai_timeout";
+  }
+
+  return "unknown";
+}
+
+/**
+ * The provider itself is down or unreachable — not a problem with one
+ * prompt or our config. Counted by the scheduler's circuit breaker.
+ */
+export function isProviderFailure(reason: FailureReason): boolean {
+  return (
+    reason === "ai_timeout" ||
+    reason === "ai_http_5xx" ||
+    reason === "ai_network"
+  );
+}
@@ -0,0 +1,84 @@
+/**
+ * aiProvider.ts
+ *
+ * Which model a draft comes from, chosen by environment config:
+ *
+ *   AI_PROVIDER=openai             (default) OpenAI Responses API
+ *                                  needs OPENAI_API_KEY
+ *   AI_PROVIDER=openai_compatible  any Chat Completions server at
+ *                                  AI_BASE_URL (Ollama, vLLM, …),
+ *                                  AI_API_KEY optional
+ *   AI_PROVIDER=stub               deterministic fake drafts seeded by
+ *                                  AI_STUB_SEED — no network, no key
+ *
+ * AI_MODEL overrides the model (required for openai_compatible).
+ * Set these in functions/.env.local to run the emulator on the stub.
+ *
+ * Providers only make the request and pull the text and token counts
+ * out — timeout, logging, pricing and the empty-output check stay in
+ * callAIOnce.
+ */
+
+import { ExecutionFailure } from "./aiFailure";
+import {
+  openAIProvider,
+  openAICompatibleProvider,
+} from "./providers/openAIProvider";
+import { stubProvider } from "./providers/stubProvider";
+
+// token counts are null when the provider didn't report them
+export interface AIGeneration {
+  text: string;
+  inputTokens: number | null;
+  outputTokens: number | null;
+}
+
+export interface AIProvider {
+  name: string;
+  model: string;
+  generate(prompt: string, signal: AbortSignal): Promise<AIGeneration>;
+}
+
+const DEFAULT_OPENAI_MODEL = "gpt-4.1-mini";
+const DEFAULT_STUB_SEED = "remindr";
+
+// read per call, so a config change never needs a cold start to show up
+export function resolveAIProvider(
+  env: NodeJS.ProcessEnv = process.env,
+): AIProvider {
+  const provider = (env.AI_PROVIDER || "openai").trim().toLowerCase();
+  const model = env.AI_MODEL?.trim();
+
+  if (provider === "stub") {
+    return stubProvider(env.AI_STUB_SEED || DEFAULT_STUB_SEED);
+  }
+
+  if (provider === "openai_compatible") {
+    const baseUrl = env.AI_BASE_URL?.trim();
+
+    if (!baseUrl || !model) {
+      throw new ExecutionFailure(
+        "ai_not_configured",
+        "AI_BASE_URL and AI_MODEL are required for openai_compatible",
+      );
+    }
+
+    return openAICompatibleProvider(baseUrl, model, env.AI_API_KEY);
+  }
+
+  if (provider === "openai") {
+    if (!env.OPENAI_API_KEY) {
+      throw new ExecutionFailure(
+        "ai_not_configured",
+        "OPENAI_API_KEY environment variable not set",
+      );
+    }
+
+    return openAIProvider(env.OPENAI_API_KEY, model || DEFAULT_OPENAI_MODEL);
+  }
+
+  throw new ExecutionFailure(
+    "ai_not_configured",
+    `Unknown AI_PROVIDER "${provider}"`,
+  );
+}
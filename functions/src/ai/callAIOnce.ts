@@ -1,16 +1,34 @@
-// one call, one draft — no retries, no fallbacks, fail fast
-export async function callAIOnce(prompt: string): Promise<string> {
-  const apiKey = process.env.OPENAI_API_KEY;
+import { ExecutionFailure } from "./aiFailure";
+import { resolveAIProvider } from "./aiProvider";
+import { estimateCostUSD } from "./pricing";
 
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY environment variable not set");
-  }
+// what one call used — stored on the execution record and rolled up daily
+export interface AIUsage {
+  provider: string;
+  model: string;
+  inputTokens: number | null;
+  outputTokens: number | null;
+  costUSD: number | null; // null = no price known for this model
+}
+
+export interface AICallResult {
+  text: string;
+  usage: AIUsage;
+}
+
+// one call, one draft — no retries, no fallbacks, fail fast.
+// the provider (OpenAI, compatible server or stub) comes from config —
+// see aiProvider.ts
+export async function callAIOnce(prompt: string): Promise<AICallResult> {
+  const provider = resolveAIProvider();
 
   if (typeof prompt !== "string" || prompt.trim().length === 0) {
     throw new Error("Invalid prompt provided to callAIOnce");
   }
 
   console.log("[callAIOnce] Starting AI call", {
+    provider: provider.name,
+    model: provider.model,
     promptLength: prompt.length, // size only — never log actual prompt content
   });
 
@@ -18,40 +36,30 @@ export async function callAIOnce(prompt: string): Promise<string> {
   const timeoutId = setTimeout(() => controller.abort(), 15_000);
 
   try {
-    const response = await fetch("https://api.openai.com/v1/responses", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${apiKey}`,
-        "User-Agent": "remindrai-backend/1.0",
-      },
-      body: JSON.stringify({
-        model: "gpt-4.1-mini",
-        input: prompt,
-        max_output_tokens: 250, // social posts don't need more — keeps cost predictable
-      }),
-      signal: controller.signal,
-    });
+    const { text, inputTokens, outputTokens } = await provider.generate(
+      prompt,
+      controller.signal,
+    );
 
-    if (!response.ok) {
-      throw new Error(`AI API returned status ${response.status}`);
+    if (!text) {
+      throw new ExecutionFailure("ai_empty", "AI response missing output_text");
     }
 
-    const data: unknown = await response.json();
-
-    // took me a while to figure this out — the Responses API doesn't return output_text
-    // at the top level, it's nested at output[0].content[0].text
-    const outputText =
-      typeof (data as any)?.output?.[0]?.content?.[0]?.text === "string"
-        ? (data as any).output[0].content[0].text
-        : null;
-
-    if (!outputText) {
-      throw new Error("AI response missing output_text");
-    }
+    const usage: AIUsage = {
+      provider: provider.name,
+      model: provider.model,
+      inputTokens,
+      outputTokens,
+      costUSD: estimateCostUSD(
+        provider.name,
+        provider.model,
+        inputTokens,
+        outputTokens,
+      ),
+    };
 
-    console.log("[callAIOnce] AI call succeeded");
-    return outputText;
+    console.log("[callAIOnce] AI call succeeded", usage);
+    return { text, usage };
   } catch (error) {
     console.error("[callAIOnce] AI call failed", {
       error: error instanceof Error ? error.message : String(error),
@@ -0,0 +1,29 @@
+/**
+ * pricing.ts
+ *
+ * What a call cost, from the token counts the provider reported.
+ * USD per 1M tokens — update when the provider changes its prices.
+ * The stub is free; models we have no price for come back as null rather
+ * than a guess, so unknown spend is never mistaken for zero.
+ */
+
+const USD_PER_MILLION: Record<string, { input: number; output: number }> = {
+  "gpt-4.1": { input: 2.0, output: 8.0 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+};
+
+export function estimateCostUSD(
+  provider: string,
+  model: string,
+  inputTokens: number | null,
+  outputTokens: number | null,
+): number | null {
+  if (provider === "stub") return 0;
+
+  const price = USD_PER_MILLION[model];
+  if (!price || inputTokens === null || outputTokens === null) return null;
+
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
@@ -0,0 +1,85 @@
+import { ExecutionFailure } from "../aiFailure";
+import type { AIProvider } from "../aiProvider";
+import { postJSON } from "./postJSON";
+
+// social posts don't need more — keeps cost predictable
+const MAX_OUTPUT_TOKENS = 250;
+
+const tokenCount = (value: unknown) =>
+  typeof value === "number" && Number.isFinite(value) ? value : null;
+
+// OpenAI's Responses API
+export function openAIProvider(apiKey: string, model: string): AIProvider {
+  return {
+    name: "openai",
+    model,
+    async generate(prompt, signal) {
+      const data: any = await postJSON(
+        "https://api.openai.com/v1/responses",
+        { Authorization: `Bearer ${apiKey}` },
+        { model, input: prompt, max_output_tokens: MAX_OUTPUT_TOKENS },
+        signal,
+      );
+
+      // took me a while to figure this out — the Responses API doesn't return
+      // output_text at the top level, it's nested at output[0].content[0].text
+      const text = data?.output?.[0]?.content?.[0]?.text;
+
+      if (typeof text !== "string" || !text) {
+        throw new ExecutionFailure(
+          "ai_empty",
+          "AI response missing output_text",
+        );
+      }
+
+      return {
+        text,
+        inputTokens: tokenCount(data?.usage?.input_tokens),
+        outputTokens: tokenCount(data?.usage?.output_tokens),
+      };
+    },
+  };
+}
+
+// anything speaking the Chat Completions API — a local Ollama or vLLM
+// server, or a hosted gateway. The key is optional; local servers don't
+// check it.
+export function openAICompatibleProvider(
+  baseUrl: string,
+  model: string,
+  apiKey?: string,
+): AIProvider {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai_compatible",
+    model,
+    async generate(prompt, signal) {
+      const data: any = await postJSON(
+        url,
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        {
+          model,
+          messages: [{ role: "user", content: prompt }],
+          max_tokens: MAX_OUTPUT_TOKENS,
+        },
+        signal,
+      );
+
+      const text = data?.choices?.[0]?.message?.content;
+
+      if (typeof text !== "string" || !text) {
+        throw new ExecutionFailure(
+          "ai_empty",
+          "AI response missing choices[0].message.content",
+        );
+      }
+
+      return {
+        text,
+        inputTokens: tokenCount(data?.usage?.prompt_tokens),
+        outputTokens: tokenCount(data?.usage?.completion_tokens),
+      };
+    },
+  };
+}
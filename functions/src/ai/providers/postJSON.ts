@@ -0,0 +1,42 @@
+import { ExecutionFailure } from "../aiFailure";
+
+// one POST to a provider — transport errors come back as ExecutionFailure
+// so every provider fails the same way
+export async function postJSON(
+  url: string,
+  headers: Record<string, string>,
+  body: unknown,
+  signal: AbortSignal,
+): Promise<unknown> {
+  let response: Response;
+
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "remindrai-backend/1.0",
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error instanceof Error && error.name === "AbortError") {
+      throw new ExecutionFailure("ai_timeout", "AI call timed out");
+    }
+    throw new ExecutionFailure(
+      "ai_network",
+      error instanceof Error ? error.message : String(error),
+    );
+  }
+
+  if (!response.ok) {
+    throw new ExecutionFailure(
+      response.status >= 500 ? "ai_http_5xx" : "ai_http_4xx",
+      `AI API returned status ${response.status}`,
+    );
+  }
+
+  return response.json();
+}
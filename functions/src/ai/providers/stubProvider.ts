@@ -0,0 +1,50 @@
+import type { AIProvider } from "../aiProvider";
+
+const OPENERS = [
+  "Small, steady progress beats waiting for the perfect moment.",
+  "The best ideas usually start as a rough note to yourself.",
+  "Shipping something real teaches more than planning ever will.",
+  "Consistency is a quiet advantage most people underrate.",
+  "Every expert was once a beginner who refused to stop.",
+];
+
+const CLOSERS = [
+  "What's one thing you moved forward this week?",
+  "Keep going — future you will be glad you did.",
+  "Start small today and let it compound.",
+  "Share what you're working on, even if it's unfinished.",
+];
+
+// FNV-1a — stable across runs and machines, no crypto needed
+function hash(text: string): number {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// fake drafts for the emulator and local runs — no network, no key.
+// Same seed + same prompt always gives the same draft.
+export function stubProvider(seed: string): AIProvider {
+  return {
+    name: "stub",
+    model: "stub",
+    async generate(prompt) {
+      const h = hash(`${seed}:${prompt}`);
+      const opener = OPENERS[h % OPENERS.length];
+      const closer = CLOSERS[(h >>> 8) % CLOSERS.length];
+
+      const tag = h.toString(16).padStart(8, "0");
+      const text = `${opener} ${closer} [stub ${tag}]`;
+
+      // rough 4-chars-per-token estimate — enough to exercise accounting
+      return {
+        text,
+        inputTokens: Math.ceil(prompt.length / 4),
+        outputTokens: Math.ceil(text.length / 4),
+      };
+    },
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * onUserDeleted.ts
+ *
+ * Auth trigger for account deletion. The client deletes most of
+ * users/{uid} itself (AuthContext.deleteAccount), but some collections are
+ * backend-owned and can't be deleted by their owner — the metered draft
+ * count (draftUsage) would otherwise let a client reset its own quota.
+ * Those are cleared here once the auth user is gone.
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+
+// backend-owned subcollections the client is not allowed to delete
+const BACKEND_OWNED = ["draftUsage"];
+
+export const onUserDeleted = functions.auth.user().onDelete(async (user) => {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(user.uid);
+
+  for (const sub of BACKEND_OWNED) {
+    try {
+      await db.recursiveDelete(userRef.collection(sub));
+    } catch (error) {
+      // one collection failing shouldn't stop the rest
+      console.error("[onUserDeleted] Failed to delete subcollection", {
+        uid: user.uid,
+        sub,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+});
@@ -0,0 +1,86 @@
+/**
+ * releaseHeldDrafts.ts
+ *
+ * Shows drafts that were generated ahead of their slot (lead time) once
+ * deliverAt passes, and sends the draft_success push that executeReminder
+ * held back. Runs every minute on its own schedule.
+ *
+ * Each draft is claimed in a transaction (hidden → false), so two passes
+ * overlapping never push the same draft twice. A draft that fails to
+ * release stays hidden and is picked up by the next pass.
+ */
+
+import * as admin from "firebase-admin";
+
+import { sendPushNotification } from "../notifications/sendPushNotification";
+
+const BATCH_SIZE = 100;
+
+export interface ReleaseHeldDraftsResult {
+  due: number;
+  released: number;
+}
+
+export async function releaseHeldDrafts(): Promise<ReleaseHeldDraftsResult> {
+  const db = admin.firestore();
+  const nowUTC = new Date().toISOString();
+  const result: ReleaseHeldDraftsResult = { due: 0, released: 0 };
+
+  const snapshot = await db
+    .collectionGroup("drafts")
+    .where("hidden", "==", true)
+    .where("deliverAt", "<=", nowUTC)
+    .orderBy("deliverAt", "asc")
+    .limit(BATCH_SIZE)
+    .get();
+
+  result.due = snapshot.size;
+
+  for (const draftDoc of snapshot.docs) {
+    // users/{uid}/drafts/{draftId}
+    const userRef = draftDoc.ref.parent.parent;
+    if (!userRef) continue;
+
+    try {
+      const claimed = await db.runTransaction(async (tx) => {
+        const fresh = await tx.get(draftDoc.ref);
+        if (fresh.get("hidden") !== true) return false;
+
+        tx.update(draftDoc.ref, {
+          hidden: false,
+          deliveredAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return true;
+      });
+
+      if (!claimed) continue;
+      result.released++;
+
+      // platform only shapes the push title — a missing reminder is fine
+      const reminderId = draftDoc.get("reminderId");
+      const reminder = reminderId
+        ? await userRef.collection("reminders").doc(reminderId).get()
+        : null;
+
+      await sendPushNotification({
+        uid: userRef.id,
+        type: "draft_success",
+        draftId: draftDoc.id,
+        reminderType: draftDoc.get("reminderType"),
+        platform: reminder?.get("content.platform"),
+      }).catch(() => {});
+    } catch (error) {
+      // one draft failing never blocks the rest
+      console.error("[releaseHeldDrafts] Failed to release draft", {
+        draftPath: draftDoc.ref.path,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  if (result.due > 0) {
+    console.log("[releaseHeldDrafts] Done", result);
+  }
+
+  return result;
+}
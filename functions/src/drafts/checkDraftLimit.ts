@@ -1,7 +1,9 @@
-import * as admin from "firebase-admin";
-import { DateTime } from "luxon";
-
-const DRAFT_LIMIT = 3;
+import {
+  DRAFT_LIMIT,
+  draftUsageRef,
+  localDateKey,
+  userTimezone,
+} from "./draftUsage";
 
 export interface DraftLimitResult {
   limited: boolean;
@@ -10,48 +12,29 @@ export interface DraftLimitResult {
 
 // 3 AI drafts per calendar day — resets at midnight in the user's own timezone
 // rolling 24h felt fair to us but users think in days, not time windows
+// one doc read — the count is metered as drafts are saved, see draftUsage.ts
 export async function checkDraftLimit(uid: string): Promise<DraftLimitResult> {
   try {
-    const db = admin.firestore();
-
-    // read user's timezone — written by TimezoneSync when user confirms their zone
+    // written by TimezoneSync when user confirms their zone
     // falls back to UTC if not set yet (new accounts, first session)
-    const userDoc = await db.collection("users").doc(uid).get();
-    const userTimezone = userDoc.data()?.timezone || "UTC";
-
-    // start of today in the user's local timezone — this is what "today" means to them
-    const startOfToday = DateTime.now()
-      .setZone(userTimezone)
-      .startOf("day")
-      .toUTC()
-      .toJSDate();
-
-    const windowStart = admin.firestore.Timestamp.fromDate(startOfToday);
-
-    const snapshot = await db
-      .collection("users")
-      .doc(uid)
-      .collection("executions")
-      .where("status", "==", "executed")
-      .where("createdAt", ">=", windowStart)
-      .get();
+    const timezone = await userTimezone(uid);
 
-    // filter aiUsed in code — avoids needing a 3-field composite index
-    const count = snapshot.docs.filter(
-      (doc) => doc.data().aiUsed === true,
-    ).length;
+    const usageDoc = await draftUsageRef(uid, localDateKey(timezone)).get();
+    const count = Number(usageDoc.get("count")) || 0;
 
     return {
       limited: count >= DRAFT_LIMIT,
       count,
     };
   } catch (error) {
-    console.error("[checkDraftLimit] Failed", {
+    console.error("[checkDraftLimit] Failed, failing closed", {
       uid,
       error: error instanceof Error ? error.message : String(error),
     });
 
-    // fail open — a broken limit check should never silently kill a user's draft
-    return { limited: false, count: 0 };
+    // fail closed — a single doc read failing means Firestore is struggling,
+    // and an unmetered draft is spend we can't account for. The run is
+    // skipped (or deferred) like any other limited run.
+    return { limited: true, count: DRAFT_LIMIT };
   }
 }
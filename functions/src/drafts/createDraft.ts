@@ -3,17 +3,38 @@
  *
  * Persists execution output as a draft.
  * Write-once only. Backend-owned. Failures don't block execution.
+ * Drafts generated ahead of their slot (lead time) are saved hidden until
+ * deliverAt — releaseHeldDrafts is the only thing that unhides them.
+ * AI drafts bump the user's metered daily count in the same batch, so the
+ * count and the drafts never disagree — see draftUsage.ts.
  */
 
 import * as admin from "firebase-admin";
 import { FieldValue } from "firebase-admin/firestore";
 
+import {
+  DRAFT_LIMIT,
+  draftUsageRef,
+  localDateKey,
+  userTimezone,
+} from "./draftUsage";
+
+// a user-initiated redo points back at what it replaces
+export type DraftLink =
+  | { regeneratedFrom: string } // draftId of the draft being regenerated
+  | { retryOf: string }; // executionId of the failed run being retried
+
 export interface CreateDraftInput {
   uid: string;
   reminderId: string;
   reminderType: "simple" | "ai";
   content: string;
   scheduledForUTC: string;
+  reminderVersion?: number; // intent version that produced it
+  trigger?: "manual"; // generated on demand, not by the schedule
+  link?: DraftLink;
+  holdUntilUTC?: string; // pre-generated — hidden until this time
+  aiUsed?: boolean; // counts toward the daily draft limit
 }
 
 /**
@@ -23,7 +44,18 @@ export interface CreateDraftInput {
 export async function createDraft(
   input: CreateDraftInput,
 ): Promise<string | null> {
-  const { uid, reminderId, reminderType, content, scheduledForUTC } = input;
+  const {
+    uid,
+    reminderId,
+    reminderType,
+    content,
+    scheduledForUTC,
+    reminderVersion,
+    trigger,
+    link,
+    holdUntilUTC,
+    aiUsed,
+  } = input;
 
   try {
     // Lazy access - ensures Admin is initialized
@@ -34,20 +66,52 @@ export async function createDraft(
       reminderType: "simple" | "ai";
       content: string;
       scheduledForUTC: string;
+      reminderVersion?: number;
+      trigger?: "manual";
+      regeneratedFrom?: string;
+      retryOf?: string;
+      hidden?: boolean;
+      deliverAt?: string;
       createdAt: FieldValue;
     } = {
       reminderId,
       reminderType,
       content,
       scheduledForUTC,
+      ...(reminderVersion ? { reminderVersion } : {}),
+      ...(trigger ? { trigger } : {}),
+      ...(link ?? {}),
+      ...(holdUntilUTC ? { hidden: true, deliverAt: holdUntilUTC } : {}),
       createdAt: FieldValue.serverTimestamp(),
     };
 
-    const draftRef = await db
+    const draftRef = db
       .collection("users")
       .doc(uid)
       .collection("drafts")
-      .add(draftData);
+      .doc();
+
+    const batch = db.batch();
+    batch.set(draftRef, draftData);
+
+    if (aiUsed) {
+      const timezone = await userTimezone(uid);
+      const date = localDateKey(timezone);
+
+      batch.set(
+        draftUsageRef(uid, date),
+        {
+          date,
+          timezone,
+          limit: DRAFT_LIMIT,
+          count: FieldValue.increment(1),
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        { merge: true },
+      );
+    }
+
+    await batch.commit();
 
     console.log("[createDraft] Draft created", {
       uid,
@@ -0,0 +1,41 @@
+/**
+ * draftUsage.ts
+ *
+ * Metered AI draft count per user and day:
+ *   users/{uid}/draftUsage/{YYYY-MM-DD} = { date, timezone, limit, count }
+ *
+ * Keyed by the user's local date (profile timezone), so the count resets
+ * at their midnight. createDraft increments it in the same batch as the AI
+ * draft it counts; checkDraftLimit and the frontend quota display read
+ * this one doc instead of scanning executions. The doc also carries the
+ * limit, so the frontend never keeps its own copy.
+ *
+ * Not backfilled: drafts made before this counter shipped were never
+ * metered, so on rollout day everyone starts that day at zero (at most one
+ * extra day's quota). Clients can read but never write or delete it.
+ */
+
+import * as admin from "firebase-admin";
+import { DateTime } from "luxon";
+
+export const DRAFT_LIMIT = 3;
+
+// today's key in the user's zone — an unknown zone counts as UTC
+export function localDateKey(timezone: string | undefined): string {
+  const local = DateTime.now().setZone(timezone || "UTC");
+  return (local.isValid ? local : DateTime.utc()).toISODate() as string;
+}
+
+export async function userTimezone(uid: string): Promise<string> {
+  const userDoc = await admin.firestore().collection("users").doc(uid).get();
+  return userDoc.get("timezone") || "UTC";
+}
+
+export function draftUsageRef(uid: string, dateKey: string) {
+  return admin
+    .firestore()
+    .collection("users")
+    .doc(uid)
+    .collection("draftUsage")
+    .doc(dateKey);
+}
@@ -3,25 +3,54 @@
  *
  * Advances reminder state after execution.
  * Disables one-time reminders, computes next run for recurring ones.
+ * Recurring reminders are disabled once they reach their end condition
+ * (endDate or maxDrafts — see scheduleBounds.ts).
  * Uses scheduledForUTC (not actual execution time) for advancement.
+ * Any snooze override (snoozedFromUTC) ends with the run it moved.
  * Best-effort, never throws.
  */
 
 import { DocumentReference, FieldValue } from "firebase-admin/firestore";
-import { computeNextRunAtUTC } from "../utils/scheduleUtils";
+import { computeNextRunAtUTC, ReminderFrequency } from "../utils/scheduleUtils";
+import {
+  EndReason,
+  hasReachedMaxDrafts,
+  isAfterEndDate,
+} from "../utils/scheduleBounds";
 
 /**
  * Minimal scheduling data required to advance a reminder.
  */
 export type AdvanceableReminderData = {
-  frequency: "one_time" | "daily" | "weekly";
+  frequency: ReminderFrequency;
   schedule: any; // Frontend-owned, intentionally opaque
+  deliveredCount?: number; // system-owned, drafts delivered so far
 };
 
 export interface AdvanceReminderInput {
   reminderRef: DocumentReference;
   reminderData: AdvanceableReminderData;
   scheduledForUTC: string;
+  delivered?: boolean; // this run produced a draft
+}
+
+async function endReminder(
+  reminderRef: DocumentReference,
+  endReason: EndReason,
+  runUpdate: Record<string, unknown>,
+): Promise<void> {
+  await reminderRef.update({
+    ...runUpdate,
+    enabled: false,
+    endReason,
+    endedAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  console.log("[advanceReminder] Reminder reached its end", {
+    reminderId: reminderRef.id,
+    endReason,
+  });
 }
 
 /**
@@ -30,14 +59,24 @@ export interface AdvanceReminderInput {
 export async function advanceReminder(
   input: AdvanceReminderInput,
 ): Promise<void> {
-  const { reminderRef, reminderData, scheduledForUTC } = input;
+  const { reminderRef, reminderData, scheduledForUTC, delivered } = input;
 
   try {
     const { frequency, schedule } = reminderData;
 
+    // count from the swept snapshot — this run is its only writer
+    const deliveredCount =
+      (reminderData.deliveredCount ?? 0) + (delivered ? 1 : 0);
+    // written with every outcome below
+    const runUpdate = {
+      ...(delivered ? { deliveredCount: FieldValue.increment(1) } : {}),
+      snoozedFromUTC: FieldValue.delete(),
+    };
+
     // One-time reminders stop after execution
     if (frequency === "one_time") {
       await reminderRef.update({
+        ...runUpdate,
         enabled: false,
         updatedAt: FieldValue.serverTimestamp(),
       });
@@ -49,6 +88,11 @@ export async function advanceReminder(
       return;
     }
 
+    if (hasReachedMaxDrafts(deliveredCount, schedule)) {
+      await endReminder(reminderRef, "max_drafts", runUpdate);
+      return;
+    }
+
     // Recurring reminders - compute next run from scheduled time
     const nextRunAtUTC = computeNextRunAtUTC(
       frequency,
@@ -56,22 +100,30 @@ export async function advanceReminder(
       schedule,
     );
 
-    // Handle invalid weekly configuration safely
-    if (frequency === "weekly" && !nextRunAtUTC) {
+    // Handle invalid recurring configuration safely
+    // (empty weekDays, broken interval/monthly rule, unusable timezone)
+    if (!nextRunAtUTC) {
       await reminderRef.update({
+        ...runUpdate,
         enabled: false,
         updatedAt: FieldValue.serverTimestamp(),
       });
 
       console.error(
-        "[advanceReminder] Weekly reminder disabled due to invalid weekDays",
-        { reminderId: reminderRef.id },
+        "[advanceReminder] Recurring reminder disabled due to invalid schedule",
+        { reminderId: reminderRef.id, frequency },
       );
 
       return;
     }
 
+    if (isAfterEndDate(nextRunAtUTC, schedule)) {
+      await endReminder(reminderRef, "end_date", runUpdate);
+      return;
+    }
+
     await reminderRef.update({
+      ...runUpdate,
       nextRunAtUTC,
       updatedAt: FieldValue.serverTimestamp(),
     });
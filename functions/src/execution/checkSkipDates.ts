@@ -0,0 +1,69 @@
+import * as admin from "firebase-admin";
+
+import {
+  ExcludedDateReason,
+  excludedDateReason,
+} from "../utils/excludedDates";
+import { firstRunAfterVacation, isOnVacation } from "../utils/vacation";
+import type { ReminderFrequency } from "../utils/scheduleUtils";
+import type { ExecutionStatus } from "./recordExecution";
+
+export interface SkipDecision {
+  status: Extract<ExecutionStatus, "skipped_excluded" | "skipped_vacation">;
+  reason: ExcludedDateReason | "user_vacation";
+  // one-time only — the run moves here instead of being lost
+  resumeAtUTC?: string;
+}
+
+// dates this run must not deliver on, from one read of users/{uid}:
+// - vacation mode (users/{uid}.vacation) — every reminder, see
+//   utils/vacation.ts (a one-time comes back with resumeAtUTC)
+// - per-reminder excludedDates + the blackout calendar — recurring only,
+//   see utils/excludedDates.ts (a one-time is the exact date the user picked)
+export async function checkSkipDates(
+  uid: string,
+  frequency: ReminderFrequency,
+  schedule: any,
+  scheduledForUTC: string,
+): Promise<SkipDecision | null> {
+  let user: admin.firestore.DocumentData | undefined;
+
+  try {
+    const db = admin.firestore();
+    const userDoc = await db.collection("users").doc(uid).get();
+    user = userDoc.data();
+  } catch (error) {
+    console.error("[checkSkipDates] Failed", {
+      uid,
+      error: error instanceof Error ? error.message : String(error),
+    });
+
+    // fail open — still honour the reminder's own list, which needs no read
+    user = undefined;
+  }
+
+  if (isOnVacation(scheduledForUTC, schedule?.timezone, user?.vacation)) {
+    const skip: SkipDecision = {
+      status: "skipped_vacation",
+      reason: "user_vacation",
+    };
+    if (frequency !== "one_time") return skip;
+
+    const resumeAtUTC = firstRunAfterVacation(
+      scheduledForUTC,
+      schedule?.timezone,
+      user?.vacation,
+    );
+    return resumeAtUTC ? { ...skip, resumeAtUTC } : skip;
+  }
+
+  if (frequency === "one_time") return null;
+
+  const excluded = excludedDateReason(
+    scheduledForUTC,
+    schedule,
+    user?.blackoutDates,
+  );
+
+  return excluded ? { status: "skipped_excluded", reason: excluded } : null;
+}
@@ -0,0 +1,66 @@
+/**
+ * deferRun.ts
+ *
+ * Queues a run blocked by the daily draft limit for release after the
+ * user's local midnight — only when the user opted into deferring
+ * (see utils/deferral.ts). The queue doc shares the execution id, so a
+ * slot is only ever queued once.
+ *
+ * Falls back to the old behavior: if the user can't be read or the
+ * queue write fails, the run is skipped as before.
+ */
+
+import * as admin from "firebase-admin";
+import { FieldValue } from "firebase-admin/firestore";
+
+import { defersLimitedRuns, nextResetUTC } from "../utils/deferral";
+
+export interface DeferRunInput {
+  uid: string;
+  reminderId: string;
+  reminderType: string;
+  scheduledForUTC: string;
+}
+
+// true when the run was queued
+export async function deferLimitedRun(input: DeferRunInput): Promise<boolean> {
+  const { uid, reminderId, reminderType, scheduledForUTC } = input;
+
+  try {
+    const db = admin.firestore();
+    const userRef = db.collection("users").doc(uid);
+    const userDoc = await userRef.get();
+
+    if (!defersLimitedRuns(userDoc.data())) return false;
+
+    const releaseAtUTC = nextResetUTC(userDoc.get("timezone"));
+
+    await userRef
+      .collection("deferredRuns")
+      .doc(`${reminderId}_${scheduledForUTC}`)
+      .set({
+        reminderId,
+        reminderType,
+        scheduledForUTC,
+        releaseAtUTC,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+
+    console.log("[deferLimitedRun] Run deferred", {
+      uid,
+      reminderId,
+      scheduledForUTC,
+      releaseAtUTC,
+    });
+
+    return true;
+  } catch (error) {
+    console.error("[deferLimitedRun] Failed — skipping instead", {
+      uid,
+      reminderId,
+      scheduledForUTC,
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return false;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * evaluateReminder.ts
+ *
+ * Dry-run twin of executeReminder: walks the same decisions up to the AI
+ * call — catch-up, idempotency, skip dates, weak input, draft limit — and
+ * returns the outcome the real run would have reached.
+ *
+ * Read-only. Nothing is recorded, no draft is written, no push is sent and
+ * the reminder is never advanced, so the same reminders show up again in
+ * every dry sweep until a real one runs them.
+ */
+
+import * as admin from "firebase-admin";
+import { QueryDocumentSnapshot } from "firebase-admin/firestore";
+
+import { checkExecutionExists } from "./idempotency";
+import { checkSkipDates } from "./checkSkipDates";
+import { loadIntentVersion } from "./loadIntentVersion";
+import { checkGenerationGate } from "./generateDraftContent";
+import { planCatchUp } from "../utils/catchUp";
+import { defersLimitedRuns } from "../utils/deferral";
+import type {
+  ExecuteOutcome,
+  ExecuteReminderOptions,
+} from "./executeReminder";
+
+export async function evaluateReminder(
+  reminderDoc: QueryDocumentSnapshot,
+  options: ExecuteReminderOptions = {},
+): Promise<ExecuteOutcome> {
+  const reminderId = reminderDoc.id;
+  const reminderData = reminderDoc.data();
+  const uid = reminderDoc.ref.parent.parent!.id;
+  const reminderType = reminderData.reminderType === "ai" ? "ai" : "simple";
+
+  if (!reminderData.enabled) {
+    return "disabled";
+  }
+
+  const snoozedFromUTC = reminderData.snoozedFromUTC;
+  let scheduledForUTC: string = snoozedFromUTC ?? reminderData.nextRunAtUTC;
+
+  const catchUp = snoozedFromUTC
+    ? null
+    : planCatchUp(
+        reminderData.frequency,
+        scheduledForUTC,
+        reminderData.schedule,
+        Date.now(),
+        options.staleWindowMs ?? 0,
+      );
+
+  if (catchUp) {
+    scheduledForUTC = catchUp.catchUpUTC;
+  }
+
+  if (await checkExecutionExists(uid, reminderId, scheduledForUTC)) {
+    return "already_executed";
+  }
+
+  const skip = await checkSkipDates(
+    uid,
+    reminderData.frequency,
+    reminderData.schedule,
+    scheduledForUTC,
+  );
+
+  if (skip) {
+    return skip.status;
+  }
+
+  const intent = await loadIntentVersion(reminderDoc.ref, reminderData);
+
+  try {
+    const skipped = await checkGenerationGate({
+      uid,
+      reminderId,
+      reminderType,
+      content: intent.content,
+    });
+
+    if (!skipped) {
+      return "executed";
+    }
+
+    if (skipped.status === "skipped_limit") {
+      const userDoc = await admin
+        .firestore()
+        .collection("users")
+        .doc(uid)
+        .get();
+      if (defersLimitedRuns(userDoc.data())) return "deferred";
+    }
+
+    return skipped.status;
+  } catch {
+    // missing prompt — the real run records this as failed
+    return "failed";
+  }
+}
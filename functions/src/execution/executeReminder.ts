@@ -1,24 +1,31 @@
 // AI is fully wired — just needs the API key in Secret Manager to go live
 
-import { QueryDocumentSnapshot } from "firebase-admin/firestore";
+import { FieldValue, QueryDocumentSnapshot } from "firebase-admin/firestore";
 
 import { checkExecutionExists } from "./idempotency";
-import { recordExecution } from "./recordExecution";
+import { recordExecution, ExecutionStatus } from "./recordExecution";
 import { advanceReminder } from "./advanceReminder";
 import { createDraft } from "../drafts/createDraft";
 import { sendPushNotification } from "../notifications/sendPushNotification";
-import { fetchPastDrafts } from "../drafts/fetchPastDrafts";
-import { buildPrompt } from "../ai/buildPrompt";
-import { callAIOnce } from "../ai/callAIOnce";
-import { mapRole, mapTone, mapPlatform } from "../ai/promptMappings";
-import { checkDraftLimit } from "../drafts/checkDraftLimit";
+import { failureReason, isProviderFailure } from "../ai/aiFailure";
+import { checkSkipDates } from "./checkSkipDates";
+import { loadIntentVersion } from "./loadIntentVersion";
+import { generateDraftContent } from "./generateDraftContent";
+import { deferLimitedRun } from "./deferRun";
+import { planCatchUp } from "../utils/catchUp";
+import { holdUntilUTC } from "../utils/leadTime";
+import type { CircuitBreaker } from "../scheduler/circuitBreaker";
+import type { ReminderFrequency } from "../utils/scheduleUtils";
 
 type ReminderData = {
   enabled: boolean;
   nextRunAtUTC: string;
-  frequency: "one_time" | "daily" | "weekly";
+  frequency: ReminderFrequency;
   schedule: any;
+  deliveredCount?: number;
+  snoozedFromUTC?: string; // original slot when this run was snoozed
   reminderType: "ai" | "simple";
+  currentVersion?: number;
   content?: {
     role?: string;
     tone?: string;
@@ -28,56 +35,29 @@ type ReminderData = {
   };
 };
 
+export interface ExecuteReminderOptions {
+  staleWindowMs?: number; // runs older than this get one catch-up draft
+  breaker?: CircuitBreaker; // the sweep's — owns provider-outage pushes
+}
+
+// what happened to the run — counted per sweep in the run report
+export type ExecuteOutcome = ExecutionStatus | "already_executed" | "disabled";
+
+// history for a long outage, not an audit log — the rest is only logged
+const MAX_STALE_RECORDS = 25;
+
 function extractAdvanceableReminderData(reminderData: ReminderData) {
   return {
     frequency: reminderData.frequency,
     schedule: reminderData.schedule,
+    deliveredCount: reminderData.deliveredCount,
   };
 }
 
-// frontend catches this first — but we check again here because we can't
-// trust that every reminder was saved through the current frontend version
-function isWeakInput(text?: string): boolean {
-  if (!text) return true;
-
-  const clean = text.trim();
-
-  if (clean.length < 5) return true;
-
-  // single long word with no spaces = keyboard mash
-  if (!clean.includes(" ") && clean.length > 12) return true;
-
-  // needs at least 2 words — "asdasd bug" still passes otherwise
-  const words = clean.split(/\s+/);
-  if (words.length < 2) return true;
-
-  // repeated single character e.g. "aaaaaaaaaaaaaaa"
-  if (/^(.)\1+$/.test(clean)) return true;
-
-  // mostly non-letter characters
-  const alphaRatio = clean.replace(/[^a-zA-Z]/g, "").length / clean.length;
-  if (alphaRatio < 0.5) return true;
-
-  // at least 1 word must look real (3+ chars with a vowel)
-  // catches "kdvkd d d d d" and "idvisdjifoifa kdvkd" style garbage
-  const hasVowel = /[aeiouAEIOU]/;
-  const realWordCount = words.filter(
-    (w) => w.length >= 3 && hasVowel.test(w),
-  ).length;
-  if (realWordCount === 0) return true;
-
-  // real English has ~35%+ vowels — keyboard mash has almost none
-  // threshold at 0.12 to catch obvious garbage without blocking real short inputs
-  const vowelCount = clean.replace(/[^aeiouAEIOU]/g, "").length;
-  const vowelRatio = vowelCount / clean.replace(/\s/g, "").length;
-  if (vowelRatio < 0.12) return true;
-
-  return false;
-}
-
 export async function executeReminder(
   reminderDoc: QueryDocumentSnapshot,
-): Promise<void> {
+  options: ExecuteReminderOptions = {},
+): Promise<ExecuteOutcome> {
   console.log("[executeReminder] START", {
     path: reminderDoc.ref.path,
   });
@@ -88,12 +68,52 @@ export async function executeReminder(
   // uid is on the parent collection, not stored in the reminder doc itself
   const uid = reminderDoc.ref.parent.parent!.id;
 
-  const scheduledForUTC = reminderData.nextRunAtUTC;
+  // a snoozed run keeps the identity of the occurrence it moved
+  const snoozedFromUTC = reminderData.snoozedFromUTC;
+  let scheduledForUTC = snoozedFromUTC ?? reminderData.nextRunAtUTC;
   const reminderType = reminderData.reminderType;
-  const platform = reminderData.content?.platform;
 
   if (!reminderData.enabled) {
-    return;
+    return "disabled";
+  }
+
+  // scheduler was down — skip the missed runs, keep only the latest one.
+  // a snoozed run is late on purpose, so it never counts as stale
+  const catchUp = snoozedFromUTC
+    ? null
+    : planCatchUp(
+        reminderData.frequency,
+        scheduledForUTC,
+        reminderData.schedule,
+        Date.now(),
+        options.staleWindowMs ?? 0,
+      );
+
+  if (catchUp) {
+    console.warn("[executeReminder] Stale runs — catching up once", {
+      uid,
+      reminderId,
+      staleCount: catchUp.staleRuns.length,
+      from: scheduledForUTC,
+      catchUpUTC: catchUp.catchUpUTC,
+    });
+
+    for (const staleUTC of catchUp.staleRuns.slice(0, MAX_STALE_RECORDS)) {
+      // ran but never advanced — keep its real record and draftId
+      if (await checkExecutionExists(uid, reminderId, staleUTC)) continue;
+
+      await recordExecution({
+        uid,
+        reminderId,
+        reminderType,
+        scheduledForUTC: staleUTC,
+        status: "skipped_stale",
+        aiUsed: false,
+        reason: "stale_run",
+      });
+    }
+
+    scheduledForUTC = catchUp.catchUpUTC;
   }
 
   const alreadyExecuted = await checkExecutionExists(
@@ -103,110 +123,150 @@ export async function executeReminder(
   );
 
   if (alreadyExecuted) {
-    return;
+    return "already_executed";
   }
 
-  try {
-    let draftContent: string;
-    let aiUsed = false;
-
-    if (reminderType === "ai") {
-      const aiPrompt = reminderData.content?.aiPrompt;
-
-      // no prompt = nothing to generate from
-      if (!aiPrompt?.trim()) {
-        throw new Error("Missing aiPrompt for AI reminder");
-      }
-
-      // garbage input — skip AI, advance so it doesn't re-fire every 5 mins
-      if (isWeakInput(aiPrompt)) {
-        console.warn(
-          "[executeReminder] Weak input detected — skipping AI call",
-          {
-            uid,
-            reminderId,
-          },
-        );
-
-        await recordExecution({
-          uid,
-          reminderId,
-          reminderType,
-          scheduledForUTC,
-          status: "skipped",
-          aiUsed: false,
-          reason: "weak_input",
-        });
-
-        await advanceReminder({
-          reminderRef: reminderDoc.ref,
-          reminderData: extractAdvanceableReminderData(reminderData),
-          scheduledForUTC,
-        });
+  // vacation, holiday or blackout day — skip this occurrence,
+  // keep the series going
+  const skip = await checkSkipDates(
+    uid,
+    reminderData.frequency,
+    reminderData.schedule,
+    scheduledForUTC,
+  );
 
-        return;
-      }
+  // a one-time has no later occurrence — move it past the vacation
+  // instead of losing it
+  if (skip?.resumeAtUTC) {
+    console.log("[executeReminder] One-time on vacation — moved", {
+      uid,
+      reminderId,
+      scheduledForUTC,
+      resumeAtUTC: skip.resumeAtUTC,
+    });
 
-      // check rolling 24h limit before making any AI call
-      const { limited, count } = await checkDraftLimit(uid);
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC,
+      status: "deferred",
+      aiUsed: false,
+      reason: skip.reason,
+    });
 
-      if (limited) {
-        console.warn("[executeReminder] Draft limit reached — skipping", {
-          uid,
-          reminderId,
-          count,
-        });
+    await reminderDoc.ref.update({
+      nextRunAtUTC: skip.resumeAtUTC,
+      snoozedFromUTC: FieldValue.delete(),
+    });
+
+    return "deferred";
+  }
 
-        await recordExecution({
+  if (skip) {
+    console.log("[executeReminder] Skipped date — not delivering", {
+      uid,
+      reminderId,
+      scheduledForUTC,
+      status: skip.status,
+      reason: skip.reason,
+    });
+
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC,
+      status: skip.status,
+      aiUsed: false,
+      reason: skip.reason,
+    });
+
+    await advanceReminder({
+      reminderRef: reminderDoc.ref,
+      reminderData: extractAdvanceableReminderData(reminderData),
+      scheduledForUTC,
+    });
+
+    return skip.status;
+  }
+
+  // generate from the current intent version, not the mirrored fields
+  const intent = await loadIntentVersion(reminderDoc.ref, reminderData);
+  const platform = intent.content.platform ?? undefined;
+  const { breaker } = options;
+
+  // provider already failing this sweep — don't wait out another timeout.
+  // the user hears about it once, when the sweep ends
+  if (reminderType === "ai" && breaker?.isOpen()) {
+    breaker.recordSkip(uid);
+
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC,
+      status: "skipped_provider_unavailable",
+      aiUsed: false,
+      reason: "provider_unavailable",
+    });
+
+    await advanceReminder({
+      reminderRef: reminderDoc.ref,
+      reminderData: extractAdvanceableReminderData(reminderData),
+      scheduledForUTC,
+    });
+
+    return "skipped_provider_unavailable";
+  }
+
+  try {
+    const outcome = await generateDraftContent({
+      uid,
+      reminderId,
+      reminderType,
+      content: intent.content,
+    });
+
+    // weak input or draft limit — skip this run, keep the series going.
+    // a limit-blocked run may be queued for after midnight instead
+    if (outcome.kind === "skipped") {
+      const deferred =
+        outcome.status === "skipped_limit" &&
+        (await deferLimitedRun({
           uid,
           reminderId,
           reminderType,
           scheduledForUTC,
-          status: "skipped_limit",
-          aiUsed: false,
-          reason: "draft_limit_reached",
-        });
-
-        await advanceReminder({
-          reminderRef: reminderDoc.ref,
-          reminderData: extractAdvanceableReminderData(reminderData),
-          scheduledForUTC,
-        });
-
-        return;
-      }
-
-      let drafts: string[] = [];
+        }));
 
-      try {
-        drafts = await fetchPastDrafts(uid, 2);
-      } catch {
-        // memory failing shouldn't kill the whole execution
-        drafts = [];
-      }
-
-      // need at least 2 drafts to get a reliable style signal
-      const pastDrafts = drafts.length >= 2 ? drafts : undefined;
+      await recordExecution({
+        uid,
+        reminderId,
+        reminderType,
+        scheduledForUTC,
+        status: deferred ? "deferred" : outcome.status,
+        aiUsed: false,
+        reason: outcome.reason,
+      });
 
-      const prompt = buildPrompt({
-        aiPrompt,
-        role: mapRole(reminderData.content?.role),
-        tone: mapTone(reminderData.content?.tone),
-        platform: mapPlatform(reminderData.content?.platform),
-        pastDrafts,
+      await advanceReminder({
+        reminderRef: reminderDoc.ref,
+        reminderData: extractAdvanceableReminderData(reminderData),
+        scheduledForUTC,
       });
 
-      draftContent = await callAIOnce(prompt);
+      return deferred ? "deferred" : outcome.status;
+    }
 
-      // AI occasionally returns very short or empty content — don't save garbage
-      if (!draftContent || draftContent.trim().length < 20) {
-        throw new Error("AI returned empty or invalid content");
-      }
+    const { content: draftContent, aiUsed, usage } = outcome;
 
-      aiUsed = true;
-    } else {
-      draftContent = reminderData.content?.message?.trim() || "Reminder";
-    }
+    if (aiUsed) breaker?.recordSuccess();
+
+    // generated ahead of its slot (lead time) — hold it until then.
+    // scheduledForUTC is only the run's identity, a snooze moved the slot
+    const deliverAt = holdUntilUTC(reminderData.nextRunAtUTC, Date.now());
+    const held = deliverAt !== undefined;
 
     const draftId = await createDraft({
       uid,
@@ -214,6 +274,9 @@ export async function executeReminder(
       reminderType,
       content: draftContent,
       scheduledForUTC,
+      reminderVersion: intent.version,
+      holdUntilUTC: deliverAt,
+      aiUsed,
     });
 
     await recordExecution({
@@ -224,15 +287,19 @@ export async function executeReminder(
       status: "executed",
       aiUsed,
       draftId: draftId ?? undefined,
+      reason: catchUp ? "catch_up" : undefined,
+      usage,
     });
 
     await advanceReminder({
       reminderRef: reminderDoc.ref,
       reminderData: extractAdvanceableReminderData(reminderData),
       scheduledForUTC,
+      delivered: Boolean(draftId),
     });
 
-    if (draftId) {
+    // a held draft gets its push from releaseHeldDrafts at deliverAt
+    if (draftId && !held) {
       await sendPushNotification({
         uid,
         type: "draft_success",
@@ -240,24 +307,54 @@ export async function executeReminder(
         reminderType,
         platform,
       }).catch(() => {});
-    } else {
+    } else if (!draftId) {
       await sendPushNotification({
         uid,
         type: "draft_failed",
       }).catch(() => {});
     }
+
+    return "executed";
   } catch (error) {
+    const reason = failureReason(error);
+
     console.error("[executeReminder] Execution failed", {
       uid,
       reminderId,
       reminderType,
+      reason,
       error: error instanceof Error ? error.message : String(error),
     });
 
+    // no retry — record it and move on, or it re-fires every sweep
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC,
+      status: "failed",
+      aiUsed: false,
+      reason,
+    });
+
+    await advanceReminder({
+      reminderRef: reminderDoc.ref,
+      reminderData: extractAdvanceableReminderData(reminderData),
+      scheduledForUTC,
+    });
+
+    // provider outage — the sweep sends one push per user instead
+    if (breaker && isProviderFailure(reason)) {
+      breaker.recordFailure(uid);
+      return "failed";
+    }
+
     // execution failed — still notify the user so they're not left waiting
     await sendPushNotification({
       uid,
       type: "draft_failed",
     }).catch(() => {});
+
+    return "failed";
   }
 }
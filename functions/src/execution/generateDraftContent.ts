@@ -0,0 +1,223 @@
+/**
+ * generateDraftContent.ts
+ *
+ * The draft-producing half of an execution, shared by executeReminder
+ * (scheduled runs) and generateNow (on-demand runs):
+ * weak-input check → checkDraftLimit → checkAICaps → buildPrompt →
+ * callAIOnce → incrementAICounters.
+ * The checks before the AI call are exported on their own as
+ * checkGenerationGate, which the scheduler's dry run uses.
+ *
+ * Never records or advances anything — the caller owns the execution.
+ * Skips come back as an outcome; failures throw ExecutionFailure.
+ */
+
+import { fetchPastDrafts } from "../drafts/fetchPastDrafts";
+import { checkDraftLimit } from "../drafts/checkDraftLimit";
+import { checkAICaps } from "../usage/checkAICaps";
+import { incrementAICounters } from "../usage/incrementAICounters";
+import { buildPrompt } from "../ai/buildPrompt";
+import { callAIOnce } from "../ai/callAIOnce";
+import { ExecutionFailure } from "../ai/aiFailure";
+import { mapRole, mapTone, mapPlatform } from "../ai/promptMappings";
+import type { ExecutionStatus, ExecutionUsage } from "./recordExecution";
+import type { IntentContent } from "../utils/reminderIntent";
+
+export interface GenerateDraftInput {
+  uid: string;
+  reminderId: string;
+  reminderType: "ai" | "simple";
+  content: IntentContent; // from the current intent version
+}
+
+export type GenerationOutcome =
+  | {
+      kind: "content";
+      content: string;
+      aiUsed: boolean;
+      usage: ExecutionUsage | null; // null when no AI call was made
+    }
+  | {
+      kind: "skipped";
+      status: Extract<
+        ExecutionStatus,
+        "skipped" | "skipped_limit" | "skipped_cap"
+      >;
+      reason: "weak_input" | "draft_limit_reached" | "global_cap_reached";
+    };
+
+export type SkippedGeneration = Extract<GenerationOutcome, { kind: "skipped" }>;
+
+// frontend catches this first — but we check again here because we can't
+// trust that every reminder was saved through the current frontend version
+function isWeakInput(text?: string): boolean {
+  if (!text) return true;
+
+  const clean = text.trim();
+
+  if (clean.length < 5) return true;
+
+  // single long word with no spaces = keyboard mash
+  if (!clean.includes(" ") && clean.length > 12) return true;
+
+  // needs at least 2 words — "asdasd bug" still passes otherwise
+  const words = clean.split(/\s+/);
+  if (words.length < 2) return true;
+
+  // repeated single character e.g. "aaaaaaaaaaaaaaa"
+  if (/^(.)\1+$/.test(clean)) return true;
+
+  // mostly non-letter characters
+  const alphaRatio = clean.replace(/[^a-zA-Z]/g, "").length / clean.length;
+  if (alphaRatio < 0.5) return true;
+
+  // at least 1 word must look real (3+ chars with a vowel)
+  // catches "kdvkd d d d d" and "idvisdjifoifa kdvkd" style garbage
+  const hasVowel = /[aeiouAEIOU]/;
+  const realWordCount = words.filter(
+    (w) => w.length >= 3 && hasVowel.test(w),
+  ).length;
+  if (realWordCount === 0) return true;
+
+  // real English has ~35%+ vowels — keyboard mash has almost none
+  // threshold at 0.12 to catch obvious garbage without blocking real short inputs
+  const vowelCount = clean.replace(/[^aeiouAEIOU]/g, "").length;
+  const vowelRatio = vowelCount / clean.replace(/\s/g, "").length;
+  if (vowelRatio < 0.12) return true;
+
+  return false;
+}
+
+/**
+ * Everything that can stop a run before the AI call. Null means the call
+ * would go ahead; a missing prompt throws like it does for a real run.
+ */
+export async function checkGenerationGate(
+  input: GenerateDraftInput,
+): Promise<SkippedGeneration | null> {
+  const { uid, reminderId, reminderType, content } = input;
+
+  // simple reminders never call AI — nothing to gate
+  if (reminderType !== "ai") return null;
+
+  const aiPrompt = content.aiPrompt;
+
+  // no prompt = nothing to generate from
+  if (!aiPrompt?.trim()) {
+    throw new ExecutionFailure(
+      "missing_prompt",
+      "Missing aiPrompt for AI reminder",
+    );
+  }
+
+  // garbage input — skip AI, the caller decides what happens to the run
+  if (isWeakInput(aiPrompt)) {
+    console.warn(
+      "[generateDraftContent] Weak input detected — skipping AI call",
+      {
+        uid,
+        reminderId,
+      },
+    );
+
+    return { kind: "skipped", status: "skipped", reason: "weak_input" };
+  }
+
+  // check the daily limit before making any AI call
+  const { limited, count } = await checkDraftLimit(uid);
+
+  if (limited) {
+    console.warn("[generateDraftContent] Draft limit reached — skipping", {
+      uid,
+      reminderId,
+      count,
+    });
+
+    return {
+      kind: "skipped",
+      status: "skipped_limit",
+      reason: "draft_limit_reached",
+    };
+  }
+
+  // then the global budget shared by every user
+  const caps = await checkAICaps();
+
+  if (!caps.allowed) {
+    console.warn(
+      "[generateDraftContent] Global AI budget reached — skipping",
+      {
+        uid,
+        reminderId,
+      },
+    );
+
+    return {
+      kind: "skipped",
+      status: "skipped_cap",
+      reason: "global_cap_reached",
+    };
+  }
+
+  return null;
+}
+
+export async function generateDraftContent(
+  input: GenerateDraftInput,
+): Promise<GenerationOutcome> {
+  const { uid, content } = input;
+
+  if (input.reminderType !== "ai") {
+    return {
+      kind: "content",
+      content: content.message?.trim() || "Reminder",
+      aiUsed: false,
+      usage: null,
+    };
+  }
+
+  const skipped = await checkGenerationGate(input);
+  if (skipped) return skipped;
+
+  const aiPrompt = content.aiPrompt as string;
+
+  let drafts: string[] = [];
+
+  try {
+    drafts = await fetchPastDrafts(uid, 2);
+  } catch {
+    // memory failing shouldn't kill the whole execution
+    drafts = [];
+  }
+
+  // need at least 2 drafts to get a reliable style signal
+  const pastDrafts = drafts.length >= 2 ? drafts : undefined;
+
+  const prompt = buildPrompt({
+    aiPrompt,
+    role: mapRole(content.role ?? undefined),
+    tone: mapTone(content.tone ?? undefined),
+    platform: mapPlatform(content.platform ?? undefined),
+    pastDrafts,
+  });
+
+  const { text: draftContent, usage } = await callAIOnce(prompt);
+
+  // counted as soon as the call returns — a too-short answer still cost us
+  await incrementAICounters();
+
+  // AI occasionally returns very short or empty content — don't save garbage
+  if (!draftContent || draftContent.trim().length < 20) {
+    throw new ExecutionFailure(
+      "ai_empty",
+      "AI returned empty or invalid content",
+    );
+  }
+
+  return {
+    kind: "content",
+    content: draftContent,
+    aiUsed: true,
+    usage: { ...usage, platform: content.platform ?? null },
+  };
+}
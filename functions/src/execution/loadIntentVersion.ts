@@ -0,0 +1,53 @@
+import { DocumentReference } from "firebase-admin/firestore";
+
+import type { IntentContent } from "../utils/reminderIntent";
+
+export interface IntentVersion {
+  version: number;
+  content: IntentContent;
+}
+
+// the content this run generates from — versions/{currentVersion}, see
+// utils/reminderIntent.ts. Pre-versioning reminders have no pointer and run
+// on the reminder doc as version 1.
+export async function loadIntentVersion(
+  reminderRef: DocumentReference,
+  reminderData: { currentVersion?: number; content?: IntentContent },
+): Promise<IntentVersion> {
+  const fallback: IntentVersion = {
+    version: Number(reminderData.currentVersion) || 1,
+    content: reminderData.content ?? {},
+  };
+
+  if (!reminderData.currentVersion) {
+    return fallback;
+  }
+
+  try {
+    const snap = await reminderRef
+      .collection("versions")
+      .doc(String(reminderData.currentVersion))
+      .get();
+
+    if (!snap.exists) {
+      console.warn("[loadIntentVersion] Version doc missing", {
+        path: reminderRef.path,
+        version: reminderData.currentVersion,
+      });
+      return fallback;
+    }
+
+    return {
+      version: fallback.version,
+      content: snap.get("content") ?? fallback.content,
+    };
+  } catch (error) {
+    console.error("[loadIntentVersion] Failed", {
+      path: reminderRef.path,
+      error: error instanceof Error ? error.message : String(error),
+    });
+
+    // fail open — the reminder doc mirrors the current version anyway
+    return fallback;
+  }
+}
@@ -1,13 +1,26 @@
 import * as admin from "firebase-admin";
 import { FieldValue } from "firebase-admin/firestore";
 
+import { rollUpAIUsage } from "../usage/rollUpAIUsage";
+import type { AIUsage } from "../ai/callAIOnce";
+
 export type ExecutionStatus =
   | "executed"
+  | "failed"
   | "skipped"
   | "skipped_limit"
+  | "skipped_excluded"
+  | "skipped_stale"
+  | "skipped_vacation"
+  | "skipped_user"
   | "skipped_disabled"
   | "skipped_cap"
-  | "skipped_error";
+  | "skipped_error"
+  | "skipped_provider_unavailable" // sweep's circuit breaker was open
+  | "deferred"; // limit-blocked (deferRun.ts), or a one-time past vacation
+
+// token and cost accounting for one AI call, plus what it was for
+export type ExecutionUsage = AIUsage & { platform: string | null };
 
 export interface RecordExecutionInput {
   uid: string;
@@ -17,7 +30,9 @@ export interface RecordExecutionInput {
   status: ExecutionStatus;
   aiUsed: boolean;
   draftId?: string;
-  reason?: string; // optional context for skipped executions
+  reason?: string; // optional context for skipped or catch-up executions
+  trigger?: "manual"; // on-demand run (generateNow) — never a schedule slot
+  usage?: ExecutionUsage | null; // only when an AI call was made
 }
 
 export async function recordExecution(
@@ -32,12 +47,18 @@ export async function recordExecution(
     aiUsed,
     draftId,
     reason,
+    trigger,
+    usage,
   } = input;
 
   try {
     const db = admin.firestore();
 
-    const executionId = `${reminderId}_${scheduledForUTC}`;
+    // manual runs get their own id space so they can't collide with a slot
+    const executionId =
+      trigger === "manual"
+        ? `${reminderId}_manual_${scheduledForUTC}`
+        : `${reminderId}_${scheduledForUTC}`;
 
     const executionData: {
       reminderId: string;
@@ -48,6 +69,8 @@ export async function recordExecution(
       createdAt: FieldValue;
       draftId?: string;
       reason?: string;
+      trigger?: "manual";
+      usage?: ExecutionUsage;
     } = {
       reminderId,
       reminderType,
@@ -61,6 +84,8 @@ export async function recordExecution(
 
     // only write reason when it's present — keeps clean records for normal executions
     if (reason) executionData.reason = reason;
+    if (trigger) executionData.trigger = trigger;
+    if (usage) executionData.usage = usage;
 
     await db
       .collection("users")
@@ -75,6 +100,11 @@ export async function recordExecution(
       executionId,
       status,
     });
+
+    // rolled up once the execution itself is on record
+    if (usage) {
+      await rollUpAIUsage({ uid, reminderId, usage });
+    }
   } catch (error) {
     console.error("[recordExecution] Failed to record execution", {
       uid,
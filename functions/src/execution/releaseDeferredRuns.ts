@@ -0,0 +1,302 @@
+/**
+ * releaseDeferredRuns.ts
+ *
+ * Releases runs deferred by the daily draft limit once the user's local
+ * midnight has passed (releaseAtUTC). Each user's whole due queue is
+ * ranked and worked in their priority order — see utils/deferral.ts — so a
+ * batch limit never splits one user's queue. Every run goes through the
+ * normal generation path, so it counts toward the new day's limit. Runs
+ * that still don't fit are recorded as skipped_limit; nothing is queued
+ * twice.
+ *
+ * The released run keeps its original slot: it overwrites the "deferred"
+ * execution record and the draft carries the original scheduledForUTC.
+ * The reminder itself advanced when the run was deferred and is never
+ * touched here.
+ *
+ * Whatever happened to the reminder while the run waited still applies:
+ * deleted, paused or maxed-out reminders and slots now on a vacation or
+ * excluded day are recorded as skipped instead of released. A one-time
+ * slot on a vacation is queued again for the day after it instead.
+ */
+
+import * as admin from "firebase-admin";
+import { QueryDocumentSnapshot } from "firebase-admin/firestore";
+
+import { loadIntentVersion } from "./loadIntentVersion";
+import { checkSkipDates } from "./checkSkipDates";
+import { generateDraftContent } from "./generateDraftContent";
+import { recordExecution } from "./recordExecution";
+import { createDraft } from "../drafts/createDraft";
+import { sendPushNotification } from "../notifications/sendPushNotification";
+import { failureReason } from "../ai/aiFailure";
+import { rankDeferredRuns } from "../utils/deferral";
+
+// due runs scanned per pass to find users — their queues are read whole
+const BATCH_SIZE = 100;
+
+export interface ReleaseDeferredResult {
+  due: number;
+  released: number;
+  skipped: number;
+  failed: number;
+}
+
+type ReleaseOutcome = "released" | "skipped" | "failed" | "requeued" | "gone";
+
+// why the reminder no longer wants this run, null when it still does.
+// a one-time or end-date reminder ends on the same advance that deferred
+// the run, so being disabled alone doesn't rule the run out
+function releaseBlocker(
+  reminder: admin.firestore.DocumentData | undefined,
+): string | null {
+  if (!reminder || reminder.deletedAt) return "reminder_deleted";
+  if (reminder.enabled !== false) return null;
+  if (reminder.pausedAt) return "reminder_paused";
+  if (reminder.endReason === "max_drafts") return "reminder_ended";
+  return null;
+}
+
+async function releaseOne(
+  uid: string,
+  queued: QueryDocumentSnapshot,
+): Promise<ReleaseOutcome> {
+  const db = admin.firestore();
+
+  // claim — a second pass overlapping this one finds nothing to release
+  const claimed = await db.runTransaction(async (tx) => {
+    const fresh = await tx.get(queued.ref);
+    if (!fresh.exists) return false;
+    tx.delete(queued.ref);
+    return true;
+  });
+
+  if (!claimed) return "gone";
+
+  const reminderId: string = queued.get("reminderId");
+  const scheduledForUTC: string = queued.get("scheduledForUTC");
+  const reminderType = queued.get("reminderType") === "ai" ? "ai" : "simple";
+
+  const reminderRef = db
+    .collection("users")
+    .doc(uid)
+    .collection("reminders")
+    .doc(reminderId);
+
+  const snapshot = await reminderRef.get();
+  const reminder = snapshot.data();
+  const blocker = releaseBlocker(reminder);
+
+  if (!reminder || blocker) {
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC,
+      status: "skipped_disabled",
+      aiUsed: false,
+      reason: blocker ?? "reminder_deleted",
+    });
+    return "skipped";
+  }
+
+  // vacation or excluded dates set after the run was deferred
+  const skip = await checkSkipDates(
+    uid,
+    reminder.frequency,
+    reminder.schedule,
+    scheduledForUTC,
+  );
+
+  // a one-time waits out the vacation instead — queued again for then
+  if (skip?.resumeAtUTC) {
+    await queued.ref.set({ ...queued.data(), releaseAtUTC: skip.resumeAtUTC });
+    return "requeued";
+  }
+
+  if (skip) {
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC,
+      status: skip.status,
+      aiUsed: false,
+      reason: skip.reason,
+    });
+    return "skipped";
+  }
+
+  const intent = await loadIntentVersion(reminderRef, reminder);
+
+  try {
+    const outcome = await generateDraftContent({
+      uid,
+      reminderId,
+      reminderType,
+      content: intent.content,
+    });
+
+    if (outcome.kind === "skipped") {
+      await recordExecution({
+        uid,
+        reminderId,
+        reminderType,
+        scheduledForUTC,
+        status: outcome.status,
+        aiUsed: false,
+        reason: outcome.reason,
+      });
+      return "skipped";
+    }
+
+    const draftId = await createDraft({
+      uid,
+      reminderId,
+      reminderType,
+      content: outcome.content,
+      scheduledForUTC,
+      reminderVersion: intent.version,
+      aiUsed: outcome.aiUsed,
+    });
+
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC,
+      status: "executed",
+      aiUsed: outcome.aiUsed,
+      draftId: draftId ?? undefined,
+      reason: "deferred_release",
+      usage: outcome.usage,
+    });
+
+    await sendPushNotification(
+      draftId
+        ? {
+            uid,
+            type: "draft_success",
+            draftId,
+            reminderType,
+            platform: intent.content.platform ?? undefined,
+          }
+        : { uid, type: "draft_failed" },
+    ).catch(() => {});
+
+    return draftId ? "released" : "failed";
+  } catch (error) {
+    const reason = failureReason(error);
+
+    console.error("[releaseDeferredRuns] Generation failed", {
+      uid,
+      reminderId,
+      reason,
+      error: error instanceof Error ? error.message : String(error),
+    });
+
+    // no retry — same as a scheduled run
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC,
+      status: "failed",
+      aiUsed: false,
+      reason,
+    });
+
+    await sendPushNotification({ uid, type: "draft_failed" }).catch(() => {});
+
+    return "failed";
+  }
+}
+
+export async function releaseDeferredRuns(): Promise<ReleaseDeferredResult> {
+  const db = admin.firestore();
+  const nowUTC = new Date().toISOString();
+  const result: ReleaseDeferredResult = {
+    due: 0,
+    released: 0,
+    skipped: 0,
+    failed: 0,
+  };
+
+  // only finds whose queues are due — a batch can end mid-way through
+  // someone's queue, so each user's full due queue is read below
+  const snapshot = await db
+    .collectionGroup("deferredRuns")
+    .where("releaseAtUTC", "<=", nowUTC)
+    .orderBy("releaseAtUTC", "asc")
+    .limit(BATCH_SIZE)
+    .get();
+
+  // users/{uid}/deferredRuns/{id} — ranking is per user
+  const uids = new Set<string>();
+
+  for (const doc of snapshot.docs) {
+    const uid = doc.ref.parent.parent?.id;
+    if (uid) uids.add(uid);
+  }
+
+  for (const uid of uids) {
+    let docs: QueryDocumentSnapshot[];
+
+    try {
+      const queue = await db
+        .collection("users")
+        .doc(uid)
+        .collection("deferredRuns")
+        .where("releaseAtUTC", "<=", nowUTC)
+        .get();
+      docs = queue.docs;
+    } catch (error) {
+      // left for the next pass, whole
+      console.error("[releaseDeferredRuns] Failed to read queue", {
+        uid,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      continue;
+    }
+
+    result.due += docs.length;
+
+    let priority: unknown = [];
+
+    try {
+      const userDoc = await db.collection("users").doc(uid).get();
+      priority = userDoc.get("reminderPriority");
+    } catch {
+      // no ranking — release oldest first
+    }
+
+    const ranked = rankDeferredRuns(
+      docs.map((doc) => ({
+        reminderId: doc.get("reminderId") as string,
+        scheduledForUTC: doc.get("scheduledForUTC") as string,
+        doc,
+      })),
+      priority,
+    );
+
+    for (const { doc } of ranked) {
+      try {
+        const outcome = await releaseOne(uid, doc);
+        if (outcome !== "gone" && outcome !== "requeued") result[outcome]++;
+      } catch (error) {
+        // one run failing never blocks the rest
+        result.failed++;
+        console.error("[releaseDeferredRuns] Failed to release run", {
+          path: doc.ref.path,
+          error: error instanceof Error ? error.message : String(error),
+        });
+      }
+    }
+  }
+
+  if (result.due > 0) {
+    console.log("[releaseDeferredRuns] Done", result);
+  }
+
+  return result;
+}
@@ -0,0 +1,158 @@
+/**
+ * healthCheck.ts
+ *
+ * HTTP health and lag endpoint for an uptime checker. Reports:
+ *   - the last completed real scheduler sweep (see scheduler/runReport.ts)
+ *   - the due backlog — how many reminders are due and the oldest
+ *     overdue nextRunAtUTC
+ *   - the scheduler's AI failure rate over the last hour — manual runs
+ *     (generateNow, regenerate) are reported next to it, not mixed in
+ *   - today's global AI usage against the budget (UTC day) — the same
+ *     counter and limit checkAICaps enforces
+ *
+ * Answers 503 when the last sweep or the oldest overdue run is further
+ * behind than HEALTH_MAX_LAG_MINUTES, 200 otherwise. Read-only, and only
+ * aggregate numbers — nothing about individual users leaves this function.
+ * Each probe fails on its own: a failed read shows up as null, and an
+ * unknown last sweep counts as lagging.
+ */
+
+import * as admin from "firebase-admin";
+import { onRequest } from "firebase-functions/v2/https";
+import { defineInt } from "firebase-functions/params";
+
+import { readAIBudget } from "../usage/checkAICaps";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// sweeps run every 5 minutes — three missed sweeps is worth a page
+const HEALTH_MAX_LAG_MINUTES = defineInt("HEALTH_MAX_LAG_MINUTES", {
+  default: 15,
+});
+
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+async function probe<T>(name: string, read: () => Promise<T>) {
+  try {
+    return await read();
+  } catch (error) {
+    console.error("[healthCheck] Probe failed", {
+      probe: name,
+      error: error instanceof Error ? error.message : String(error),
+    });
+    return null;
+  }
+}
+
+async function lastCompletedSweep(): Promise<string | null> {
+  const snap = await db.collection("system").doc("schedulerRuns").get();
+  const at = snap.get("lastCompletedAt");
+  return at ? at.toDate().toISOString() : null;
+}
+
+async function dueBacklog(nowUTC: string) {
+  const due = db
+    .collectionGroup("reminders")
+    .where("enabled", "==", true)
+    .where("nextRunAtUTC", "<=", nowUTC);
+
+  const [oldest, count] = await Promise.all([
+    due.orderBy("nextRunAtUTC", "asc").limit(1).get(),
+    due.count().get(),
+  ]);
+
+  return {
+    count: count.data().count,
+    oldestDueUTC: oldest.empty
+      ? null
+      : (oldest.docs[0].get("nextRunAtUTC") as string),
+  };
+}
+
+async function aiFailureRate(sinceMs: number) {
+  const since = admin.firestore.Timestamp.fromMillis(sinceMs);
+  const executions = db.collectionGroup("executions");
+  const failed = executions.where("status", "==", "failed");
+  const succeeded = executions.where("aiUsed", "==", true);
+
+  // scheduled runs carry no trigger, and a query can't ask for a missing
+  // field — so count everything, count the manual runs, and subtract
+  const [allFailed, allSucceeded, manualFailed, manualSucceeded] =
+    await Promise.all(
+      [
+        failed,
+        succeeded,
+        failed.where("trigger", "==", "manual"),
+        succeeded.where("trigger", "==", "manual"),
+      ].map(async (query) => {
+        const snap = await query.where("createdAt", ">=", since).count().get();
+        return snap.data().count;
+      }),
+    );
+
+  const rate = (failures: number, succeededCount: number) => {
+    const attempts = failures + succeededCount;
+    return {
+      attempts,
+      failures,
+      failureRate: attempts > 0 ? failures / attempts : 0,
+    };
+  };
+
+  return {
+    ...rate(allFailed - manualFailed, allSucceeded - manualSucceeded),
+    manual: rate(manualFailed, manualSucceeded),
+  };
+}
+
+async function aiUsageToday() {
+  const { dateKey, count, limit } = await readAIBudget();
+  return { date: dateKey, aiCalls: count, limit };
+}
+
+const minutesSince = (iso: string | null | undefined, nowMs: number) =>
+  iso ? Math.max(0, Math.round((nowMs - Date.parse(iso)) / 60_000)) : null;
+
+export const healthCheck = onRequest(
+  { region: "us-central1", timeoutSeconds: 30 },
+  async (req, res) => {
+    if (req.method !== "GET") {
+      res.status(405).json({ error: "method_not_allowed" });
+      return;
+    }
+
+    const nowMs = Date.now();
+    const nowUTC = new Date(nowMs).toISOString();
+    const maxLagMinutes = HEALTH_MAX_LAG_MINUTES.value();
+
+    const [lastSweepAt, backlog, failures, usage] = await Promise.all([
+      probe("lastSweep", lastCompletedSweep),
+      probe("backlog", () => dueBacklog(nowUTC)),
+      probe("aiFailures", () => aiFailureRate(nowMs - FAILURE_WINDOW_MS)),
+      probe("aiUsage", aiUsageToday),
+    ]);
+
+    const sweepLag = minutesSince(lastSweepAt, nowMs);
+    const backlogLag = minutesSince(backlog?.oldestDueUTC, nowMs);
+
+    // no record of a sweep at all is as bad as a late one
+    const lagging =
+      sweepLag === null ||
+      sweepLag > maxLagMinutes ||
+      (backlogLag !== null && backlogLag > maxLagMinutes);
+
+    res.status(lagging ? 503 : 200).json({
+      status: lagging ? "lagging" : "ok",
+      checkedAt: nowUTC,
+      maxLagMinutes,
+      scheduler: { lastCompletedAt: lastSweepAt, lagMinutes: sweepLag },
+      backlog: backlog && { ...backlog, lagMinutes: backlogLag },
+      ai: failures && { windowMinutes: 60, ...failures },
+      usage,
+    });
+  },
+);
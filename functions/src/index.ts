@@ -1,23 +1,74 @@
 import * as admin from "firebase-admin";
 import { onSchedule } from "firebase-functions/v2/scheduler";
-import { defineString } from "firebase-functions/params";
+import { defineInt, defineString } from "firebase-functions/params";
 
 import { runScheduler } from "./scheduler/runScheduler";
+import { notifyVacationChanges } from "./notifications/notifyVacationChanges";
+import { releaseHeldDrafts } from "./delivery/releaseHeldDrafts";
+import { releaseDeferredRuns } from "./execution/releaseDeferredRuns";
 import { onReminderCreate } from "./initializers/onReminderCreate";
+import { onRecomputeQueued } from "./initializers/onRecomputeQueued";
 
 admin.initializeApp();
 
 const isEmulator = process.env.FUNCTIONS_EMULATOR === "true";
 
+// Runtime knobs. Most are defined here; two live next to the only code
+// that reads them, which can't import from this file (it would import
+// itself):
+//   AI_GLOBAL_DAILY_LIMIT   usage/checkAICaps.ts — global AI calls per UTC
+//                           day, checked by every path that calls AI
+//   HEALTH_MAX_LAG_MINUTES  health/healthCheck.ts — lag before a 503
+
 // pause the scheduler without redeploying — just flip this in Firebase config
 const SCHEDULER_ENABLED = defineString("SCHEDULER_ENABLED", {
   default: "true",
 });
 
+// dry run — the sweep evaluates every due reminder up to the AI call but
+// writes nothing; compare its run reports before switching a change on
+const SCHEDULER_DRY_RUN = defineString("SCHEDULER_DRY_RUN", {
+  default: "false",
+});
+
+// sweep tuning — how many reminders run side by side, and how long a sweep
+// may keep picking up new work before it leaves the rest for the next one
+const SCHEDULER_CONCURRENCY = defineInt("SCHEDULER_CONCURRENCY", {
+  default: 5,
+});
+
+const SCHEDULER_TIME_BUDGET_SECONDS = defineInt(
+  "SCHEDULER_TIME_BUDGET_SECONDS",
+  { default: 240 },
+);
+
+// fairness mode — round-robin owners within a sweep and cap runs per user
+const SCHEDULER_FAIRNESS = defineString("SCHEDULER_FAIRNESS", {
+  default: "false",
+});
+
+const SCHEDULER_PER_USER_CAP = defineInt("SCHEDULER_PER_USER_CAP", {
+  default: 5,
+});
+
+// runs older than this are caught up with one draft, not one per miss
+// (0 = fire every missed run, the old behavior)
+const SCHEDULER_STALE_WINDOW_MINUTES = defineInt(
+  "SCHEDULER_STALE_WINDOW_MINUTES",
+  { default: 120 },
+);
+
+// consecutive provider failures before a sweep stops calling AI
+// (0 = no breaker, every run waits out its own timeout)
+const SCHEDULER_BREAKER_THRESHOLD = defineInt("SCHEDULER_BREAKER_THRESHOLD", {
+  default: 3,
+});
+
 export const scheduledRunScheduler = onSchedule(
   {
     schedule: isEmulator ? "every 1 minutes" : "every 5 minutes",
     region: "us-central1",
+    timeoutSeconds: 300,
     secrets: ["OPENAI_API_KEY"],
   },
   async () => {
@@ -27,10 +78,71 @@ export const scheduledRunScheduler = onSchedule(
     }
 
     console.log("[schedulerTrigger] fired");
-    await runScheduler();
+    await runScheduler({
+      concurrency: SCHEDULER_CONCURRENCY.value(),
+      timeBudgetMs: SCHEDULER_TIME_BUDGET_SECONDS.value() * 1000,
+      fairness: SCHEDULER_FAIRNESS.value() === "true",
+      perUserCap: SCHEDULER_PER_USER_CAP.value(),
+      staleWindowMs: SCHEDULER_STALE_WINDOW_MINUTES.value() * 60_000,
+      dryRun: SCHEDULER_DRY_RUN.value() === "true",
+      breakerThreshold: SCHEDULER_BREAKER_THRESHOLD.value(),
+    });
+  },
+);
+
+// vacation start/end pushes — runs are skipped by the scheduler itself
+export const scheduledVacationNotices = onSchedule(
+  {
+    schedule: "every 60 minutes",
+    region: "us-central1",
+    timeoutSeconds: 300,
+  },
+  async () => {
+    await notifyVacationChanges();
+  },
+);
+
+// drafts generated ahead of their slot (lead time) go live at deliverAt
+export const scheduledDraftRelease = onSchedule(
+  {
+    schedule: "every 1 minutes",
+    region: "us-central1",
+    timeoutSeconds: 120,
+  },
+  async () => {
+    // dry run writes nothing — held drafts stay hidden until it's off
+    if (SCHEDULER_DRY_RUN.value() === "true") return;
+    await releaseHeldDrafts();
+  },
+);
+
+// limit-blocked runs queued by users who defer them — released after their
+// local midnight, when the draft limit resets
+export const scheduledDeferredRelease = onSchedule(
+  {
+    schedule: "every 15 minutes",
+    region: "us-central1",
+    timeoutSeconds: 300,
+    secrets: ["OPENAI_API_KEY"],
+  },
+  async () => {
+    if (SCHEDULER_ENABLED.value() !== "true") return;
+    // dry run writes nothing — queued runs wait until it's off
+    if (SCHEDULER_DRY_RUN.value() === "true") return;
+    await releaseDeferredRuns();
   },
 );
 
 export { onReminderCreate };
+export { onRecomputeQueued }; // re-anchors reminders after a timezone change
+export { onUserDeleted } from "./cleanup/onUserDeleted"; // backend-owned user data
 export { deleteReminder } from "./tools/deleteReminder";
+export { pauseReminder } from "./tools/pauseReminder";
+export { resumeReminder } from "./tools/resumeReminder";
+export { editReminder } from "./tools/editReminder"; // writes a new intent version
+export { skipNextOccurrence } from "./tools/skipNextOccurrence";
+export { snoozeNextOccurrence } from "./tools/snoozeNextOccurrence";
+export { generateNow } from "./tools/generateNow"; // on-demand draft, never advances
+export { regenerateDraft } from "./tools/regenerateDraft"; // redo a draft or failed run
+export { healthCheck } from "./health/healthCheck"; // uptime checks — 503 when the scheduler lags
 export { addPrompt } from "./tools/addPrompt"; // callable — enforces active cap before any reminder write
@@ -0,0 +1,189 @@
+/**
+ * Firestore trigger that consumes recompute_queue/{uid} jobs.
+ *
+ * The client queues a job after the user accepts a new timezone. Every
+ * active reminder is re-anchored to it: schedule.timezone is rewritten and
+ * nextRunAtUTC recomputed from now, the same way a new reminder starts.
+ * Paused reminders only get the new timezone — resumeReminder places
+ * their next run when they come back.
+ *
+ * Job status is written back to the queue doc so the timezone modal can
+ * follow along:
+ *   pending → running (total, processed) → done | failed
+ *
+ * A pending snooze is dropped on re-anchoring — it was relative to a slot
+ * that no longer exists. The count goes on the job (snoozesCleared) so the
+ * modal can tell the user.
+ *
+ * Only pending jobs are picked up, and the claim is transactional, so the
+ * trigger's own status writes never start a second run. A claim older than
+ * STALE_CLAIM_MS belongs to a run that crashed or timed out — it can be
+ * re-queued and taken over (firestore.rules allows the same).
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+import { FieldValue } from "firebase-admin/firestore";
+import { IANAZone } from "luxon";
+
+import { computeInitialNextRunAtUTC } from "../utils/initialSchedule";
+import { logger } from "../libs/logger";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// well under the 500-write batch limit, and a progress update per batch
+const BATCH_SIZE = 100;
+
+// well past the function timeout — keep in step with firestore.rules
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+function isStaleClaim(job: admin.firestore.DocumentSnapshot): boolean {
+  const startedAt = job.get("startedAt");
+
+  return (
+    job.get("status") === "running" &&
+    startedAt instanceof admin.firestore.Timestamp &&
+    Date.now() - startedAt.toMillis() > STALE_CLAIM_MS
+  );
+}
+
+export const onRecomputeQueued = functions.firestore
+  .document("recompute_queue/{uid}")
+  .onWrite(async (change, context) => {
+    const uid = context.params.uid;
+    const jobRef = change.after.ref;
+
+    if (!change.after.exists || change.after.get("status") !== "pending") {
+      return;
+    }
+
+    // claim it — a duplicate delivery of the same write finds it running
+    const newTimezone = await db.runTransaction(async (tx) => {
+      const job = await tx.get(jobRef);
+      if (job.get("status") !== "pending" && !isStaleClaim(job)) return null;
+
+      tx.update(jobRef, {
+        status: "running",
+        startedAt: FieldValue.serverTimestamp(),
+      });
+
+      return String(job.get("newTimezone") ?? "");
+    });
+
+    if (newTimezone === null) return;
+
+    if (!IANAZone.isValidZone(newTimezone)) {
+      await jobRef.update({
+        status: "failed",
+        error: "invalid_timezone",
+        finishedAt: FieldValue.serverTimestamp(),
+      });
+      return;
+    }
+
+    try {
+      const [activeSnap, pausedSnap] = await Promise.all([
+        db
+          .collection("users")
+          .doc(uid)
+          .collection("reminders")
+          .where("enabled", "==", true)
+          .get(),
+        db
+          .collection("users")
+          .doc(uid)
+          .collection("reminders")
+          .where("pausedAt", "!=", null)
+          .get(),
+      ]);
+
+      const docs = [...activeSnap.docs, ...pausedSnap.docs].filter(
+        (doc) => !doc.get("deletedAt"),
+      );
+
+      const total = docs.length;
+      let processed = 0;
+      let updated = 0;
+      let skipped = 0;
+      let snoozesCleared = 0;
+
+      await jobRef.update({ total, processed });
+
+      for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+
+        for (const doc of docs.slice(i, i + BATCH_SIZE)) {
+          const data = doc.data();
+          const schedule = { ...data.schedule, timezone: newTimezone };
+
+          processed++;
+
+          if (data.pausedAt) {
+            batch.update(doc.ref, {
+              "schedule.timezone": newTimezone,
+              updatedAt: FieldValue.serverTimestamp(),
+            });
+            updated++;
+            continue;
+          }
+
+          const nextRunAtUTC = computeInitialNextRunAtUTC(
+            data.frequency,
+            schedule,
+          );
+
+          // unusable in the new zone — leave it exactly as it was
+          if (!nextRunAtUTC) {
+            skipped++;
+            continue;
+          }
+
+          if (data.snoozedFromUTC) snoozesCleared++;
+
+          batch.update(doc.ref, {
+            "schedule.timezone": newTimezone,
+            nextRunAtUTC,
+            snoozedFromUTC: FieldValue.delete(),
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+          updated++;
+        }
+
+        await batch.commit();
+        await jobRef.update({ processed });
+      }
+
+      await jobRef.update({
+        status: "done",
+        updated,
+        skipped,
+        snoozesCleared,
+        finishedAt: FieldValue.serverTimestamp(),
+      });
+
+      logger.info("Timezone recompute finished", {
+        uid,
+        newTimezone,
+        total,
+        updated,
+        skipped,
+        snoozesCleared,
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+
+      logger.error("Timezone recompute failed", { uid, newTimezone, message });
+
+      await jobRef
+        .update({
+          status: "failed",
+          error: message,
+          finishedAt: FieldValue.serverTimestamp(),
+        })
+        .catch(() => {});
+    }
+  });
@@ -0,0 +1,86 @@
+/**
+ * notifyVacationChanges.ts
+ *
+ * One push when a user's vacation starts and one when it ends.
+ * Runs on its own schedule — vacation days are skipped by executeReminder,
+ * this only announces the boundaries.
+ *
+ * "Today" is the user's profile timezone. Sent pushes are remembered in
+ * users/{uid}.vacationNotices, keyed by the range, so a new vacation gets
+ * its own pair and an edited range is announced again.
+ * An end push only follows a start push.
+ */
+
+import * as admin from "firebase-admin";
+import { DateTime } from "luxon";
+
+import { sendPushNotification } from "./sendPushNotification";
+import { isVacationDay, parseVacation, vacationKey } from "../utils/vacation";
+
+export interface VacationNoticeResult {
+  checked: number;
+  started: number;
+  ended: number;
+}
+
+export async function notifyVacationChanges(): Promise<VacationNoticeResult> {
+  const db = admin.firestore();
+  const result: VacationNoticeResult = { checked: 0, started: 0, ended: 0 };
+
+  // two days back covers every timezone's "yesterday" — the day an end
+  // push is due
+  const cutoff = DateTime.utc().minus({ days: 2 }).toISODate();
+
+  const snapshot = await db
+    .collection("users")
+    .where("vacation.endDate", ">=", cutoff)
+    .get();
+
+  for (const userDoc of snapshot.docs) {
+    result.checked++;
+
+    const data = userDoc.data();
+    const vacation = parseVacation(data.vacation);
+    if (!vacation) continue;
+
+    const today = DateTime.now()
+      .setZone(data.timezone || "UTC")
+      .toISODate();
+    if (!today) continue;
+
+    const key = vacationKey(vacation);
+    const notices = data.vacationNotices ?? {};
+
+    try {
+      if (isVacationDay(today, vacation) && notices.startedFor !== key) {
+        await sendPushNotification({
+          uid: userDoc.id,
+          type: "vacation_started",
+        });
+        await userDoc.ref.update({ "vacationNotices.startedFor": key });
+        result.started++;
+      } else if (
+        today > vacation.endDate &&
+        notices.startedFor === key &&
+        notices.endedFor !== key
+      ) {
+        await sendPushNotification({
+          uid: userDoc.id,
+          type: "vacation_ended",
+        });
+        await userDoc.ref.update({ "vacationNotices.endedFor": key });
+        result.ended++;
+      }
+    } catch (error) {
+      // one user failing never blocks the rest
+      console.error("[notifyVacationChanges] Failed for user", {
+        uid: userDoc.id,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  console.log("[notifyVacationChanges] Done", result);
+
+  return result;
+}
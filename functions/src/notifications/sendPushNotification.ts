@@ -12,7 +12,12 @@
 import * as admin from "firebase-admin";
 import { getMessaging } from "firebase-admin/messaging";
 
-export type NotificationType = "draft_success" | "draft_failed";
+export type NotificationType =
+  | "draft_success"
+  | "draft_failed"
+  | "drafts_delayed" // AI provider outage — one per user per sweep
+  | "vacation_started"
+  | "vacation_ended";
 
 export interface SendPushNotificationInput {
   uid: string;
@@ -39,6 +44,27 @@ function buildNotificationContent(
   reminderType?: string,
   platform?: string,
 ): { title: string; body: string } {
+  if (type === "vacation_started") {
+    return {
+      title: "Vacation mode is on",
+      body: "Drafts are paused until you're back.",
+    };
+  }
+
+  if (type === "vacation_ended") {
+    return {
+      title: "Welcome back",
+      body: "Drafts are running on schedule again.",
+    };
+  }
+
+  if (type === "drafts_delayed") {
+    return {
+      title: "Some drafts are delayed",
+      body: "Drafting is having trouble. Prompts run again next time.",
+    };
+  }
+
   if (type === "draft_failed") {
     return {
       title: "Draft could not be prepared",
@@ -104,6 +130,9 @@ export async function sendPushNotification(
       reminderType,
       platform,
     );
+    const clickUrl = type.startsWith("vacation_")
+      ? "/workspace/settings/preferences"
+      : "/workspace/drafts";
     const messaging = getMessaging();
     const invalidDeviceIds: string[] = [];
 
@@ -123,7 +152,7 @@ export async function sendPushNotification(
             type,
             title,
             body,
-            clickUrl: "/workspace/drafts",
+            clickUrl,
           };
 
           if (draftId) data.draftId = draftId;
@@ -133,7 +162,7 @@ export async function sendPushNotification(
             data,
             webpush: {
               fcmOptions: {
-                link: "/workspace/drafts",
+                link: clickUrl,
               },
             },
           });
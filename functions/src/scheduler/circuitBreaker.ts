@@ -0,0 +1,92 @@
+/**
+ * circuitBreaker.ts
+ *
+ * Per-sweep circuit breaker for AI provider outages.
+ * When the provider is down every due AI reminder would otherwise wait out
+ * the 15s abort and send its own failure push. After `threshold`
+ * consecutive provider failures (timeout, 5xx, network) the breaker opens:
+ * the rest of the sweep's AI reminders are recorded as
+ * skipped_provider_unavailable without calling out, and still advance.
+ *
+ * Lives for one sweep only — the next sweep starts closed and tries the
+ * provider again. Everyone hit by the outage gets a single push at the end
+ * of the sweep instead of one per reminder (see runScheduler.ts).
+ */
+
+export interface CircuitBreakerState {
+  threshold: number;
+  tripped: boolean;
+  trippedAt: string | null;
+  consecutiveFailures: number;
+  providerFailures: number;
+  skipped: number;
+  affectedUsers: number;
+}
+
+export interface CircuitBreaker {
+  /** true once tripped — no more AI calls for the rest of the sweep */
+  isOpen(): boolean;
+  /** a provider call went through — the failure streak starts over */
+  recordSuccess(): void;
+  /** a provider call failed; trips the breaker at the threshold */
+  recordFailure(uid: string): void;
+  /** a run skipped because the breaker was already open */
+  recordSkip(uid: string): void;
+  /** owners whose runs failed or were skipped by an outage this sweep */
+  affectedUsers(): string[];
+  state(): CircuitBreakerState;
+}
+
+export function createCircuitBreaker(threshold: number): CircuitBreaker {
+  let consecutiveFailures = 0;
+  let providerFailures = 0;
+  let skipped = 0;
+  let trippedAt: string | null = null;
+  const affected = new Set<string>();
+
+  return {
+    isOpen() {
+      return trippedAt !== null;
+    },
+
+    recordSuccess() {
+      consecutiveFailures = 0;
+    },
+
+    recordFailure(uid) {
+      consecutiveFailures++;
+      providerFailures++;
+      affected.add(uid);
+
+      if (trippedAt === null && consecutiveFailures >= threshold) {
+        trippedAt = new Date().toISOString();
+
+        console.warn("[circuitBreaker] Provider failing — breaker open", {
+          threshold,
+          providerFailures,
+        });
+      }
+    },
+
+    recordSkip(uid) {
+      skipped++;
+      affected.add(uid);
+    },
+
+    affectedUsers() {
+      return [...affected];
+    },
+
+    state() {
+      return {
+        threshold,
+        tripped: trippedAt !== null,
+        trippedAt,
+        consecutiveFailures,
+        providerFailures,
+        skipped,
+        affectedUsers: affected.size,
+      };
+    },
+  };
+}
@@ -0,0 +1,99 @@
+/**
+ * fairness.ts
+ *
+ * Per-user fairness for a saturated scheduler sweep.
+ * The due query is ordered only by nextRunAtUTC, so one user with many
+ * reminders at the same minute could otherwise fill every page.
+ *
+ * Fairness only changes ORDER and ADMISSION within a sweep.
+ * It never touches scheduledForUTC, so the execution identity
+ * (reminderId + scheduledForUTC) is unchanged. Reminders held back by the
+ * per-user cap stay due and are picked up by the next sweep.
+ *
+ * interleaveByOwner works on one page; the gate's counts span the sweep.
+ */
+
+import { QueryDocumentSnapshot } from "firebase-admin/firestore";
+
+/**
+ * uid is on the parent collection, not stored in the reminder doc itself.
+ */
+export function ownerOf(reminderDoc: QueryDocumentSnapshot): string {
+  return reminderDoc.ref.parent.parent?.id ?? "";
+}
+
+/**
+ * Reorders a page round-robin across owners.
+ * Keeps each owner's own reminders in their original (nextRunAtUTC) order.
+ *
+ * Example: [A1, A2, A3, B1, C1] → [A1, B1, C1, A2, A3]
+ */
+export function interleaveByOwner(
+  docs: QueryDocumentSnapshot[],
+): QueryDocumentSnapshot[] {
+  const queues = new Map<string, QueryDocumentSnapshot[]>();
+
+  // Map preserves insertion order — owners rotate in order of first appearance
+  for (const doc of docs) {
+    const uid = ownerOf(doc);
+    const queue = queues.get(uid);
+    if (queue) {
+      queue.push(doc);
+    } else {
+      queues.set(uid, [doc]);
+    }
+  }
+
+  const ordered: QueryDocumentSnapshot[] = [];
+
+  while (ordered.length < docs.length) {
+    for (const queue of queues.values()) {
+      const next = queue.shift();
+      if (next) ordered.push(next);
+    }
+  }
+
+  return ordered;
+}
+
+export interface FairnessGate {
+  /** true when this owner still has room in the current sweep */
+  admit(reminderDoc: QueryDocumentSnapshot): boolean;
+  deferredCount(): number;
+  cappedOwners(): number;
+}
+
+/**
+ * Tracks executions per owner across every page of one sweep.
+ * Create one per sweep — counts are never persisted.
+ */
+export function createFairnessGate(perUserCap: number): FairnessGate {
+  const cap = Math.max(1, perUserCap);
+  const admitted = new Map<string, number>();
+  const capped = new Set<string>();
+  let deferred = 0;
+
+  return {
+    admit(reminderDoc) {
+      const uid = ownerOf(reminderDoc);
+      const count = admitted.get(uid) ?? 0;
+
+      if (count >= cap) {
+        deferred++;
+        capped.add(uid);
+        return false;
+      }
+
+      admitted.set(uid, count + 1);
+      return true;
+    },
+
+    deferredCount() {
+      return deferred;
+    },
+
+    cappedOwners() {
+      return capped.size;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * runReport.ts
+ *
+ * One report per scheduler sweep, real or dry, under
+ * system/schedulerRuns/runs/{autoId}: the options it ran with, a count per
+ * outcome (see ExecuteOutcome), duration and leftover backlog — so a dry
+ * sweep can be compared with a real one before a change is switched on.
+ * The last completed real sweep is also kept on system/schedulerRuns
+ * (lastCompletedAt) for the health check.
+ *
+ * Observational only — a failed write never fails the sweep.
+ */
+
+import * as admin from "firebase-admin";
+import { FieldValue } from "firebase-admin/firestore";
+
+export async function writeRunReport(
+  report: Record<string, unknown>,
+): Promise<void> {
+  try {
+    const runsDoc = admin.firestore().collection("system").doc("schedulerRuns");
+
+    const reportRef = await runsDoc
+      .collection("runs")
+      .add({ ...report, createdAt: FieldValue.serverTimestamp() });
+
+    // a dry sweep never drains the backlog, so it doesn't count as one
+    if (report.status === "completed" && report.dryRun !== true) {
+      await runsDoc.set(
+        {
+          lastCompletedAt: FieldValue.serverTimestamp(),
+          lastReportId: reportRef.id,
+        },
+        { merge: true },
+      );
+    }
+  } catch (error) {
+    console.error("[writeRunReport] Failed to write run report", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+}
@@ -3,10 +3,57 @@
  *
  * Scheduler engine. Finds and executes due reminders in a single sweep.
  * Does not manage its own timing—called by a scheduler trigger.
+ *
+ * A sweep pages through every due reminder (cursor on nextRunAtUTC),
+ * runs them through a small concurrency pool, and stops picking up new
+ * work once its time budget is spent. Whatever is left over is simply
+ * picked up by the next sweep. The pool works one queue per owner, so a
+ * user's reminders never run side by side — per-user checks like the
+ * draft limit always see the previous run's writes.
+ *
+ * Fairness mode (optional) round-robins each page across owners and caps
+ * how many reminders one user may run per sweep — see fairness.ts.
+ * The round-robin and the per-owner lanes only see one page (PAGE_SIZE) at
+ * a time: a user whose reminders fill several pages in a row still runs
+ * ahead of owners due later. Only the per-user cap spans the sweep, so
+ * with fairness on it is what bounds how far one user gets ahead.
+ *
+ * Runs older than the staleness window get a single catch-up draft
+ * rather than one per missed occurrence — see utils/catchUp.ts.
+ *
+ * Dry-run mode walks every due reminder through evaluateReminder instead —
+ * same decisions, no writes, no AI call. Real or dry, each sweep leaves a
+ * run report behind (see runReport.ts).
+ *
+ * Reminders with a lead time are picked up that many minutes early, so the
+ * query looks MAX_LEAD_MINUTES ahead and each page is trimmed to what is
+ * actually due for generation — see utils/leadTime.ts.
+ *
+ * A run of provider failures opens the sweep's circuit breaker: the rest of
+ * its AI reminders are skipped instead of each waiting out a timeout, and
+ * affected users get one push when the sweep ends — see circuitBreaker.ts.
  */
 
 import * as admin from "firebase-admin";
-import { executeReminder } from "../execution/executeReminder";
+import { QueryDocumentSnapshot } from "firebase-admin/firestore";
+import {
+  executeReminder,
+  ExecuteOutcome,
+} from "../execution/executeReminder";
+import { evaluateReminder } from "../execution/evaluateReminder";
+import { writeRunReport } from "./runReport";
+import {
+  createFairnessGate,
+  interleaveByOwner,
+  ownerOf,
+} from "./fairness";
+import {
+  createCircuitBreaker,
+  CircuitBreaker,
+  CircuitBreakerState,
+} from "./circuitBreaker";
+import { sendPushNotification } from "../notifications/sendPushNotification";
+import { MAX_LEAD_MINUTES, generationDueMs } from "../utils/leadTime";
 
 // Safe init fallback
 if (!admin.apps.length) {
@@ -15,64 +62,375 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
+const PAGE_SIZE = 20;
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_PER_USER_CAP = 5;
+const DEFAULT_STALE_WINDOW_MS = 2 * 60 * 60 * 1000;
+const DEFAULT_BREAKER_THRESHOLD = 3;
+
+// function timeout is 300s — leave room for in-flight AI calls (15s abort) to finish
+const DEFAULT_TIME_BUDGET_MS = 240_000;
+
+export interface RunSchedulerOptions {
+  concurrency?: number;
+  timeBudgetMs?: number;
+  fairness?: boolean;
+  perUserCap?: number;
+  staleWindowMs?: number; // 0 turns catch-up off
+  dryRun?: boolean; // evaluate up to the AI call, write nothing
+  breakerThreshold?: number; // consecutive provider failures, 0 turns it off
+}
+
+// per-outcome counts — "error" is a reminder that threw out of the run
+export type OutcomeCounts = Partial<Record<ExecuteOutcome | "error", number>>;
+
+export interface RunSchedulerResult {
+  dryRun: boolean;
+  processed: number;
+  outcomes: OutcomeCounts;
+  successCount: number;
+  errorCount: number;
+  deferredByFairness: number;
+  pages: number;
+  budgetExhausted: boolean;
+  backlogRemaining: number | null;
+  breaker: CircuitBreakerState | null; // null on dry runs or when off
+  durationMs: number;
+}
+
 /**
- * Runs one scheduler sweep.
+ * Runs `worker` over `items` with at most `limit` in flight.
+ * Stops handing out new items once `shouldStop` returns true —
+ * items already started are always allowed to finish.
  */
-export async function runScheduler() {
-  const startTime = Date.now();
-  console.log("[runScheduler] Run started", {
-    actualTime: new Date().toISOString(),
-  });
+async function runPool<T>(
+  items: T[],
+  limit: number,
+  shouldStop: () => boolean,
+  worker: (item: T) => Promise<void>,
+): Promise<number> {
+  let nextIndex = 0;
+  let started = 0;
 
-  try {
-    const nowUTC = new Date().toISOString();
+  async function lane() {
+    while (nextIndex < items.length && !shouldStop()) {
+      const item = items[nextIndex++];
+      started++;
+      await worker(item);
+    }
+  }
+
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, () =>
+    lane(),
+  );
+
+  await Promise.all(lanes);
+
+  return started;
+}
 
-    // Find due reminders across all users
-    const remindersSnapshot = await db
+/**
+ * Splits a page into one queue per owner, in order of first appearance.
+ * Keeps each owner's reminders in their page order.
+ */
+function queuesByOwner(
+  docs: QueryDocumentSnapshot[],
+): QueryDocumentSnapshot[][] {
+  const queues = new Map<string, QueryDocumentSnapshot[]>();
+
+  for (const doc of docs) {
+    const uid = ownerOf(doc);
+    queues.set(uid, [...(queues.get(uid) ?? []), doc]);
+  }
+
+  return [...queues.values()];
+}
+
+/**
+ * Counts reminders that are still due after the sweep stopped.
+ * Observational only — a failed count never fails the sweep.
+ */
+async function countDueBacklog(nowUTC: string): Promise<number | null> {
+  try {
+    const snapshot = await db
       .collectionGroup("reminders")
       .where("enabled", "==", true)
       .where("nextRunAtUTC", "<=", nowUTC)
-      .orderBy("nextRunAtUTC", "asc")
-      .limit(20)
+      .count()
       .get();
 
-    console.log("[runScheduler] Found due reminders", {
-      count: remindersSnapshot.size,
+    return snapshot.data().count;
+  } catch (error) {
+    console.error("[runScheduler] Backlog count failed", {
+      error: error instanceof Error ? error.message : String(error),
     });
+    return null;
+  }
+}
+
+/**
+ * One push per user hit by a provider failure this sweep, instead of one
+ * per reminder. An open breaker means more than one run was held back.
+ */
+async function notifyAffectedUsers(breaker: CircuitBreaker): Promise<void> {
+  const type = breaker.isOpen() ? "drafts_delayed" : "draft_failed";
+
+  for (const uid of breaker.affectedUsers()) {
+    await sendPushNotification({ uid, type }).catch(() => {});
+  }
+}
+
+/**
+ * Runs one scheduler sweep.
+ */
+export async function runScheduler(
+  options: RunSchedulerOptions = {},
+): Promise<RunSchedulerResult> {
+  const startTime = Date.now();
+
+  const concurrency = Math.max(1, options.concurrency ?? DEFAULT_CONCURRENCY);
+  const timeBudgetMs = Math.max(
+    0,
+    options.timeBudgetMs ?? DEFAULT_TIME_BUDGET_MS,
+  );
 
+  const staleWindowMs = Math.max(
+    0,
+    options.staleWindowMs ?? DEFAULT_STALE_WINDOW_MS,
+  );
+
+  const dryRun = options.dryRun === true;
+
+  // one gate per sweep — per-user counts span every page of this sweep only
+  const perUserCap = options.perUserCap ?? DEFAULT_PER_USER_CAP;
+  const fairnessGate = options.fairness ? createFairnessGate(perUserCap) : null;
+
+  // a dry run never calls the provider, so there is nothing to trip
+  const breakerThreshold = Math.max(
+    0,
+    options.breakerThreshold ?? DEFAULT_BREAKER_THRESHOLD,
+  );
+  const breaker =
+    !dryRun && breakerThreshold > 0
+      ? createCircuitBreaker(breakerThreshold)
+      : null;
+
+  console.log("[runScheduler] Run started", {
+    actualTime: new Date().toISOString(),
+    concurrency,
+    timeBudgetMs,
+    fairness: fairnessGate !== null,
+    staleWindowMs,
+    dryRun,
+    breakerThreshold: breaker ? breakerThreshold : null,
+  });
+
+  const outcomes: OutcomeCounts = {};
+  const count = (outcome: ExecuteOutcome | "error") => {
+    outcomes[outcome] = (outcomes[outcome] ?? 0) + 1;
+  };
+
+  const budgetExhausted = () => Date.now() - startTime >= timeBudgetMs;
+
+  try {
+    // frozen for the whole sweep — reminders advanced into the future never
+    // re-enter it, and the backlog count uses the same cutoff
+    const nowUTC = new Date().toISOString();
+    const nowMs = Date.parse(nowUTC);
+    const horizonUTC = new Date(
+      nowMs + MAX_LEAD_MINUTES * 60_000,
+    ).toISOString();
+
+    let processed = 0;
     let successCount = 0;
     let errorCount = 0;
+    let pages = 0;
+    let stoppedOnBudget = false;
+    let cursor: QueryDocumentSnapshot | null = null;
 
-    for (const reminderDoc of remindersSnapshot.docs) {
-      try {
-        console.log("[runScheduler] Processing reminder", {
-          reminderId: reminderDoc.id,
-          reminderPath: reminderDoc.ref.path,
-        });
-
-        await executeReminder(reminderDoc);
-        successCount++;
-      } catch (error) {
-        errorCount++;
-        console.error("[runScheduler] Error processing reminder", {
-          reminderId: reminderDoc.id,
-          reminderPath: reminderDoc.ref.path,
-          error: error instanceof Error ? error.message : String(error),
-        });
-        // Continue processing other reminders
+    while (true) {
+      if (budgetExhausted()) {
+        stoppedOnBudget = true;
+        break;
       }
+
+      // Find due reminders across all users
+      let query = db
+        .collectionGroup("reminders")
+        .where("enabled", "==", true)
+        .where("nextRunAtUTC", "<=", horizonUTC)
+        .orderBy("nextRunAtUTC", "asc")
+        .limit(PAGE_SIZE);
+
+      // doc cursor = nextRunAtUTC + document name, so reminders sharing
+      // the same minute are never skipped between pages
+      if (cursor) {
+        query = query.startAfter(cursor);
+      }
+
+      const remindersSnapshot = await query.get();
+      pages++;
+
+      console.log("[runScheduler] Found due reminders", {
+        page: pages,
+        count: remindersSnapshot.size,
+      });
+
+      if (remindersSnapshot.empty) {
+        break;
+      }
+
+      // inside the horizon but not yet inside its own lead time — the
+      // cursor still moves past it, a later sweep picks it up
+      const dueDocs = remindersSnapshot.docs.filter(
+        (doc) =>
+          generationDueMs(doc.get("nextRunAtUTC"), doc.get("schedule")) <=
+          nowMs,
+      );
+
+      // over-cap reminders are left due for the next sweep, not executed.
+      // ordering is per page — owners on later pages aren't seen yet
+      const docs = fairnessGate
+        ? interleaveByOwner(dueDocs).filter((doc) => fairnessGate.admit(doc))
+        : dueDocs;
+
+      const runOne = async (reminderDoc: QueryDocumentSnapshot) => {
+        try {
+          console.log("[runScheduler] Processing reminder", {
+            reminderId: reminderDoc.id,
+            reminderPath: reminderDoc.ref.path,
+          });
+
+          const outcome = dryRun
+            ? await evaluateReminder(reminderDoc, { staleWindowMs })
+            : await executeReminder(reminderDoc, {
+                staleWindowMs,
+                breaker: breaker ?? undefined,
+              });
+          count(outcome);
+          successCount++;
+        } catch (error) {
+          errorCount++;
+          count("error");
+          console.error("[runScheduler] Error processing reminder", {
+            reminderId: reminderDoc.id,
+            reminderPath: reminderDoc.ref.path,
+            error: error instanceof Error ? error.message : String(error),
+          });
+          // Continue processing other reminders
+        }
+      };
+
+      // one lane per owner at a time — two lanes for the same user could
+      // both pass the draft limit before either draft is counted
+      let started = 0;
+
+      await runPool(
+        queuesByOwner(docs),
+        concurrency,
+        budgetExhausted,
+        async (ownerDocs) => {
+          for (const reminderDoc of ownerDocs) {
+            // same rule as the pool — nothing new starts past the budget
+            if (budgetExhausted()) return;
+            started++;
+            await runOne(reminderDoc);
+          }
+        },
+      );
+
+      processed += started;
+
+      if (started < docs.length) {
+        stoppedOnBudget = true;
+        break;
+      }
+
+      if (remindersSnapshot.size < PAGE_SIZE) {
+        break;
+      }
+
+      cursor = remindersSnapshot.docs[remindersSnapshot.docs.length - 1];
     }
 
-    console.log("[runScheduler] Run completed", {
-      totalProcessed: remindersSnapshot.size,
+    const backlogRemaining = await countDueBacklog(nowUTC);
+
+    if (breaker) {
+      await notifyAffectedUsers(breaker);
+    }
+
+    const result: RunSchedulerResult = {
+      dryRun,
+      processed,
+      outcomes,
       successCount,
       errorCount,
+      deferredByFairness: fairnessGate?.deferredCount() ?? 0,
+      pages,
+      budgetExhausted: stoppedOnBudget,
+      backlogRemaining,
+      breaker: breaker?.state() ?? null,
       durationMs: Date.now() - startTime,
+    };
+
+    if (stoppedOnBudget) {
+      console.warn("[runScheduler] Time budget reached — leaving backlog", {
+        backlogRemaining,
+        processed,
+      });
+    }
+
+    if (breaker?.isOpen()) {
+      console.warn(
+        "[runScheduler] Circuit breaker tripped this sweep",
+        breaker.state(),
+      );
+    }
+
+    if (fairnessGate && fairnessGate.cappedOwners() > 0) {
+      console.log("[runScheduler] Per-user cap deferred reminders", {
+        deferred: fairnessGate.deferredCount(),
+        cappedOwners: fairnessGate.cappedOwners(),
+      });
+    }
+
+    console.log("[runScheduler] Run completed", result);
+
+    await writeRunReport({
+      ...result,
+      status: "completed",
+      startedAt: new Date(startTime).toISOString(),
+      options: {
+        concurrency,
+        timeBudgetMs,
+        fairness: fairnessGate !== null,
+        perUserCap: fairnessGate ? perUserCap : null,
+        staleWindowMs,
+        breakerThreshold: breaker ? breakerThreshold : null,
+      },
     });
+
+    return result;
   } catch (error) {
-    console.error("[runScheduler] Run failed", {
-      error: error instanceof Error ? error.message : String(error),
+    const message = error instanceof Error ? error.message : String(error);
+
+    console.error("[runScheduler] Run failed", { error: message });
+
+    // whoever was already hit still hears about it once
+    if (breaker) {
+      await notifyAffectedUsers(breaker);
+    }
+
+    await writeRunReport({
+      dryRun,
+      status: "failed",
+      error: message,
+      outcomes,
+      breaker: breaker?.state() ?? null,
+      startedAt: new Date(startTime).toISOString(),
+      durationMs: Date.now() - startTime,
     });
+
     throw error;
   }
 }
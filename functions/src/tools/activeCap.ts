@@ -0,0 +1,25 @@
+/**
+ * activeCap.ts
+ *
+ * The active AI reminder cap, shared by addPrompt and resumeReminder.
+ * Paused reminders are disabled, so they free their slot — resuming one
+ * takes it back and is refused when the cap is already full.
+ */
+
+import * as admin from "firebase-admin";
+
+export const ACTIVE_LIMIT = 3;
+
+export async function countActiveAIReminders(uid: string): Promise<number> {
+  const snapshot = await admin
+    .firestore()
+    .collection("users")
+    .doc(uid)
+    .collection("reminders")
+    .where("reminderType", "==", "ai")
+    .where("enabled", "==", true)
+    .get();
+
+  // exclude soft-deleted — same logic as useActiveReminderLimit
+  return snapshot.docs.filter((doc) => !doc.data().deletedAt).length;
+}
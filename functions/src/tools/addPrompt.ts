@@ -2,7 +2,8 @@ import * as functions from "firebase-functions/v1";
 import * as admin from "firebase-admin";
 import { FieldValue } from "firebase-admin/firestore";
 
-const ACTIVE_LIMIT = 3;
+import { validateScheduleIntent } from "../utils/reminderIntent";
+import { ACTIVE_LIMIT, countActiveAIReminders } from "./activeCap";
 
 export const addPrompt = functions.https.onCall(async (data, context) => {
   // must be authenticated
@@ -11,22 +12,14 @@ export const addPrompt = functions.https.onCall(async (data, context) => {
     throw new functions.https.HttpsError("unauthenticated", "Login required");
   }
 
+  const scheduleError = validateScheduleIntent(data.frequency, data.schedule);
+  if (scheduleError) {
+    throw new functions.https.HttpsError("invalid-argument", scheduleError);
+  }
+
   // only AI reminders have the active cap
   if (data.reminderType === "ai") {
-    const db = admin.firestore();
-
-    const snapshot = await db
-      .collection("users")
-      .doc(uid)
-      .collection("reminders")
-      .where("reminderType", "==", "ai")
-      .where("enabled", "==", true)
-      .get();
-
-    // exclude soft-deleted — same logic as useActiveReminderLimit
-    const activeCount = snapshot.docs.filter(
-      (doc) => !doc.data().deletedAt,
-    ).length;
+    const activeCount = await countActiveAIReminders(uid);
 
     if (activeCount >= ACTIVE_LIMIT) {
       throw new functions.https.HttpsError(
@@ -46,10 +39,21 @@ export const addPrompt = functions.https.onCall(async (data, context) => {
     frequency: data.frequency,
     schedule: data.schedule,
     content: data.content ?? {},
+    currentVersion: 1,
     createdAt: FieldValue.serverTimestamp(),
   };
 
-  await docRef.set(docToWrite);
+  // first intent version goes in alongside the reminder itself
+  const batch = db.batch();
+  batch.set(docRef, docToWrite);
+  batch.set(docRef.collection("versions").doc("1"), {
+    version: 1,
+    frequency: docToWrite.frequency,
+    schedule: docToWrite.schedule,
+    content: docToWrite.content,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
 
   return { id: docRef.id };
 });
@@ -0,0 +1,152 @@
+/**
+ * editReminder.ts
+ *
+ * Backend-only edit for reminders.
+ * An edit never rewrites intent in place — it adds the next immutable
+ * version under reminders/{id}/versions and moves currentVersion to it.
+ * The reminder keeps its id, so its drafts, executions and inbox filter
+ * stay attached. content/frequency/schedule on the reminder doc mirror the
+ * current version for the list views.
+ *
+ * Active reminders get nextRunAtUTC recomputed from now, the same way a
+ * new reminder starts. Paused ones keep it — resumeReminder places their
+ * next run when they come back.
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+import type { CallableContext } from "firebase-functions/v1/https";
+
+import { computeInitialNextRunAtUTC } from "../utils/initialSchedule";
+import {
+  buildIntentContent,
+  validateScheduleIntent,
+} from "../utils/reminderIntent";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+export const editReminder = functions.https.onCall(
+  async (data: any, context: CallableContext) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication required",
+      );
+    }
+
+    const reminderId = data?.reminderId;
+
+    if (!reminderId || typeof reminderId !== "string") {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        "reminderId is required",
+      );
+    }
+
+    const uid = context.auth.uid;
+
+    const reminderRef = db
+      .collection("users")
+      .doc(uid)
+      .collection("reminders")
+      .doc(reminderId);
+
+    // transaction so two edits in flight can't both claim the same version
+    return db.runTransaction(async (tx) => {
+      const snapshot = await tx.get(reminderRef);
+      const reminder = snapshot.data();
+
+      if (!snapshot.exists || !reminder || reminder.deletedAt) {
+        throw new functions.https.HttpsError("not-found", "Reminder not found");
+      }
+
+      const isPaused = reminder.enabled === false && Boolean(reminder.pausedAt);
+
+      // finished reminders are history — create a new one instead
+      if (reminder.enabled === false && !isPaused) {
+        throw new functions.https.HttpsError(
+          "failed-precondition",
+          "reminder_not_active",
+        );
+      }
+
+      // omitted fields carry over from the current version
+      const frequency = data.frequency ?? reminder.frequency;
+      const schedule = data.schedule ?? reminder.schedule;
+
+      const scheduleError = validateScheduleIntent(frequency, schedule);
+      if (scheduleError) {
+        throw new functions.https.HttpsError("invalid-argument", scheduleError);
+      }
+
+      // reminderType is fixed for the life of the reminder
+      const content = buildIntentContent(
+        reminder.reminderType === "ai" ? "ai" : "simple",
+        data.content ?? reminder.content,
+      );
+
+      if (!content) {
+        throw new functions.https.HttpsError(
+          "invalid-argument",
+          "content is missing the prompt or message",
+        );
+      }
+
+      const versionsCol = reminderRef.collection("versions");
+      const previous = Number(reminder.currentVersion) || 1;
+      const version = previous + 1;
+
+      // pre-versioning reminder — keep what it ran on as version 1
+      if (!reminder.currentVersion) {
+        tx.set(versionsCol.doc("1"), {
+          version: 1,
+          frequency: reminder.frequency,
+          schedule: reminder.schedule,
+          content: reminder.content ?? {},
+          createdAt: reminder.createdAt ?? null,
+        });
+      }
+
+      tx.create(versionsCol.doc(String(version)), {
+        version,
+        frequency,
+        schedule,
+        content,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      const update: Record<string, any> = {
+        frequency,
+        schedule,
+        content,
+        currentVersion: version,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+
+      let nextRunAtUTC: string | null = reminder.nextRunAtUTC ?? null;
+
+      if (!isPaused) {
+        nextRunAtUTC = computeInitialNextRunAtUTC(frequency, schedule);
+
+        // a one-time moved into the past would fire on the next sweep
+        if (!nextRunAtUTC || Date.parse(nextRunAtUTC) <= Date.now()) {
+          throw new functions.https.HttpsError(
+            "failed-precondition",
+            "no_future_run",
+          );
+        }
+
+        update.nextRunAtUTC = nextRunAtUTC;
+        update.snoozedFromUTC = admin.firestore.FieldValue.delete();
+      }
+
+      tx.update(reminderRef, update);
+
+      return { status: "edited", version, nextRunAtUTC };
+    });
+  },
+);
@@ -0,0 +1,60 @@
+/**
+ * generateNow.ts
+ *
+ * On-demand draft for an existing reminder.
+ * Runs the scheduled pipeline once, right now — see manualExecution.ts.
+ * The reminder is never advanced, so the next scheduled run happens
+ * exactly as before.
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+import type { CallableContext } from "firebase-functions/v1/https";
+
+import { runManualExecution } from "./manualExecution";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// binds the AI provider key, like the scheduled functions in index.ts
+export const generateNow = functions
+  .runWith({ secrets: ["OPENAI_API_KEY"] })
+  .https.onCall(async (data: any, context: CallableContext) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication required",
+      );
+    }
+
+    const reminderId = data?.reminderId;
+
+    if (!reminderId || typeof reminderId !== "string") {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        "reminderId is required",
+      );
+    }
+
+    const uid = context.auth.uid;
+
+    const reminderRef = db
+      .collection("users")
+      .doc(uid)
+      .collection("reminders")
+      .doc(reminderId);
+
+    const snapshot = await reminderRef.get();
+    const reminder = snapshot.data();
+
+    if (!snapshot.exists || !reminder || reminder.deletedAt) {
+      throw new functions.https.HttpsError("not-found", "Reminder not found");
+    }
+
+    const draftId = await runManualExecution({ uid, reminderRef, reminder });
+
+    return { status: "generated", draftId };
+  });
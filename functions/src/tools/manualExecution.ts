@@ -0,0 +1,132 @@
+/**
+ * manualExecution.ts
+ *
+ * User-initiated runs, shared by generateNow and regenerateDraft.
+ * Same pipeline as a scheduled execution (generateDraftContent →
+ * createDraft) against the current intent version — or the one a
+ * regenerated draft came from — counted toward the daily draft limit like
+ * any other AI draft.
+ *
+ * A manual run is never a schedule slot: the execution is recorded under
+ * a manual id (see recordExecution.ts) stamped with the request time, and
+ * the reminder is never advanced.
+ */
+
+import * as functions from "firebase-functions/v1";
+import { DocumentReference, DocumentData } from "firebase-admin/firestore";
+
+import { loadIntentVersion } from "../execution/loadIntentVersion";
+import { generateDraftContent } from "../execution/generateDraftContent";
+import { recordExecution } from "../execution/recordExecution";
+import { createDraft, DraftLink } from "../drafts/createDraft";
+import { failureReason } from "../ai/aiFailure";
+
+export interface ManualExecutionInput {
+  uid: string;
+  reminderRef: DocumentReference;
+  reminder: DocumentData;
+  draftScheduledForUTC?: string; // slot the draft belongs to — default now
+  version?: number; // intent version to generate from — default current
+  link?: DraftLink; // what the new draft replaces, if anything
+  reason?: string; // recorded on the execution, e.g. "regenerate"
+}
+
+// returns the new draftId — skips and failures surface as HttpsError
+export async function runManualExecution(
+  input: ManualExecutionInput,
+): Promise<string> {
+  const { uid, reminderRef, reminder, link, reason } = input;
+  const reminderId = reminderRef.id;
+  const reminderType = reminder.reminderType === "ai" ? "ai" : "simple";
+  const requestedAtUTC = new Date().toISOString();
+  const intent = await loadIntentVersion(
+    reminderRef,
+    input.version ? { ...reminder, currentVersion: input.version } : reminder,
+  );
+
+  let outcome;
+
+  try {
+    outcome = await generateDraftContent({
+      uid,
+      reminderId,
+      reminderType,
+      content: intent.content,
+    });
+  } catch (error) {
+    const failure = failureReason(error);
+
+    console.error("[runManualExecution] Generation failed", {
+      uid,
+      reminderId,
+      reason: failure,
+      error: error instanceof Error ? error.message : String(error),
+    });
+
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC: requestedAtUTC,
+      status: "failed",
+      aiUsed: false,
+      reason: failure,
+      trigger: "manual",
+    });
+
+    throw new functions.https.HttpsError("unavailable", failure);
+  }
+
+  if (outcome.kind === "skipped") {
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType,
+      scheduledForUTC: requestedAtUTC,
+      status: outcome.status,
+      aiUsed: false,
+      reason: outcome.reason,
+      trigger: "manual",
+    });
+
+    // the daily limit and the global budget both mean "not today"
+    throw new functions.https.HttpsError(
+      outcome.status === "skipped"
+        ? "failed-precondition"
+        : "resource-exhausted",
+      outcome.reason,
+    );
+  }
+
+  const draftId = await createDraft({
+    uid,
+    reminderId,
+    reminderType,
+    content: outcome.content,
+    scheduledForUTC: input.draftScheduledForUTC ?? requestedAtUTC,
+    reminderVersion: intent.version,
+    trigger: "manual",
+    link,
+    aiUsed: outcome.aiUsed,
+  });
+
+  // same record as a scheduled run — the AI call happened either way
+  await recordExecution({
+    uid,
+    reminderId,
+    reminderType,
+    scheduledForUTC: requestedAtUTC,
+    status: "executed",
+    aiUsed: outcome.aiUsed,
+    draftId: draftId ?? undefined,
+    reason,
+    trigger: "manual",
+    usage: outcome.usage,
+  });
+
+  if (!draftId) {
+    throw new functions.https.HttpsError("internal", "draft_not_saved");
+  }
+
+  return draftId;
+}
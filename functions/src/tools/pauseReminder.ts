@@ -0,0 +1,74 @@
+/**
+ * pauseReminder.ts
+ *
+ * Backend-only pause for reminders.
+ * Sets enabled=false and marks pausedAt, so the scheduler stops picking it
+ * up. nextRunAtUTC is left as it was — resumeReminder recomputes it.
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+import type { CallableContext } from "firebase-functions/v1/https";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+export const pauseReminder = functions.https.onCall(
+  async (data: any, context: CallableContext) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication required",
+      );
+    }
+
+    const reminderId = data?.reminderId;
+
+    if (!reminderId || typeof reminderId !== "string") {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        "reminderId is required",
+      );
+    }
+
+    const uid = context.auth.uid;
+
+    const reminderRef = db
+      .collection("users")
+      .doc(uid)
+      .collection("reminders")
+      .doc(reminderId);
+
+    const snapshot = await reminderRef.get();
+
+    if (!snapshot.exists) {
+      throw new functions.https.HttpsError("not-found", "Reminder not found");
+    }
+
+    const reminder = snapshot.data();
+
+    // Idempotent - return early if already paused
+    if (reminder?.pausedAt) {
+      return { status: "already_paused" };
+    }
+
+    // deleted, finished or already-fired reminders have nothing to pause
+    if (reminder?.deletedAt || reminder?.enabled !== true) {
+      throw new functions.https.HttpsError(
+        "failed-precondition",
+        "reminder_not_active",
+      );
+    }
+
+    await reminderRef.update({
+      enabled: false,
+      pausedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { status: "paused" };
+  },
+);
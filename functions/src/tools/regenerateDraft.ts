@@ -0,0 +1,132 @@
+/**
+ * regenerateDraft.ts
+ *
+ * User-initiated redo from the inbox, keyed to what it replaces:
+ *   { draftId }     → regenerate a draft that missed the mark
+ *   { executionId } → retry a scheduled run that failed
+ *
+ * The new draft keeps the original slot (scheduledForUTC) so it sits next to
+ * the one it replaces, and links back to it (regeneratedFrom / retryOf).
+ * A regenerated draft uses the intent version its original was made from,
+ * so the two are comparable. The original is never touched. Runs through manualExecution.ts, so it
+ * counts toward the daily draft limit and never advances the reminder.
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+import type { CallableContext } from "firebase-functions/v1/https";
+
+import { runManualExecution } from "./manualExecution";
+import type { DraftLink } from "../drafts/createDraft";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// binds the AI provider key, like the scheduled functions in index.ts
+export const regenerateDraft = functions
+  .runWith({ secrets: ["OPENAI_API_KEY"] })
+  .https.onCall(async (data: any, context: CallableContext) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication required",
+      );
+    }
+
+    const draftId = data?.draftId;
+    const executionId = data?.executionId;
+
+    const fromDraft = typeof draftId === "string" && draftId !== "";
+    const fromExecution =
+      typeof executionId === "string" && executionId !== "";
+
+    // exactly one of the two
+    if (fromDraft === fromExecution) {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        "draftId or executionId is required",
+      );
+    }
+
+    const uid = context.auth.uid;
+    const userRef = db.collection("users").doc(uid);
+
+    let reminderId: string | undefined;
+    let slotUTC: string | undefined;
+    let version: number | undefined;
+    let link: DraftLink;
+
+    if (fromDraft) {
+      const original = await userRef.collection("drafts").doc(draftId).get();
+
+      if (!original.exists) {
+        throw new functions.https.HttpsError("not-found", "Draft not found");
+      }
+
+      // still held for its lead-time slot — the user hasn't seen it yet
+      if (original.get("hidden") === true) {
+        throw new functions.https.HttpsError(
+          "failed-precondition",
+          "draft_not_delivered",
+        );
+      }
+
+      reminderId = original.get("reminderId");
+      slotUTC = original.get("scheduledForUTC");
+      version = Number(original.get("reminderVersion")) || undefined;
+      link = { regeneratedFrom: draftId };
+    } else {
+      const execution = await userRef
+        .collection("executions")
+        .doc(executionId)
+        .get();
+
+      if (!execution.exists) {
+        throw new functions.https.HttpsError(
+          "not-found",
+          "Execution not found",
+        );
+      }
+
+      // only failures have nothing to show for themselves
+      if (execution.get("status") !== "failed") {
+        throw new functions.https.HttpsError(
+          "failed-precondition",
+          "execution_not_failed",
+        );
+      }
+
+      reminderId = execution.get("reminderId");
+      slotUTC = execution.get("scheduledForUTC");
+      link = { retryOf: executionId };
+    }
+
+    if (!reminderId) {
+      throw new functions.https.HttpsError("not-found", "Reminder not found");
+    }
+
+    const reminderRef = userRef.collection("reminders").doc(reminderId);
+    const snapshot = await reminderRef.get();
+    const reminder = snapshot.data();
+
+    // soft-deleted reminders still hold their intent — only a missing doc
+    // leaves nothing to regenerate from
+    if (!snapshot.exists || !reminder) {
+      throw new functions.https.HttpsError("not-found", "Reminder not found");
+    }
+
+    const newDraftId = await runManualExecution({
+      uid,
+      reminderRef,
+      reminder,
+      draftScheduledForUTC: slotUTC,
+      version,
+      link,
+      reason: fromDraft ? "regenerate" : "retry",
+    });
+
+    return { status: "generated", draftId: newDraftId };
+  });
@@ -0,0 +1,97 @@
+/**
+ * resumeReminder.ts
+ *
+ * Backend-only resume for paused reminders.
+ * nextRunAtUTC is recomputed from now, the same way a new reminder starts —
+ * slots missed while paused are never replayed. AI reminders take back an
+ * active slot, so the active cap applies.
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+import type { CallableContext } from "firebase-functions/v1/https";
+
+import { computeInitialNextRunAtUTC } from "../utils/initialSchedule";
+import { ACTIVE_LIMIT, countActiveAIReminders } from "./activeCap";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+export const resumeReminder = functions.https.onCall(
+  async (data: any, context: CallableContext) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication required",
+      );
+    }
+
+    const reminderId = data?.reminderId;
+
+    if (!reminderId || typeof reminderId !== "string") {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        "reminderId is required",
+      );
+    }
+
+    const uid = context.auth.uid;
+
+    const reminderRef = db
+      .collection("users")
+      .doc(uid)
+      .collection("reminders")
+      .doc(reminderId);
+
+    const snapshot = await reminderRef.get();
+
+    if (!snapshot.exists) {
+      throw new functions.https.HttpsError("not-found", "Reminder not found");
+    }
+
+    const reminder = snapshot.data();
+
+    // Idempotent - nothing to do unless it's actually paused
+    if (!reminder?.pausedAt || reminder.deletedAt) {
+      return { status: "not_paused" };
+    }
+
+    if (reminder.reminderType === "ai") {
+      const activeCount = await countActiveAIReminders(uid);
+
+      if (activeCount >= ACTIVE_LIMIT) {
+        throw new functions.https.HttpsError(
+          "resource-exhausted",
+          "active_cap_reached",
+        );
+      }
+    }
+
+    const nextRunAtUTC = computeInitialNextRunAtUTC(
+      reminder.frequency,
+      reminder.schedule,
+    );
+
+    // a one-time whose moment passed while paused (or a series past its
+    // end date) has nothing left to resume into
+    if (!nextRunAtUTC || Date.parse(nextRunAtUTC) <= Date.now()) {
+      throw new functions.https.HttpsError(
+        "failed-precondition",
+        "no_future_run",
+      );
+    }
+
+    await reminderRef.update({
+      enabled: true,
+      pausedAt: admin.firestore.FieldValue.delete(),
+      snoozedFromUTC: admin.firestore.FieldValue.delete(),
+      nextRunAtUTC,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { status: "resumed", nextRunAtUTC };
+  },
+);
@@ -0,0 +1,102 @@
+/**
+ * skipNextOccurrence.ts
+ *
+ * Backend-only skip for the next occurrence of a reminder.
+ * The run is recorded as skipped_user and the reminder advances exactly as
+ * if the scheduler had reached it — the recurring rule is untouched. For a
+ * one-time reminder that means it's done.
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+import type { CallableContext } from "firebase-functions/v1/https";
+
+import { checkExecutionExists } from "../execution/idempotency";
+import { recordExecution } from "../execution/recordExecution";
+import { advanceReminder } from "../execution/advanceReminder";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+export const skipNextOccurrence = functions.https.onCall(
+  async (data: any, context: CallableContext) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication required",
+      );
+    }
+
+    const reminderId = data?.reminderId;
+
+    if (!reminderId || typeof reminderId !== "string") {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        "reminderId is required",
+      );
+    }
+
+    const uid = context.auth.uid;
+
+    const reminderRef = db
+      .collection("users")
+      .doc(uid)
+      .collection("reminders")
+      .doc(reminderId);
+
+    const snapshot = await reminderRef.get();
+
+    if (!snapshot.exists) {
+      throw new functions.https.HttpsError("not-found", "Reminder not found");
+    }
+
+    const reminder = snapshot.data();
+
+    if (!reminder?.enabled || reminder.deletedAt || !reminder.nextRunAtUTC) {
+      throw new functions.https.HttpsError(
+        "failed-precondition",
+        "reminder_not_active",
+      );
+    }
+
+    // a snoozed run is still the original occurrence
+    const scheduledForUTC: string =
+      reminder.snoozedFromUTC ?? reminder.nextRunAtUTC;
+
+    // the scheduler got there first — nothing left to skip
+    if (await checkExecutionExists(uid, reminderId, scheduledForUTC)) {
+      return { status: "already_ran", scheduledForUTC };
+    }
+
+    await recordExecution({
+      uid,
+      reminderId,
+      reminderType: reminder.reminderType,
+      scheduledForUTC,
+      status: "skipped_user",
+      aiUsed: false,
+      reason: "user_skip",
+    });
+
+    await advanceReminder({
+      reminderRef,
+      reminderData: {
+        frequency: reminder.frequency,
+        schedule: reminder.schedule,
+        deliveredCount: reminder.deliveredCount,
+      },
+      scheduledForUTC,
+    });
+
+    const after = await reminderRef.get();
+
+    return {
+      status: "skipped",
+      scheduledForUTC,
+      nextRunAtUTC: after.get("enabled") ? after.get("nextRunAtUTC") : null,
+    };
+  },
+);
@@ -0,0 +1,114 @@
+/**
+ * snoozeNextOccurrence.ts
+ *
+ * Backend-only snooze for the next occurrence of a reminder.
+ * nextRunAtUTC is moved to a one-off override time and the original slot is
+ * kept in snoozedFromUTC. executeReminder treats the snoozed run as that
+ * original occurrence, so idempotency and advancement still follow the
+ * recurring rule — the series carries on from its own schedule afterwards.
+ *
+ * A snooze can't reach the following occurrence; skip this one instead.
+ */
+
+import * as admin from "firebase-admin";
+import * as functions from "firebase-functions/v1";
+import type { CallableContext } from "firebase-functions/v1/https";
+
+import { computeNextRunAtUTC } from "../utils/scheduleUtils";
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+export const MAX_SNOOZE_HOURS = 12;
+
+export const snoozeNextOccurrence = functions.https.onCall(
+  async (data: any, context: CallableContext) => {
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        "unauthenticated",
+        "Authentication required",
+      );
+    }
+
+    const reminderId = data?.reminderId;
+    const hours = data?.hours;
+
+    if (!reminderId || typeof reminderId !== "string") {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        "reminderId is required",
+      );
+    }
+
+    if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SNOOZE_HOURS) {
+      throw new functions.https.HttpsError(
+        "invalid-argument",
+        `hours must be a whole number from 1 to ${MAX_SNOOZE_HOURS}`,
+      );
+    }
+
+    const uid = context.auth.uid;
+
+    const reminderRef = db
+      .collection("users")
+      .doc(uid)
+      .collection("reminders")
+      .doc(reminderId);
+
+    const snapshot = await reminderRef.get();
+
+    if (!snapshot.exists) {
+      throw new functions.https.HttpsError("not-found", "Reminder not found");
+    }
+
+    const reminder = snapshot.data();
+
+    if (!reminder?.enabled || reminder.deletedAt || !reminder.nextRunAtUTC) {
+      throw new functions.https.HttpsError(
+        "failed-precondition",
+        "reminder_not_active",
+      );
+    }
+
+    // snoozing again moves the same occurrence, it never stacks
+    const originalUTC: string =
+      reminder.snoozedFromUTC ?? reminder.nextRunAtUTC;
+
+    // count from the original slot, or from now if it's already due
+    const baseMs = Math.max(Date.parse(originalUTC), Date.now());
+    const snoozedUntilUTC = new Date(
+      baseMs + hours * 60 * 60 * 1000,
+    ).toISOString();
+
+    // one-time has no following occurrence to run into
+    const followingUTC =
+      reminder.frequency === "one_time"
+        ? null
+        : computeNextRunAtUTC(
+            reminder.frequency,
+            originalUTC,
+            reminder.schedule,
+          );
+
+    if (
+      followingUTC &&
+      Date.parse(snoozedUntilUTC) >= Date.parse(followingUTC)
+    ) {
+      throw new functions.https.HttpsError(
+        "failed-precondition",
+        "snooze_past_next_run",
+      );
+    }
+
+    await reminderRef.update({
+      snoozedFromUTC: originalUTC,
+      nextRunAtUTC: snoozedUntilUTC,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { status: "snoozed", scheduledForUTC: originalUTC, snoozedUntilUTC };
+  },
+);
@@ -2,69 +2,99 @@
  * checkAICaps.ts
  *
  * Purpose:
- * Checks whether an AI execution is allowed under current caps.
+ * Checks whether an AI execution is allowed under the global daily budget —
+ * AI calls per UTC day across every user, counted by incrementAICounters.
+ * The per-user limit is checkDraftLimit's job, not this one.
+ *
+ * Budget:
+ * - system/aiBudget.globalDailyLimit when set — operators change it in the
+ *   console and it applies on the next check, no redeploy
+ * - otherwise the AI_GLOBAL_DAILY_LIMIT param — defined here rather than
+ *   in index.ts because every AI path reaches this check, and index.ts
+ *   lists it with the other runtime knobs
  *
  * Guarantees:
  * - READ-ONLY guard (never increments counters)
  * - Fails CLOSED on errors to protect cost
+ * - Best-effort ceiling: runs checked side by side can overshoot it by
+ *   the sweep's concurrency
  */
 
 import * as admin from "firebase-admin";
+import { defineInt } from "firebase-functions/params";
+
+const AI_GLOBAL_DAILY_LIMIT = defineInt("AI_GLOBAL_DAILY_LIMIT", {
+  default: 100,
+});
 
-const db = admin.firestore();
+export interface AIBudget {
+  dateKey: string; // UTC day, YYYY-MM-DD
+  count: number; // AI calls so far, from incrementAICounters
+  limit: number;
+}
 
 export type AICapCheckResult =
   | { allowed: true }
-  | { allowed: false; reason: "user_limit" | "global_limit" };
+  | { allowed: false; reason: "global_limit" };
 
-/**
- * Checks whether an AI execution is allowed under current caps.
- * Fails CLOSED on errors to prevent uncontrolled AI spending.
- */
-export async function checkAICaps(uid: string): Promise<AICapCheckResult> {
-  try {
-    // Compute today's UTC date key (YYYY-MM-DD)
-    const dateKey = new Date().toISOString().split("T")[0];
+// the override doc wins whenever it holds a usable number
+async function globalDailyLimit(db: admin.firestore.Firestore) {
+  const budgetDoc = await db.collection("system").doc("aiBudget").get();
+  const override = budgetDoc.get("globalDailyLimit");
 
-    // ---- User daily cap (max 1 / day) ----
-    const userUsageDoc = await db
-      .collection("users")
-      .doc(uid)
-      .collection("aiDaily")
-      .doc(dateKey)
-      .get();
+  return Number.isInteger(override) && override >= 0
+    ? (override as number)
+    : AI_GLOBAL_DAILY_LIMIT.value();
+}
 
-    const userCount =
-      userUsageDoc.exists && typeof userUsageDoc.data()?.count === "number"
-        ? userUsageDoc.data()!.count
-        : 0;
+/**
+ * Today's usage against the budget — the numbers checkAICaps decides on,
+ * also reported by the health check. Throws on a failed read.
+ */
+export async function readAIBudget(): Promise<AIBudget> {
+  const db = admin.firestore();
 
-    if (userCount >= 1) {
-      return { allowed: false, reason: "user_limit" };
-    }
+  // Compute today's UTC date key (YYYY-MM-DD)
+  const dateKey = new Date().toISOString().split("T")[0];
 
-    // ---- Global daily cap (max 100 / day) ----
-    const globalUsageDoc = await db
+  const [limit, globalUsageDoc] = await Promise.all([
+    globalDailyLimit(db),
+    db
       .collection("system")
       .doc("aiUsage")
       .collection("daily")
       .doc(dateKey)
-      .get();
+      .get(),
+  ]);
+
+  const count =
+    typeof globalUsageDoc.get("count") === "number"
+      ? (globalUsageDoc.get("count") as number)
+      : 0;
+
+  return { dateKey, count, limit };
+}
 
-    const globalCount =
-      globalUsageDoc.exists && typeof globalUsageDoc.data()?.count === "number"
-        ? globalUsageDoc.data()!.count
-        : 0;
+/**
+ * Checks whether an AI execution is allowed under the global budget.
+ * Fails CLOSED on errors to prevent uncontrolled AI spending.
+ */
+export async function checkAICaps(): Promise<AICapCheckResult> {
+  try {
+    const { dateKey, count: globalCount, limit } = await readAIBudget();
 
-    if (globalCount >= 100) {
+    if (globalCount >= limit) {
+      console.warn("[checkAICaps] Global daily budget reached", {
+        dateKey,
+        globalCount,
+        limit,
+      });
       return { allowed: false, reason: "global_limit" };
     }
 
-    // Both caps passed
     return { allowed: true };
   } catch (error) {
     console.error("[checkAICaps] Read failed, failing closed", {
-      uid,
       error: error instanceof Error ? error.message : String(error),
     });
 
@@ -0,0 +1,84 @@
+/**
+ * rollUpAIUsage.ts
+ *
+ * Adds one AI call's tokens and cost to the daily rollups:
+ *   users/{uid}/costDaily/{YYYY-MM-DD}   per user, by reminder and platform
+ *   system/aiCost/daily/{YYYY-MM-DD}     global, by platform and model
+ *
+ * Days are UTC so the per-user and global docs line up.
+ * Atomic increments only — no reads, no transactions. Best-effort:
+ * a failed rollup never fails the execution, and the execution record
+ * keeps the exact numbers either way.
+ */
+
+import * as admin from "firebase-admin";
+import { FieldValue } from "firebase-admin/firestore";
+
+import type { ExecutionUsage } from "../execution/recordExecution";
+
+export interface RollUpAIUsageInput {
+  uid: string;
+  reminderId: string;
+  usage: ExecutionUsage;
+}
+
+// field paths can't take dots or slashes — platforms and models are ids,
+// this only guards against odd values
+const key = (value: string | null) => (value || "none").replace(/[./]/g, "_");
+
+export async function rollUpAIUsage(input: RollUpAIUsageInput): Promise<void> {
+  const { uid, reminderId, usage } = input;
+
+  try {
+    const db = admin.firestore();
+    const date = new Date().toISOString().split("T")[0];
+
+    const totals = {
+      calls: FieldValue.increment(1),
+      inputTokens: FieldValue.increment(usage.inputTokens ?? 0),
+      outputTokens: FieldValue.increment(usage.outputTokens ?? 0),
+      costUSD: FieldValue.increment(usage.costUSD ?? 0),
+      // calls we couldn't price — their cost is missing from costUSD
+      unpricedCalls: FieldValue.increment(usage.costUSD === null ? 1 : 0),
+    };
+
+    const slice = {
+      calls: FieldValue.increment(1),
+      costUSD: FieldValue.increment(usage.costUSD ?? 0),
+    };
+
+    const batch = db.batch();
+
+    batch.set(
+      db.collection("users").doc(uid).collection("costDaily").doc(date),
+      {
+        date,
+        ...totals,
+        byReminder: { [reminderId]: slice },
+        byPlatform: { [key(usage.platform)]: slice },
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true },
+    );
+
+    batch.set(
+      db.collection("system").doc("aiCost").collection("daily").doc(date),
+      {
+        date,
+        ...totals,
+        byPlatform: { [key(usage.platform)]: slice },
+        byModel: { [key(usage.model)]: slice },
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true },
+    );
+
+    await batch.commit();
+  } catch (error) {
+    console.error("[rollUpAIUsage] Failed to roll up usage", {
+      uid,
+      reminderId,
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+}
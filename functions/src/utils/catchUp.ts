@@ -0,0 +1,73 @@
+/**
+ * catchUp.ts
+ *
+ * Catch-up policy for recurring runs missed while the scheduler was off.
+ *
+ * advanceReminder steps one occurrence at a time, so after downtime every
+ * missed occurrence would fire back to back. Instead, when a due run is
+ * older than the staleness window:
+ *   - every missed occurrence except the latest is skipped (skipped_stale)
+ *   - the latest missed occurrence runs once as the catch-up draft
+ *   - advancing from it lands on the next future slot as usual
+ *
+ * One-time reminders have a single occurrence, which is its own catch-up.
+ */
+
+import { computeNextRunAtUTC, ReminderFrequency } from "./scheduleUtils";
+import { isAfterEndDate } from "./scheduleBounds";
+
+// ~500 days at four runs a day — past that a second catch-up is acceptable
+const MAX_CATCH_UP_STEPS = 2000;
+
+export interface CatchUpPlan {
+  staleRuns: string[]; // skipped occurrences, oldest first
+  catchUpUTC: string; // the one occurrence that still runs
+}
+
+/**
+ * Returns the catch-up plan for a stale run, or null when the run is
+ * within the window (or nothing can be skipped) and should run as is.
+ */
+export function planCatchUp(
+  frequency: ReminderFrequency,
+  scheduledForUTC: string,
+  schedule: any,
+  nowMs: number,
+  staleWindowMs: number,
+): CatchUpPlan | null {
+  if (frequency === "one_time" || staleWindowMs <= 0) return null;
+
+  const scheduledMs = Date.parse(scheduledForUTC);
+  if (Number.isNaN(scheduledMs) || scheduledMs >= nowMs - staleWindowMs) {
+    return null;
+  }
+
+  const staleRuns: string[] = [];
+  let latest = scheduledForUTC;
+
+  try {
+    for (let step = 0; step < MAX_CATCH_UP_STEPS; step++) {
+      const next = computeNextRunAtUTC(frequency, latest, schedule);
+
+      // stop at the last occurrence that has already passed — and never
+      // catch up on one beyond the end date
+      if (
+        !next ||
+        Date.parse(next) > nowMs ||
+        isAfterEndDate(next, schedule)
+      ) {
+        break;
+      }
+
+      staleRuns.push(latest);
+      latest = next;
+    }
+  } catch {
+    // broken schedule — let the normal path deal with it
+    return null;
+  }
+
+  if (staleRuns.length === 0) return null;
+
+  return { staleRuns, catchUpUTC: latest };
+}
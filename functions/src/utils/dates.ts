@@ -0,0 +1,23 @@
+/**
+ * dates.ts
+ *
+ * Calendar-date strings ("YYYY-MM-DD") as stored on schedules and user
+ * docs — start/end dates, excluded and blackout dates, vacation ranges,
+ * interval anchors. Always a local day; the timezone comes from the
+ * reminder's schedule.timezone, never from the string.
+ */
+
+import { DateTime } from "luxon";
+
+export const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * True for a well-formed "YYYY-MM-DD" that is also a real calendar date.
+ */
+export function isDateString(value: unknown): value is string {
+  return (
+    typeof value === "string" &&
+    DATE_RE.test(value) &&
+    DateTime.fromISO(value).isValid
+  );
+}
@@ -0,0 +1,60 @@
+/**
+ * deferral.ts
+ *
+ * Per-user policy for runs blocked by the daily draft limit:
+ *   users/{uid}.limitPolicy       "skip" (default) | "defer"
+ *   users/{uid}.reminderPriority  reminder ids, highest priority first
+ *
+ * A deferred run waits in users/{uid}/deferredRuns until the user's local
+ * midnight, when the limit resets. Queued runs are released in priority
+ * order — unranked reminders go last, oldest slot first — so the ranked
+ * prompts get the day's drafts before anything else does.
+ */
+
+import { DateTime } from "luxon";
+
+export const MAX_PRIORITY_ENTRIES = 50;
+
+export function defersLimitedRuns(userData: any): boolean {
+  return userData?.limitPolicy === "defer";
+}
+
+// start of the user's next local day, as an ISO UTC string.
+// an unknown zone counts as UTC — a null release time is never released
+export function nextResetUTC(timezone: string | undefined): string {
+  const local = DateTime.now().setZone(timezone || "UTC");
+
+  return (local.isValid ? local : DateTime.utc())
+    .plus({ days: 1 })
+    .startOf("day")
+    .toUTC()
+    .toISO() as string;
+}
+
+export interface DeferredRunRef {
+  reminderId: string;
+  scheduledForUTC: string;
+}
+
+/**
+ * Sorts queued runs in release order. Returns a new array.
+ */
+export function rankDeferredRuns<T extends DeferredRunRef>(
+  runs: T[],
+  priority: unknown,
+): T[] {
+  const order = Array.isArray(priority)
+    ? priority.slice(0, MAX_PRIORITY_ENTRIES)
+    : [];
+
+  const rank = (reminderId: string) => {
+    const index = order.indexOf(reminderId);
+    return index === -1 ? order.length : index;
+  };
+
+  return [...runs].sort(
+    (a, b) =>
+      rank(a.reminderId) - rank(b.reminderId) ||
+      a.scheduledForUTC.localeCompare(b.scheduledForUTC),
+  );
+}
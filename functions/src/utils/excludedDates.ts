@@ -0,0 +1,81 @@
+/**
+ * excludedDates.ts
+ *
+ * Dates a recurring reminder must not deliver on.
+ *
+ * Two sources, both plain "YYYY-MM-DD" lists:
+ * - schedule.excludedDates  — per reminder (holidays, shutdown days)
+ * - users/{uid}.blackoutDates — user-level, every recurring reminder
+ *
+ * Dates are calendar days in the reminder's schedule.timezone, the same
+ * day the user sees the draft arrive. One-time reminders are never skipped —
+ * the user picked that exact date.
+ */
+
+import { DateTime } from "luxon";
+import { isDateString } from "./dates";
+
+export const MAX_EXCLUDED_DATES = 100;
+
+export type ExcludedDateReason =
+  | "reminder_excluded_date"
+  | "user_blackout_date";
+
+/**
+ * Returns a reason string when excludedDates is unusable, null when valid.
+ */
+export function validateExcludedDates(
+  frequency: string,
+  excludedDates: unknown,
+): string | null {
+  if (excludedDates === undefined) return null;
+
+  if (frequency === "one_time") {
+    return "excludedDates is only used by recurring reminders";
+  }
+
+  if (!Array.isArray(excludedDates)) {
+    return "excludedDates must be a list";
+  }
+
+  if (excludedDates.length > MAX_EXCLUDED_DATES) {
+    return `excludedDates allows at most ${MAX_EXCLUDED_DATES} dates`;
+  }
+
+  if (!excludedDates.every(isDateString)) {
+    return "excludedDates entries must be YYYY-MM-DD";
+  }
+
+  return null;
+}
+
+/**
+ * Why this run's local date is excluded, or null when it should run.
+ * Malformed lists are ignored rather than blocking delivery.
+ */
+export function excludedDateReason(
+  runAtUTC: string,
+  schedule: { timezone?: string; excludedDates?: unknown } | undefined,
+  blackoutDates: unknown,
+): ExcludedDateReason | null {
+  if (!schedule?.timezone) return null;
+
+  const localDate = DateTime.fromISO(runAtUTC, { zone: "utc" })
+    .setZone(schedule.timezone)
+    .toISODate();
+
+  if (!localDate) return null;
+
+  if (
+    Array.isArray(schedule.excludedDates) &&
+    schedule.excludedDates.includes(localDate)
+  ) {
+    return "reminder_excluded_date";
+  }
+
+  if (Array.isArray(blackoutDates) && blackoutDates.includes(localDate)) {
+    return "user_blackout_date";
+  }
+
+  return null;
+}
@@ -1,30 +1,40 @@
 // functions/src/utils/initialSchedule.ts
+// Gap/overlap local times follow the DST policy in timezoneHelpers.ts
+// Recurring reminders respect startDate/endDate — see scheduleBounds.ts
 import { DateTime } from "luxon";
-
-type ReminderFrequency = "one_time" | "daily" | "weekly";
+import {
+  atLocalTimeOn,
+  parseTimeOfDay,
+  parseTimesOfDay,
+} from "./timezoneHelpers";
+import { nextRecurrenceAfter } from "./recurrence";
+import { firstRunSearchFrom, isAfterEndDate } from "./scheduleBounds";
+import { nextSlotAfter, ReminderFrequency } from "./scheduleUtils";
 
 interface Schedule {
   date?: string;
   timeOfDay: string;
+  timesOfDay?: string[]; // daily/weekly, several runs a day
   timezone: string;
   weekDays?: number[]; // ISO 1..7
+  recurrence?: any; // interval/monthly rule — see recurrence.ts
+  startDate?: string; // YYYY-MM-DD, recurring only
+  endDate?: string; // YYYY-MM-DD, recurring only
 }
 
 export function computeInitialNextRunAtUTC(
   frequency: ReminderFrequency,
   schedule: Schedule,
 ): string | null {
-  const { date, timeOfDay, timezone, weekDays } = schedule;
+  const { date, timeOfDay, timezone } = schedule;
 
   if (!frequency || !timeOfDay || !timezone) {
     return null;
   }
 
-  const [hourStr, minuteStr] = timeOfDay.split(":");
-  const hour = Number(hourStr);
-  const minute = Number(minuteStr);
+  const time = parseTimeOfDay(timeOfDay);
 
-  if (Number.isNaN(hour) || Number.isNaN(minute)) {
+  if (!time) {
     return null;
   }
 
@@ -32,28 +42,67 @@ export function computeInitialNextRunAtUTC(
   if (frequency === "one_time") {
     if (!date) return null;
 
-    const local = DateTime.fromISO(`${date}T${timeOfDay}`, {
-      zone: timezone,
-    });
+    const day = DateTime.fromISO(date, { zone: timezone });
+
+    if (!day.isValid) return null;
 
-    if (!local.isValid) return null;
+    const local = atLocalTimeOn(day, time, timezone);
 
-    return local.toUTC().toISO();
+    return local ? local.toUTC().toISO() : null;
   }
 
-  const nowLocal = DateTime.now().setZone(timezone);
+  // "now" for the search below — pushed forward to startDate when set
+  const nowLocal = firstRunSearchFrom(schedule, timezone);
+
+  if (!nowLocal.isValid) return null;
+
+  const first = firstRecurringRun(frequency, schedule, nowLocal);
+
+  // a reminder that ends before its first run never starts
+  return first && !isAfterEndDate(first, schedule) ? first : null;
+}
+
+function firstRecurringRun(
+  frequency: ReminderFrequency,
+  schedule: Schedule,
+  nowLocal: DateTime,
+): string | null {
+  const { timezone, weekDays } = schedule;
+  const time = parseTimeOfDay(schedule.timeOfDay);
+
+  if (!time) return null;
+
+  // DAILY / WEEKLY with several times — earliest upcoming slot
+  const times = parseTimesOfDay(schedule.timesOfDay);
+  if (times && times.length > 1) {
+    if (frequency === "daily") {
+      const first = nextSlotAfter(nowLocal, times, timezone, () => true, 1);
+      return first ? first.toUTC().toISO() : null;
+    }
+
+    if (frequency === "weekly") {
+      if (!Array.isArray(weekDays) || weekDays.length === 0) return null;
+      const first = nextSlotAfter(
+        nowLocal,
+        times,
+        timezone,
+        (weekday) => weekDays.includes(weekday),
+        7,
+      );
+      return first ? first.toUTC().toISO() : null;
+    }
+  }
 
   // DAILY
   if (frequency === "daily") {
-    let candidate = nowLocal
-      .startOf("day")
-      .set({ hour, minute, second: 0, millisecond: 0 });
+    let candidate = atLocalTimeOn(nowLocal, time, timezone);
 
-    if (candidate <= nowLocal) {
-      candidate = candidate.plus({ days: 1 });
+    // rebuild from tomorrow's date rather than adding 24h to today's instant
+    if (!candidate || candidate <= nowLocal) {
+      candidate = atLocalTimeOn(nowLocal.plus({ days: 1 }), time, timezone);
     }
 
-    return candidate.toUTC().toISO();
+    return candidate ? candidate.toUTC().toISO() : null;
   }
 
   // WEEKLY (calendar-based)
@@ -71,21 +120,22 @@ export function computeInitialNextRunAtUTC(
       let delta = targetWeekday - todayWeekday;
       if (delta < 0) delta += 7;
 
-      let candidateDate = nowLocal.plus({ days: delta }).startOf("day");
-
-      let candidate = candidateDate.set({
-        hour,
-        minute,
-        second: 0,
-        millisecond: 0,
-      });
+      let candidate = atLocalTimeOn(
+        nowLocal.plus({ days: delta }),
+        time,
+        timezone,
+      );
 
       // If same weekday but time already passed → move to next week
-      if (delta === 0 && candidate <= nowLocal) {
-        candidate = candidate.plus({ days: 7 });
+      if (delta === 0 && (!candidate || candidate <= nowLocal)) {
+        candidate = atLocalTimeOn(
+          nowLocal.plus({ days: delta + 7 }),
+          time,
+          timezone,
+        );
       }
 
-      if (!bestCandidate || candidate < bestCandidate) {
+      if (candidate && (!bestCandidate || candidate < bestCandidate)) {
         bestCandidate = candidate;
       }
     }
@@ -93,5 +143,10 @@ export function computeInitialNextRunAtUTC(
     return bestCandidate ? bestCandidate.toUTC().toISO() : null;
   }
 
+  // INTERVAL / MONTHLY — first occurrence of the series after now
+  if (frequency === "interval" || frequency === "monthly") {
+    return nextRecurrenceAfter(frequency, schedule, nowLocal.toUTC().toISO()!);
+  }
+
   return null;
 }
@@ -0,0 +1,46 @@
+/**
+ * leadTime.ts
+ *
+ * Optional pre-generation lead time for a reminder.
+ *
+ * Schedule field (optional, any frequency):
+ *   leadMinutes: 5 | 10 | 15 | 30 → generate this long before nextRunAtUTC
+ *
+ * The sweep picks a reminder up once nextRunAtUTC - leadMinutes has passed.
+ * A draft generated ahead of its slot is saved hidden with deliverAt set to
+ * the slot, and its push is held — delivery/releaseHeldDrafts.ts shows it
+ * and sends the push once deliverAt passes.
+ */
+
+export const LEAD_MINUTE_OPTIONS = [5, 10, 15, 30];
+export const MAX_LEAD_MINUTES = 30;
+
+export function validateLeadMinutes(value: unknown): string | null {
+  if (value === undefined || value === null || value === 0) return null;
+
+  if (!LEAD_MINUTE_OPTIONS.includes(value as number)) {
+    return `leadMinutes must be one of ${LEAD_MINUTE_OPTIONS.join(", ")}`;
+  }
+
+  return null;
+}
+
+export function leadMs(schedule: any): number {
+  const minutes = schedule?.leadMinutes;
+  return LEAD_MINUTE_OPTIONS.includes(minutes) ? minutes * 60_000 : 0;
+}
+
+// when the sweep should start generating this run
+export function generationDueMs(nextRunAtUTC: string, schedule: any): number {
+  return Date.parse(nextRunAtUTC) - leadMs(schedule);
+}
+
+// deliverAt for a draft generated at `nowMs`, undefined when it goes out
+// straight away. Always the delivery slot (nextRunAtUTC) — a snoozed run
+// keeps its original slot as identity, but that one is already past.
+export function holdUntilUTC(
+  nextRunAtUTC: string,
+  nowMs: number,
+): string | undefined {
+  return Date.parse(nextRunAtUTC) > nowMs ? nextRunAtUTC : undefined;
+}
@@ -0,0 +1,235 @@
+/**
+ * recurrence.ts
+ *
+ * Interval and monthly recurrence rules.
+ * Used for both the first run (after = now) and advancement
+ * (after = scheduledForUTC), so both always agree on the same series.
+ *
+ * Schedule shape (frontend-owned intent, validated by addPrompt):
+ *
+ *   frequency "interval":
+ *     recurrence: { every: 3, unit: "day" | "week", anchorDate: "YYYY-MM-DD" }
+ *     → anchorDate, anchorDate + every units, ... at timeOfDay
+ *
+ *   frequency "monthly":
+ *     recurrence: { monthDay: 1..31 }                       → "on the 15th"
+ *     recurrence: { weekOfMonth: 1..4 | -1, weekday: 1..7 } → "first Monday"
+ *     (weekOfMonth -1 = last; weekday is ISO, 1=Monday)
+ *
+ * Policy: monthDay past the end of a short month falls on that month's
+ * last day ("31st" → Feb 28/29, Apr 30). Times go through the DST policy
+ * in timezoneHelpers.ts.
+ */
+
+import { DateTime } from "luxon";
+import {
+  LocalDate,
+  LocalTime,
+  parseTimeOfDay,
+  resolveLocalTime,
+} from "./timezoneHelpers";
+import { DATE_RE } from "./dates";
+
+export const MAX_INTERVAL_DAYS = 90;
+export const MAX_INTERVAL_WEEKS = 12;
+
+export type IntervalUnit = "day" | "week";
+
+export interface IntervalRecurrence {
+  every: number;
+  unit: IntervalUnit;
+  anchorDate: string;
+}
+
+export interface MonthlyRecurrence {
+  monthDay?: number;
+  weekOfMonth?: number;
+  weekday?: number;
+}
+
+interface RecurrenceSchedule {
+  timeOfDay?: string;
+  timezone?: string;
+  recurrence?: any;
+}
+
+function isInt(value: unknown, min: number, max: number): value is number {
+  return (
+    typeof value === "number" &&
+    Number.isInteger(value) &&
+    value >= min &&
+    value <= max
+  );
+}
+
+/**
+ * Returns a reason string when the recurrence is unusable, null when valid.
+ */
+export function validateRecurrence(
+  frequency: string,
+  recurrence: any,
+): string | null {
+  if (!recurrence || typeof recurrence !== "object") {
+    return "recurrence is required";
+  }
+
+  if (frequency === "interval") {
+    const { every, unit, anchorDate } = recurrence;
+
+    if (unit !== "day" && unit !== "week") {
+      return "recurrence.unit must be day or week";
+    }
+
+    const max = unit === "day" ? MAX_INTERVAL_DAYS : MAX_INTERVAL_WEEKS;
+    if (!isInt(every, 1, max)) {
+      return `recurrence.every must be 1..${max}`;
+    }
+
+    if (typeof anchorDate !== "string" || !DATE_RE.test(anchorDate)) {
+      return "recurrence.anchorDate must be YYYY-MM-DD";
+    }
+
+    if (!DateTime.fromISO(anchorDate).isValid) {
+      return "recurrence.anchorDate is not a real date";
+    }
+
+    return null;
+  }
+
+  if (frequency === "monthly") {
+    const { monthDay, weekOfMonth, weekday } = recurrence;
+
+    if (monthDay !== undefined) {
+      if (weekOfMonth !== undefined || weekday !== undefined) {
+        return "use either monthDay or weekOfMonth + weekday";
+      }
+      return isInt(monthDay, 1, 31)
+        ? null
+        : "recurrence.monthDay must be 1..31";
+    }
+
+    if (!(weekOfMonth === -1 || isInt(weekOfMonth, 1, 4))) {
+      return "recurrence.weekOfMonth must be 1..4 or -1";
+    }
+
+    return isInt(weekday, 1, 7) ? null : "recurrence.weekday must be 1..7";
+  }
+
+  return "recurrence is only used by interval and monthly";
+}
+
+/**
+ * The calendar day a monthly rule lands on in a given month.
+ */
+function monthlyDateIn(
+  year: number,
+  month: number,
+  rule: MonthlyRecurrence,
+): LocalDate {
+  const first = DateTime.fromObject({ year, month, day: 1 });
+  const daysInMonth = first.daysInMonth ?? 28;
+
+  if (rule.monthDay !== undefined) {
+    return { year, month, day: Math.min(rule.monthDay, daysInMonth) };
+  }
+
+  const weekday = rule.weekday as number;
+
+  if (rule.weekOfMonth === -1) {
+    const lastWeekday = first.set({ day: daysInMonth }).weekday;
+    const back = (lastWeekday - weekday + 7) % 7;
+    return { year, month, day: daysInMonth - back };
+  }
+
+  const firstMatch = 1 + ((weekday - first.weekday + 7) % 7);
+  return {
+    year,
+    month,
+    day: firstMatch + ((rule.weekOfMonth as number) - 1) * 7,
+  };
+}
+
+function nextIntervalAfter(
+  after: DateTime,
+  time: LocalTime,
+  timezone: string,
+  rule: IntervalRecurrence,
+): DateTime | null {
+  const anchor = DateTime.fromISO(rule.anchorDate, { zone: timezone });
+  if (!anchor.isValid) return null;
+
+  const stepDays = rule.unit === "week" ? rule.every * 7 : rule.every;
+
+  // jump straight to the step just before `after` instead of walking
+  // from the anchor — anchors can be months in the past
+  const elapsedDays = Math.floor(
+    after.startOf("day").diff(anchor.startOf("day"), "days").days,
+  );
+  let step = Math.max(0, Math.floor(elapsedDays / stepDays) - 1);
+
+  // at most a couple of iterations — the loop bound is just a guard
+  for (let i = 0; i < 4; i++, step++) {
+    const day = anchor.plus({ days: step * stepDays });
+    const candidate = resolveLocalTime(
+      { year: day.year, month: day.month, day: day.day },
+      time,
+      timezone,
+    );
+
+    if (candidate && candidate > after) return candidate;
+  }
+
+  return null;
+}
+
+function nextMonthlyAfter(
+  after: DateTime,
+  time: LocalTime,
+  timezone: string,
+  rule: MonthlyRecurrence,
+): DateTime | null {
+  const startMonth = after.startOf("month");
+
+  // this month or the next always has a match — two is enough
+  for (let i = 0; i < 2; i++) {
+    const month = startMonth.plus({ months: i });
+    const candidate = resolveLocalTime(
+      monthlyDateIn(month.year, month.month, rule),
+      time,
+      timezone,
+    );
+
+    if (candidate && candidate > after) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * First interval/monthly occurrence strictly after `afterUTC`.
+ * Returns ISO string in UTC, or null if the schedule is unusable.
+ */
+export function nextRecurrenceAfter(
+  frequency: "interval" | "monthly",
+  schedule: RecurrenceSchedule | undefined,
+  afterUTC: string,
+): string | null {
+  if (!schedule?.timezone) return null;
+
+  const time = parseTimeOfDay(schedule.timeOfDay);
+  if (!time) return null;
+
+  if (validateRecurrence(frequency, schedule.recurrence)) return null;
+
+  const after = DateTime.fromISO(afterUTC, { zone: "utc" }).setZone(
+    schedule.timezone,
+  );
+  if (!after.isValid) return null;
+
+  const next =
+    frequency === "interval"
+      ? nextIntervalAfter(after, time, schedule.timezone, schedule.recurrence)
+      : nextMonthlyAfter(after, time, schedule.timezone, schedule.recurrence);
+
+  return next ? next.toUTC().toISO() : null;
+}
@@ -0,0 +1,125 @@
+/**
+ * reminderIntent.ts
+ *
+ * Validation for reminder intent written through callables.
+ * Admin SDK writes skip firestore.rules, so addPrompt and editReminder
+ * check the schedule (and, for edits, the content) here instead.
+ *
+ * Intent is versioned: every reminder has an immutable copy of each
+ * content/frequency/schedule it has had under
+ * users/{uid}/reminders/{id}/versions/{n}, and currentVersion on the
+ * reminder doc points at the live one. Reminders created before versions
+ * existed have no pointer and count as version 1.
+ */
+
+import { MAX_TIMES_PER_DAY, REMINDER_FREQUENCIES } from "./scheduleUtils";
+import { parseTimesOfDay } from "./timezoneHelpers";
+import { computeInitialNextRunAtUTC } from "./initialSchedule";
+import { validateRecurrence } from "./recurrence";
+import { validateScheduleBounds } from "./scheduleBounds";
+import { validateExcludedDates } from "./excludedDates";
+import { validateLeadMinutes } from "./leadTime";
+
+export const MAX_INTENT_TEXT = 2000;
+
+export type IntentContent = {
+  aiPrompt?: string | null;
+  role?: string | null;
+  tone?: string | null;
+  platform?: string | null;
+  message?: string | null;
+  title?: string | null;
+  notes?: string | null;
+};
+
+export function validateScheduleIntent(
+  frequency: any,
+  schedule: any,
+): string | null {
+  if (!REMINDER_FREQUENCIES.includes(frequency)) {
+    return "unsupported frequency";
+  }
+
+  if (!schedule || typeof schedule !== "object") {
+    return "schedule is required";
+  }
+
+  if (frequency === "interval" || frequency === "monthly") {
+    const reason = validateRecurrence(frequency, schedule.recurrence);
+    if (reason) return reason;
+  }
+
+  if (schedule.timesOfDay !== undefined) {
+    if (frequency !== "daily" && frequency !== "weekly") {
+      return "timesOfDay is only used by daily and weekly";
+    }
+
+    const times = parseTimesOfDay(schedule.timesOfDay);
+    if (!times || times.length !== schedule.timesOfDay.length) {
+      return "timesOfDay must be distinct HH:mm times";
+    }
+
+    if (times.length > MAX_TIMES_PER_DAY) {
+      return `timesOfDay allows at most ${MAX_TIMES_PER_DAY} times`;
+    }
+  }
+
+  const boundsError = validateScheduleBounds(frequency, schedule);
+  if (boundsError) return boundsError;
+
+  const excludedError = validateExcludedDates(
+    frequency,
+    schedule.excludedDates,
+  );
+  if (excludedError) return excludedError;
+
+  const leadError = validateLeadMinutes(schedule.leadMinutes);
+  if (leadError) return leadError;
+
+  // same computation onReminderCreate runs — if it can't place a first
+  // run, the reminder would sit there never firing
+  if (!computeInitialNextRunAtUTC(frequency, schedule)) {
+    return "schedule has no valid next run";
+  }
+
+  return null;
+}
+
+// same trimming remindrClient applies on create — empty means null
+function cleanText(value: unknown, maxLen: number): string | null {
+  if (typeof value !== "string") return null;
+  const text = value.trim().slice(0, maxLen);
+  return text === "" ? null : text;
+}
+
+/**
+ * Whitelists content fields for the reminder type.
+ * Returns null when the text the reminder runs on is missing.
+ */
+export function buildIntentContent(
+  reminderType: "ai" | "simple",
+  content: any,
+): IntentContent | null {
+  if (!content || typeof content !== "object") return null;
+
+  if (reminderType === "ai") {
+    const aiPrompt = cleanText(content.aiPrompt, MAX_INTENT_TEXT);
+    if (!aiPrompt) return null;
+
+    return {
+      aiPrompt,
+      tone: cleanText(content.tone, 100),
+      platform: cleanText(content.platform, 50),
+      role: cleanText(content.role, 100),
+    };
+  }
+
+  const message = cleanText(content.message, MAX_INTENT_TEXT);
+  if (!message) return null;
+
+  return {
+    message,
+    title: cleanText(content.title, 200),
+    notes: cleanText(content.notes, MAX_INTENT_TEXT),
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * scheduleBounds.ts
+ *
+ * Start dates and end conditions for recurring reminders.
+ *
+ * Schedule fields (all optional, recurring frequencies only):
+ *   startDate: "YYYY-MM-DD"  → no run before this local date
+ *   endDate:   "YYYY-MM-DD"  → no run after this local date (inclusive)
+ *   maxDrafts: 1..365        → stop after this many delivered drafts
+ *
+ * Dates are calendar days in schedule.timezone, same as timeOfDay.
+ * The delivered count lives on the reminder doc (deliveredCount) and is
+ * only ever written by advanceReminder.
+ */
+
+import { DateTime } from "luxon";
+import { isDateString } from "./dates";
+
+export const MAX_DRAFTS_LIMIT = 365;
+
+export type EndReason = "end_date" | "max_drafts";
+
+interface BoundedSchedule {
+  timezone?: string;
+  startDate?: string;
+  endDate?: string;
+  maxDrafts?: number;
+}
+
+/**
+ * Returns a reason string when the bounds are unusable, null when valid.
+ */
+export function validateScheduleBounds(
+  frequency: string,
+  schedule: BoundedSchedule,
+): string | null {
+  const { startDate, endDate, maxDrafts } = schedule;
+  const hasBounds =
+    startDate !== undefined || endDate !== undefined || maxDrafts !== undefined;
+
+  if (!hasBounds) return null;
+
+  if (frequency === "one_time") {
+    return "start and end conditions are only used by recurring reminders";
+  }
+
+  if (startDate !== undefined && !isDateString(startDate)) {
+    return "startDate must be YYYY-MM-DD";
+  }
+
+  if (endDate !== undefined && !isDateString(endDate)) {
+    return "endDate must be YYYY-MM-DD";
+  }
+
+  // plain string compare works for YYYY-MM-DD
+  if (startDate && endDate && endDate < startDate) {
+    return "endDate must not be before startDate";
+  }
+
+  if (
+    maxDrafts !== undefined &&
+    !(
+      Number.isInteger(maxDrafts) &&
+      maxDrafts >= 1 &&
+      maxDrafts <= MAX_DRAFTS_LIMIT
+    )
+  ) {
+    return `maxDrafts must be 1..${MAX_DRAFTS_LIMIT}`;
+  }
+
+  return null;
+}
+
+/**
+ * The point the first run is searched from: now, or the start of
+ * startDate when that's later. Returned in `timezone`.
+ */
+export function firstRunSearchFrom(
+  schedule: BoundedSchedule,
+  timezone: string,
+): DateTime {
+  const now = DateTime.now().setZone(timezone);
+
+  if (!isDateString(schedule.startDate)) return now;
+
+  // a millisecond before local midnight, so a 00:00 run on startDate
+  // still counts as "after" it
+  const start = DateTime.fromISO(schedule.startDate, { zone: timezone })
+    .startOf("day")
+    .minus({ milliseconds: 1 });
+
+  return start.isValid && start > now ? start : now;
+}
+
+/**
+ * True when a computed run falls after the schedule's endDate.
+ */
+export function isAfterEndDate(
+  runAtUTC: string,
+  schedule: BoundedSchedule | undefined,
+): boolean {
+  if (!schedule?.timezone || !isDateString(schedule.endDate)) return false;
+
+  const localDate = DateTime.fromISO(runAtUTC, { zone: "utc" })
+    .setZone(schedule.timezone)
+    .toISODate();
+
+  return localDate !== null && localDate > schedule.endDate;
+}
+
+/**
+ * True once `deliveredCount` drafts have used up maxDrafts.
+ */
+export function hasReachedMaxDrafts(
+  deliveredCount: number,
+  schedule: BoundedSchedule | undefined,
+): boolean {
+  const maxDrafts = schedule?.maxDrafts;
+  return typeof maxDrafts === "number" && deliveredCount >= maxDrafts;
+}
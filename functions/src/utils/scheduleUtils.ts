@@ -4,16 +4,115 @@
  * Critical: Uses scheduledForUTC (when it was SUPPOSED to run), not actual execution time.
  * This prevents drift when backend is slow or offline.
  *
+ * Daily and weekly runs are anchored to schedule.timeOfDay in
+ * schedule.timezone, so "09:00" stays 09:00 local across DST changes.
+ * Gap/overlap times follow the policy in timezoneHelpers.ts.
+ *
+ * Daily and weekly schedules may list several times (timesOfDay); each one
+ * is its own run with its own scheduledForUTC, stepped through in order.
+ *
  */
 
 import { DateTime } from "luxon";
+import {
+  atLocalTimeOn,
+  LocalTime,
+  parseTimeOfDay,
+  parseTimesOfDay,
+} from "./timezoneHelpers";
+import { nextRecurrenceAfter } from "./recurrence";
+
+export type ReminderFrequency =
+  "one_time" | "daily" | "weekly" | "interval" | "monthly";
 
-export type ReminderFrequency = "one_time" | "daily" | "weekly";
+export const REMINDER_FREQUENCIES: ReminderFrequency[] = [
+  "one_time",
+  "daily",
+  "weekly",
+  "interval",
+  "monthly",
+];
 
-interface WeeklySchedule {
+// keeps one reminder from quietly becoming a dozen drafts a day
+export const MAX_TIMES_PER_DAY = 4;
+
+interface RecurringSchedule {
   timeOfDay?: string; // "HH:mm" format, e.g. "09:30"
+  timesOfDay?: string[]; // daily/weekly with several runs a day
   timezone?: string; // IANA timezone, e.g. "America/New_York"
   weekDays?: number[]; // ISO weekdays: 1=Monday, 7=Sunday
+  recurrence?: any; // interval/monthly rule — see recurrence.ts
+}
+
+/**
+ * Earliest slot strictly after `after` among `times`, on days where
+ * `isRunDay(weekday)` holds, looking at most `horizonDays` days ahead.
+ * Used for daily/weekly schedules with more than one time a day.
+ */
+export function nextSlotAfter(
+  after: DateTime,
+  times: LocalTime[],
+  timezone: string,
+  isRunDay: (weekday: number) => boolean,
+  horizonDays: number,
+): DateTime | null {
+  for (let offset = 0; offset <= horizonDays; offset++) {
+    const day = after.plus({ days: offset });
+    if (!isRunDay(day.weekday)) continue;
+
+    // min rather than first — a DST gap can push an earlier time past a later one
+    let best: DateTime | null = null;
+    for (const time of times) {
+      const candidate = atLocalTimeOn(day, time, timezone);
+      if (candidate && candidate > after && (!best || candidate < best)) {
+        best = candidate;
+      }
+    }
+
+    if (best) return best;
+  }
+
+  return null;
+}
+
+/**
+ * Several times a day: next slot after the one that just ran.
+ * Returns undefined when the schedule has a single time, so the caller
+ * falls through to the regular daily/weekly logic.
+ */
+function nextMultiTimeRun(
+  frequency: "daily" | "weekly",
+  scheduledForUTC: string,
+  schedule?: RecurringSchedule,
+): string | null | undefined {
+  const times = parseTimesOfDay(schedule?.timesOfDay);
+  if (!times || times.length < 2 || !schedule?.timezone) return undefined;
+
+  const weekDays = schedule.weekDays;
+  if (
+    frequency === "weekly" &&
+    (!Array.isArray(weekDays) || weekDays.length === 0)
+  ) {
+    return null;
+  }
+
+  const after = DateTime.fromISO(scheduledForUTC, { zone: "utc" }).setZone(
+    schedule.timezone,
+  );
+  if (!after.isValid) return null;
+
+  const next =
+    frequency === "daily"
+      ? nextSlotAfter(after, times, schedule.timezone, () => true, 1)
+      : nextSlotAfter(
+          after,
+          times,
+          schedule.timezone,
+          (weekday) => weekDays!.includes(weekday),
+          7,
+        );
+
+  return next ? next.toUTC().toISO() : null;
 }
 
 /**
@@ -21,13 +120,13 @@ interface WeeklySchedule {
  *
  * @param frequency - How often reminder should run
  * @param scheduledForUTC - When this execution was scheduled (NOT when it actually ran)
- * @param schedule - Weekly config (required for weekly, ignored otherwise)
+ * @param schedule - Local time config (required for weekly/interval/monthly, used by daily when present)
  * @returns ISO string in UTC, or null if reminder should be disabled
  */
 export function computeNextRunAtUTC(
   frequency: ReminderFrequency,
   scheduledForUTC: string,
-  schedule?: WeeklySchedule,
+  schedule?: RecurringSchedule,
 ): string | null {
   const baseDate = new Date(scheduledForUTC);
 
@@ -42,12 +141,36 @@ export function computeNextRunAtUTC(
     return null;
   }
 
-  // DAILY: Simple interval - just add 24 hours
-  // Uses UTC math to avoid DST issues
+  if (frequency === "daily" || frequency === "weekly") {
+    const multi = nextMultiTimeRun(frequency, scheduledForUTC, schedule);
+    if (multi !== undefined) return multi;
+  }
+
+  // DAILY: next calendar day at timeOfDay in the user's timezone
+  // Adding 24 UTC hours would drift an hour after every DST change
   if (frequency === "daily") {
-    const next = new Date(baseDate);
-    next.setUTCDate(next.getUTCDate() + 1);
-    return next.toISOString();
+    const time = parseTimeOfDay(schedule?.timeOfDay);
+    const timezone = schedule?.timezone;
+
+    const executedLocal = timezone
+      ? DateTime.fromISO(scheduledForUTC, { zone: "utc" }).setZone(timezone)
+      : null;
+
+    // legacy reminders without a usable local schedule keep the old
+    // fixed 24h interval rather than being disabled
+    if (!time || !timezone || !executedLocal?.isValid) {
+      const next = new Date(baseDate);
+      next.setUTCDate(next.getUTCDate() + 1);
+      return next.toISOString();
+    }
+
+    const nextLocal = atLocalTimeOn(
+      executedLocal.plus({ days: 1 }),
+      time,
+      timezone,
+    );
+
+    return nextLocal ? nextLocal.toUTC().toISO() : null;
   }
 
   // WEEKLY: Calendar-based scheduling
@@ -68,18 +191,9 @@ export function computeNextRunAtUTC(
     const { timezone, timeOfDay, weekDays } = schedule;
 
     // Parse time string "HH:mm"
-    const [hourStr, minuteStr] = timeOfDay.split(":");
-    const hour = Number(hourStr);
-    const minute = Number(minuteStr);
+    const time = parseTimeOfDay(timeOfDay);
 
-    if (
-      Number.isNaN(hour) ||
-      Number.isNaN(minute) ||
-      hour < 0 ||
-      hour > 23 ||
-      minute < 0 ||
-      minute > 59
-    ) {
+    if (!time) {
       return null; // Invalid time format
     }
 
@@ -129,20 +243,21 @@ export function computeNextRunAtUTC(
       daysToAdd = 7 - currentWeekday + first;
     }
 
-    // Lock time to configured HH:mm in local timezone
+    // Lock time to configured HH:mm in local timezone on the target day
     // This ensures "9:30 AM" is always "9:30 AM" in their timezone
-    const localBase = executedLocal.set({
-      hour,
-      minute,
-      second: 0,
-      millisecond: 0,
-    });
-
-    // Add days to find next occurrence
-    const nextLocal = localBase.plus({ days: daysToAdd });
+    const nextLocal = atLocalTimeOn(
+      executedLocal.plus({ days: daysToAdd }),
+      time,
+      timezone,
+    );
 
     // Convert back to UTC for storage
-    return nextLocal.toUTC().toISO();
+    return nextLocal ? nextLocal.toUTC().toISO() : null;
+  }
+
+  // INTERVAL / MONTHLY: rule-based, see recurrence.ts
+  if (frequency === "interval" || frequency === "monthly") {
+    return nextRecurrenceAfter(frequency, schedule, scheduledForUTC);
   }
 
   // Shouldn't reach here unless new frequency type is added
@@ -0,0 +1,144 @@
+/**
+ * timezoneHelpers.ts
+ *
+ * Turns a user's local wall-clock time ("09:00 in Europe/London") into a
+ * concrete instant. Every schedule computation goes through here so DST is
+ * handled in exactly one place.
+ *
+ * DST policy (same as RFC 5545 / iCalendar):
+ * - Gap (spring-forward, local time doesn't exist):
+ *   interpreted with the offset from BEFORE the transition, which moves it
+ *   forward by the length of the gap.
+ *   e.g. 02:30 on 2026-03-08 in America/New_York → 03:30 EDT (07:30Z)
+ * - Overlap (fall-back, local time happens twice):
+ *   the FIRST occurrence wins (the earlier instant, pre-transition offset).
+ *   e.g. 01:30 on 2026-11-01 in America/New_York → 01:30 EDT (05:30Z),
+ *   never 01:30 EST as well — a reminder fires once on that day.
+ *
+ * The day itself is never changed by the policy — only the instant on it.
+ */
+
+import { DateTime, IANAZone } from "luxon";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface LocalTime {
+  hour: number;
+  minute: number;
+}
+
+export interface LocalDate {
+  year: number;
+  month: number;
+  day: number;
+}
+
+/**
+ * Parses "HH:mm" into hour/minute. Returns null when out of range.
+ */
+export function parseTimeOfDay(timeOfDay?: string): LocalTime | null {
+  if (typeof timeOfDay !== "string") return null;
+
+  const [hourStr, minuteStr] = timeOfDay.split(":");
+  const hour = Number(hourStr);
+  const minute = Number(minuteStr);
+
+  if (
+    !Number.isInteger(hour) ||
+    !Number.isInteger(minute) ||
+    hour < 0 ||
+    hour > 23 ||
+    minute < 0 ||
+    minute > 59
+  ) {
+    return null;
+  }
+
+  return { hour, minute };
+}
+
+/**
+ * Parses a schedule's timesOfDay list (daily/weekly, several runs a day).
+ * Returns the times sorted and de-duplicated, or null when the list is
+ * missing or has an unparseable entry — callers then use timeOfDay.
+ */
+export function parseTimesOfDay(timesOfDay?: unknown): LocalTime[] | null {
+  if (!Array.isArray(timesOfDay) || timesOfDay.length === 0) return null;
+
+  const times: LocalTime[] = [];
+
+  for (const raw of timesOfDay) {
+    const time = parseTimeOfDay(raw);
+    if (!time) return null;
+
+    if (!times.some((t) => t.hour === time.hour && t.minute === time.minute)) {
+      times.push(time);
+    }
+  }
+
+  const minutes = (t: LocalTime) => t.hour * 60 + t.minute;
+  return times.sort((a, b) => minutes(a) - minutes(b));
+}
+
+/**
+ * Resolves a local date + time in `timezone` to a DateTime in that zone,
+ * applying the gap/overlap policy above. Returns null for an invalid zone.
+ */
+export function resolveLocalTime(
+  date: LocalDate,
+  time: LocalTime,
+  timezone: string,
+): DateTime | null {
+  const zone = IANAZone.create(timezone);
+
+  if (!zone.isValid) return null;
+
+  // the wall-clock reading as if it were UTC — offsets are applied below
+  const wallMs = Date.UTC(
+    date.year,
+    date.month - 1,
+    date.day,
+    time.hour,
+    time.minute,
+  );
+
+  // offsets on either side of any transition near this wall time
+  // (real zones never transition twice within 48h)
+  const offsetBefore = zone.offset(wallMs - DAY_MS);
+  const offsetAfter = zone.offset(wallMs + DAY_MS);
+
+  const candidates: number[] = [];
+
+  for (const offset of [offsetBefore, offsetAfter]) {
+    const ts = wallMs - offset * 60_000;
+    // only keep instants that actually read as this wall time
+    if (zone.offset(ts) === offset) candidates.push(ts);
+  }
+
+  // overlap → two valid instants, earliest wins
+  // gap → none valid, use the pre-transition offset (shifts forward by the gap)
+  const ts =
+    candidates.length > 0
+      ? Math.min(...candidates)
+      : wallMs - offsetBefore * 60_000;
+
+  const resolved = DateTime.fromMillis(ts, { zone });
+
+  return resolved.isValid ? resolved : null;
+}
+
+/**
+ * Same as resolveLocalTime, but takes the date from an existing DateTime
+ * (its calendar day in its own zone).
+ */
+export function atLocalTimeOn(
+  day: DateTime,
+  time: LocalTime,
+  timezone: string,
+): DateTime | null {
+  return resolveLocalTime(
+    { year: day.year, month: day.month, day: day.day },
+    time,
+    timezone,
+  );
+}
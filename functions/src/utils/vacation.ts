@@ -0,0 +1,93 @@
+/**
+ * vacation.ts
+ *
+ * Account-wide vacation mode: users/{uid}.vacation = { startDate, endDate }
+ * ("YYYY-MM-DD", both inclusive). Every recurring run whose local date
+ * falls inside the range is skipped (skipped_vacation), and delivery picks
+ * up again on its own afterwards. A one-time reminder has nothing to pick
+ * up again, so its run moves to the same local time on the day after.
+ *
+ * Like excluded dates, the local date is the reminder's schedule.timezone.
+ */
+
+import { DateTime } from "luxon";
+import { isDateString } from "./dates";
+import { resolveLocalTime } from "./timezoneHelpers";
+
+export interface VacationRange {
+  startDate: string;
+  endDate: string;
+}
+
+/**
+ * The stored vacation when it's a usable range, otherwise null.
+ */
+export function parseVacation(value: unknown): VacationRange | null {
+  const v = value as Partial<VacationRange> | null | undefined;
+
+  if (!v || !isDateString(v.startDate) || !isDateString(v.endDate)) {
+    return null;
+  }
+
+  // plain string compare works for YYYY-MM-DD
+  return v.endDate >= v.startDate
+    ? { startDate: v.startDate, endDate: v.endDate }
+    : null;
+}
+
+/**
+ * True when `localDate` ("YYYY-MM-DD") is inside the range.
+ */
+export function isVacationDay(localDate: string, vacation: VacationRange) {
+  return localDate >= vacation.startDate && localDate <= vacation.endDate;
+}
+
+/**
+ * True when a run's local date falls inside the user's vacation.
+ */
+export function isOnVacation(
+  runAtUTC: string,
+  timezone: string | undefined,
+  vacationValue: unknown,
+): boolean {
+  const vacation = parseVacation(vacationValue);
+  if (!vacation || !timezone) return false;
+
+  const localDate = DateTime.fromISO(runAtUTC, { zone: "utc" })
+    .setZone(timezone)
+    .toISODate();
+
+  return localDate !== null && isVacationDay(localDate, vacation);
+}
+
+/**
+ * The same local time as `runAtUTC` on the first day after the vacation,
+ * or null when there's no usable vacation or zone.
+ */
+export function firstRunAfterVacation(
+  runAtUTC: string,
+  timezone: string | undefined,
+  vacationValue: unknown,
+): string | null {
+  const vacation = parseVacation(vacationValue);
+  if (!vacation || !timezone) return null;
+
+  const local = DateTime.fromISO(runAtUTC, { zone: "utc" }).setZone(timezone);
+  const day = DateTime.fromISO(vacation.endDate).plus({ days: 1 });
+  if (!local.isValid || !day.isValid) return null;
+
+  const resumed = resolveLocalTime(
+    { year: day.year, month: day.month, day: day.day },
+    { hour: local.hour, minute: local.minute },
+    timezone,
+  );
+
+  return resumed ? resumed.toUTC().toISO() : null;
+}
+
+/**
+ * Identifies one vacation, so its start/end pushes go out once each.
+ */
+export function vacationKey(vacation: VacationRange): string {
+  return `${vacation.startDate}_${vacation.endDate}`;
+}
@@ -0,0 +1,133 @@
+/**
+ * Provider selection and the stub provider the emulator and tests run on.
+ */
+
+import { afterEach, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveAIProvider } from "../src/ai/aiProvider";
+import { stubProvider } from "../src/ai/providers/stubProvider";
+import { callAIOnce } from "../src/ai/callAIOnce";
+import { ExecutionFailure } from "../src/ai/aiFailure";
+
+const signal = new AbortController().signal;
+const prompt = "Write a short post about shipping small changes.";
+
+const notConfigured = (error: unknown) =>
+  error instanceof ExecutionFailure && error.reason === "ai_not_configured";
+
+// any network call fails the test — the stub must never make one
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  globalThis.fetch = async () => {
+    throw new Error("network used");
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+describe("stubProvider", () => {
+  test("same seed and prompt give the same draft", async () => {
+    const first = await stubProvider("seed-a").generate(prompt, signal);
+    const second = await stubProvider("seed-a").generate(prompt, signal);
+
+    assert.deepEqual(first, second);
+    assert.ok(first.text.length >= 20);
+  });
+
+  test("a different seed gives a different draft", async () => {
+    const a = await stubProvider("seed-a").generate(prompt, signal);
+    const b = await stubProvider("seed-b").generate(prompt, signal);
+
+    assert.notEqual(a.text, b.text);
+  });
+
+  test("reports token counts", async () => {
+    const { inputTokens, outputTokens } = await stubProvider("s").generate(
+      prompt,
+      signal,
+    );
+
+    assert.ok((inputTokens ?? 0) > 0);
+    assert.ok((outputTokens ?? 0) > 0);
+  });
+
+  test("callAIOnce runs on it with no key and no network", async () => {
+    const saved = { ...process.env };
+    process.env.AI_PROVIDER = "stub";
+    process.env.AI_STUB_SEED = "seed-a";
+    delete process.env.OPENAI_API_KEY;
+
+    try {
+      const first = await callAIOnce(prompt);
+      const second = await callAIOnce(prompt);
+
+      assert.equal(first.text, second.text);
+      assert.equal(first.usage.provider, "stub");
+      assert.equal(first.usage.costUSD, 0);
+    } finally {
+      process.env = saved;
+    }
+  });
+});
+
+describe("resolveAIProvider", () => {
+  test("defaults to openai with the default model", () => {
+    const provider = resolveAIProvider({ OPENAI_API_KEY: "sk-test" });
+
+    assert.equal(provider.name, "openai");
+    assert.equal(provider.model, "gpt-4.1-mini");
+  });
+
+  test("AI_MODEL overrides the openai model", () => {
+    const provider = resolveAIProvider({
+      OPENAI_API_KEY: "sk-test",
+      AI_MODEL: "gpt-4.1",
+    });
+
+    assert.equal(provider.model, "gpt-4.1");
+  });
+
+  test("openai without a key is not configured", () => {
+    assert.throws(() => resolveAIProvider({}), notConfigured);
+  });
+
+  test("openai_compatible needs a base URL and a model", () => {
+    assert.throws(
+      () => resolveAIProvider({ AI_PROVIDER: "openai_compatible" }),
+      notConfigured,
+    );
+    assert.throws(
+      () =>
+        resolveAIProvider({
+          AI_PROVIDER: "openai_compatible",
+          AI_BASE_URL: "http://localhost:11434/v1",
+        }),
+      notConfigured,
+    );
+
+    const provider = resolveAIProvider({
+      AI_PROVIDER: "openai_compatible",
+      AI_BASE_URL: "http://localhost:11434/v1",
+      AI_MODEL: "llama3",
+    });
+
+    assert.equal(provider.model, "llama3");
+  });
+
+  test("stub needs no key", () => {
+    const provider = resolveAIProvider({ AI_PROVIDER: " Stub " });
+
+    assert.equal(provider.name, "stub");
+  });
+
+  test("an unknown provider is not configured", () => {
+    assert.throws(
+      () => resolveAIProvider({ AI_PROVIDER: "nonexistent" }),
+      notConfigured,
+    );
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * planCatchUp: skip every missed occurrence but the latest one.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { planCatchUp } from "../src/utils/catchUp";
+
+const HOUR_MS = 60 * 60 * 1000;
+const staleWindowMs = 6 * HOUR_MS;
+const daily = { timeOfDay: "09:00", timezone: "UTC" };
+
+const at = (iso: string) => Date.parse(iso);
+
+describe("planCatchUp", () => {
+  test("skips the older misses and runs the latest once", () => {
+    assert.deepEqual(
+      planCatchUp(
+        "daily",
+        "2026-01-01T09:00:00.000Z",
+        daily,
+        at("2026-01-04T12:00:00Z"),
+        staleWindowMs,
+      ),
+      {
+        staleRuns: [
+          "2026-01-01T09:00:00.000Z",
+          "2026-01-02T09:00:00.000Z",
+          "2026-01-03T09:00:00.000Z",
+        ],
+        catchUpUTC: "2026-01-04T09:00:00.000Z",
+      },
+    );
+  });
+
+  test("never catches up past the end date", () => {
+    const bounded = { ...daily, endDate: "2026-01-02" };
+
+    assert.deepEqual(
+      planCatchUp(
+        "daily",
+        "2026-01-01T09:00:00.000Z",
+        bounded,
+        at("2026-01-04T12:00:00Z"),
+        staleWindowMs,
+      ),
+      {
+        staleRuns: ["2026-01-01T09:00:00.000Z"],
+        catchUpUTC: "2026-01-02T09:00:00.000Z",
+      },
+    );
+  });
+
+  test("runs as is inside the window", () => {
+    assert.equal(
+      planCatchUp(
+        "daily",
+        "2026-01-04T09:00:00.000Z",
+        daily,
+        at("2026-01-04T12:00:00Z"),
+        staleWindowMs,
+      ),
+      null,
+    );
+  });
+
+  test("runs as is when it is the latest missed occurrence", () => {
+    assert.equal(
+      planCatchUp(
+        "daily",
+        "2026-01-03T09:00:00.000Z",
+        daily,
+        at("2026-01-03T20:00:00Z"),
+        staleWindowMs,
+      ),
+      null,
+    );
+  });
+
+  test("leaves one-time reminders and a disabled window alone", () => {
+    const now = at("2026-01-04T12:00:00Z");
+
+    assert.equal(
+      planCatchUp("one_time", "2026-01-01T09:00:00.000Z", daily, now, 1),
+      null,
+    );
+    assert.equal(
+      planCatchUp("daily", "2026-01-01T09:00:00.000Z", daily, now, 0),
+      null,
+    );
+  });
+});
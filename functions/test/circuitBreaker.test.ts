@@ -0,0 +1,80 @@
+/**
+ * Circuit breaker state machine: closed → open after `threshold`
+ * consecutive failures, and no way back within a sweep.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { createCircuitBreaker } from "../src/scheduler/circuitBreaker";
+
+describe("createCircuitBreaker", () => {
+  test("starts closed", () => {
+    const breaker = createCircuitBreaker(3);
+
+    assert.equal(breaker.isOpen(), false);
+    assert.deepEqual(breaker.state(), {
+      threshold: 3,
+      tripped: false,
+      trippedAt: null,
+      consecutiveFailures: 0,
+      providerFailures: 0,
+      skipped: 0,
+      affectedUsers: 0,
+    });
+  });
+
+  test("opens at the threshold of consecutive failures", () => {
+    const breaker = createCircuitBreaker(3);
+
+    breaker.recordFailure("a");
+    breaker.recordFailure("b");
+    assert.equal(breaker.isOpen(), false);
+
+    breaker.recordFailure("a");
+    assert.equal(breaker.isOpen(), true);
+
+    const state = breaker.state();
+    assert.equal(state.tripped, true);
+    assert.equal(typeof state.trippedAt, "string");
+    assert.equal(state.providerFailures, 3);
+    assert.equal(state.affectedUsers, 2);
+  });
+
+  test("a success resets the streak but not the total", () => {
+    const breaker = createCircuitBreaker(2);
+
+    breaker.recordFailure("a");
+    breaker.recordSuccess();
+    breaker.recordFailure("b");
+    assert.equal(breaker.isOpen(), false);
+
+    const state = breaker.state();
+    assert.equal(state.consecutiveFailures, 1);
+    assert.equal(state.providerFailures, 2);
+  });
+
+  test("stays open after a success", () => {
+    const breaker = createCircuitBreaker(1);
+
+    breaker.recordFailure("a");
+    const { trippedAt } = breaker.state();
+
+    breaker.recordSuccess();
+    breaker.recordFailure("b");
+    assert.equal(breaker.isOpen(), true);
+    assert.equal(breaker.state().trippedAt, trippedAt);
+  });
+
+  test("skips count once per run and each owner once", () => {
+    const breaker = createCircuitBreaker(1);
+
+    breaker.recordFailure("a");
+    breaker.recordSkip("a");
+    breaker.recordSkip("b");
+    breaker.recordSkip("b");
+
+    assert.equal(breaker.state().skipped, 3);
+    assert.deepEqual(breaker.affectedUsers().sort(), ["a", "b"]);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Fairness mode: round-robin order across owners and the per-sweep cap.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import type { QueryDocumentSnapshot } from "firebase-admin/firestore";
+
+import {
+  createFairnessGate,
+  interleaveByOwner,
+  ownerOf,
+} from "../src/scheduler/fairness";
+
+// users/{uid}/reminders/{id} — only the path matters here
+function reminder(uid: string, id: string): QueryDocumentSnapshot {
+  return {
+    id,
+    ref: { parent: { parent: { id: uid } } },
+  } as unknown as QueryDocumentSnapshot;
+}
+
+const ids = (docs: QueryDocumentSnapshot[]) => docs.map((doc) => doc.id);
+
+describe("interleaveByOwner", () => {
+  test("round-robins owners in order of first appearance", () => {
+    const page = [
+      reminder("a", "A1"),
+      reminder("a", "A2"),
+      reminder("a", "A3"),
+      reminder("b", "B1"),
+      reminder("c", "C1"),
+    ];
+
+    assert.deepEqual(ids(interleaveByOwner(page)), [
+      "A1",
+      "B1",
+      "C1",
+      "A2",
+      "A3",
+    ]);
+  });
+
+  test("keeps each owner's own order", () => {
+    const page = [
+      reminder("b", "B1"),
+      reminder("a", "A1"),
+      reminder("b", "B2"),
+      reminder("a", "A2"),
+    ];
+
+    assert.deepEqual(ids(interleaveByOwner(page)), ["B1", "A1", "B2", "A2"]);
+  });
+
+  test("returns every doc exactly once", () => {
+    const page = [reminder("a", "A1"), reminder("a", "A2")];
+
+    assert.deepEqual(ids(interleaveByOwner(page)), ["A1", "A2"]);
+    assert.deepEqual(interleaveByOwner([]), []);
+  });
+});
+
+describe("createFairnessGate", () => {
+  test("admits up to the cap per owner, then defers", () => {
+    const gate = createFairnessGate(2);
+
+    assert.equal(gate.admit(reminder("a", "A1")), true);
+    assert.equal(gate.admit(reminder("a", "A2")), true);
+    assert.equal(gate.admit(reminder("a", "A3")), false);
+    assert.equal(gate.admit(reminder("b", "B1")), true);
+    assert.equal(gate.admit(reminder("a", "A4")), false);
+
+    assert.equal(gate.deferredCount(), 2);
+    assert.equal(gate.cappedOwners(), 1);
+  });
+
+  test("counts span pages of the same sweep", () => {
+    const gate = createFairnessGate(1);
+
+    assert.equal(gate.admit(reminder("a", "A1")), true);
+    // next page, same owner
+    assert.equal(gate.admit(reminder("a", "A2")), false);
+  });
+
+  test("a cap below one still admits one run", () => {
+    const gate = createFairnessGate(0);
+
+    assert.equal(gate.admit(reminder("a", "A1")), true);
+    assert.equal(gate.admit(reminder("a", "A2")), false);
+  });
+});
+
+test("ownerOf reads the uid from the reminder path", () => {
+  assert.equal(ownerOf(reminder("user-1", "r1")), "user-1");
+});
@@ -0,0 +1,45 @@
+/**
+ * Lead time: when a run is picked up and when its draft goes live.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { generationDueMs, holdUntilUTC } from "../src/utils/leadTime";
+
+const minutes = (n: number) => n * 60_000;
+
+test("picked up leadMinutes early and held until the slot", () => {
+  const nextRunAtUTC = "2026-05-04T09:00:00.000Z";
+  const schedule = { leadMinutes: 15 };
+  const nowMs = Date.parse(nextRunAtUTC) - minutes(10);
+
+  assert.ok(generationDueMs(nextRunAtUTC, schedule) <= nowMs);
+  assert.equal(holdUntilUTC(nextRunAtUTC, nowMs), nextRunAtUTC);
+});
+
+test("snoozed run is held until its snoozed time", () => {
+  // 09:00 run snoozed to 10:30 — identity stays 09:00, delivery is 10:30
+  const snoozedFromUTC = "2026-05-04T09:00:00.000Z";
+  const nextRunAtUTC = "2026-05-04T10:30:00.000Z";
+  const schedule = { leadMinutes: 30 };
+  const nowMs = Date.parse(nextRunAtUTC) - minutes(20);
+
+  assert.ok(generationDueMs(nextRunAtUTC, schedule) <= nowMs);
+  assert.ok(Date.parse(snoozedFromUTC) < nowMs);
+  assert.equal(holdUntilUTC(nextRunAtUTC, nowMs), nextRunAtUTC);
+});
+
+test("not picked up before its lead time", () => {
+  const nextRunAtUTC = "2026-05-04T09:00:00.000Z";
+  const nowMs = Date.parse(nextRunAtUTC) - minutes(20);
+
+  assert.ok(generationDueMs(nextRunAtUTC, { leadMinutes: 15 }) > nowMs);
+});
+
+test("a slot already reached goes out straight away", () => {
+  const nextRunAtUTC = "2026-05-04T09:00:00.000Z";
+
+  assert.equal(holdUntilUTC(nextRunAtUTC, Date.parse(nextRunAtUTC)), undefined);
+  assert.equal(generationDueMs(nextRunAtUTC, {}), Date.parse(nextRunAtUTC));
+});
@@ -0,0 +1,169 @@
+/**
+ * Interval and monthly recurrence, plus several times a day.
+ * UTC keeps the expected instants readable; DST is covered in
+ * scheduleUtils.test.ts.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  nextRecurrenceAfter,
+  validateRecurrence,
+} from "../src/utils/recurrence";
+import { computeNextRunAtUTC } from "../src/utils/scheduleUtils";
+
+const timezone = "UTC";
+
+describe("interval", () => {
+  const everyThreeDays = {
+    timeOfDay: "09:00",
+    timezone,
+    recurrence: { every: 3, unit: "day", anchorDate: "2026-01-01" },
+  };
+
+  test("starts on the anchor date", () => {
+    assert.equal(
+      nextRecurrenceAfter("interval", everyThreeDays, "2025-12-20T00:00:00Z"),
+      "2026-01-01T09:00:00.000Z",
+    );
+  });
+
+  test("steps by `every` days from the anchor", () => {
+    assert.equal(
+      nextRecurrenceAfter(
+        "interval",
+        everyThreeDays,
+        "2026-01-01T09:00:00.000Z",
+      ),
+      "2026-01-04T09:00:00.000Z",
+    );
+    assert.equal(
+      nextRecurrenceAfter("interval", everyThreeDays, "2026-03-01T12:00:00Z"),
+      "2026-03-02T09:00:00.000Z", // anchor + 60 days
+    );
+  });
+
+  test("week units step in whole weeks", () => {
+    const everyOtherMonday = {
+      timeOfDay: "09:00",
+      timezone,
+      recurrence: { every: 2, unit: "week", anchorDate: "2026-01-05" },
+    };
+
+    assert.equal(
+      nextRecurrenceAfter("interval", everyOtherMonday, "2026-01-06T00:00:00Z"),
+      "2026-01-19T09:00:00.000Z",
+    );
+  });
+});
+
+describe("monthly", () => {
+  test("monthDay past the month end falls on the last day", () => {
+    const on31st = {
+      timeOfDay: "09:00",
+      timezone,
+      recurrence: { monthDay: 31 },
+    };
+
+    const february = nextRecurrenceAfter(
+      "monthly",
+      on31st,
+      "2026-01-31T09:00:00.000Z",
+    );
+    assert.equal(february, "2026-02-28T09:00:00.000Z");
+
+    assert.equal(
+      nextRecurrenceAfter("monthly", on31st, february as string),
+      "2026-03-31T09:00:00.000Z",
+    );
+  });
+
+  test("weekOfMonth picks the nth weekday", () => {
+    const firstMonday = {
+      timeOfDay: "09:00",
+      timezone,
+      recurrence: { weekOfMonth: 1, weekday: 1 },
+    };
+
+    // January's first Monday (the 5th) has passed
+    assert.equal(
+      nextRecurrenceAfter("monthly", firstMonday, "2026-01-15T00:00:00Z"),
+      "2026-02-02T09:00:00.000Z",
+    );
+  });
+
+  test("weekOfMonth -1 picks the last weekday", () => {
+    const lastFriday = {
+      timeOfDay: "09:00",
+      timezone,
+      recurrence: { weekOfMonth: -1, weekday: 5 },
+    };
+
+    const january = nextRecurrenceAfter(
+      "monthly",
+      lastFriday,
+      "2026-01-15T00:00:00Z",
+    );
+    assert.equal(january, "2026-01-30T09:00:00.000Z");
+
+    assert.equal(
+      nextRecurrenceAfter("monthly", lastFriday, january as string),
+      "2026-02-27T09:00:00.000Z",
+    );
+  });
+});
+
+describe("validateRecurrence", () => {
+  test("accepts well-formed rules", () => {
+    assert.equal(
+      validateRecurrence("interval", {
+        every: 90,
+        unit: "day",
+        anchorDate: "2026-01-01",
+      }),
+      null,
+    );
+    assert.equal(
+      validateRecurrence("monthly", { weekOfMonth: -1, weekday: 7 }),
+      null,
+    );
+  });
+
+  test("rejects out-of-range and mixed rules", () => {
+    assert.ok(
+      validateRecurrence("interval", {
+        every: 91,
+        unit: "day",
+        anchorDate: "2026-01-01",
+      }),
+    );
+    assert.ok(
+      validateRecurrence("interval", {
+        every: 1,
+        unit: "day",
+        anchorDate: "2026-02-30",
+      }),
+    );
+    assert.ok(validateRecurrence("monthly", { monthDay: 1, weekOfMonth: 1 }));
+    assert.ok(validateRecurrence("monthly", { weekOfMonth: 5, weekday: 1 }));
+  });
+});
+
+describe("several times a day", () => {
+  const schedule = { timesOfDay: ["21:00", "08:00"], timezone };
+
+  test("takes the next slot the same day", () => {
+    assert.equal(
+      computeNextRunAtUTC("daily", "2026-01-10T08:00:00.000Z", schedule),
+      "2026-01-10T21:00:00.000Z",
+    );
+  });
+
+  test("wraps to the first slot of the next day", () => {
+    assert.equal(
+      computeNextRunAtUTC("daily", "2026-01-10T21:00:00.000Z", schedule),
+      "2026-01-11T08:00:00.000Z",
+    );
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * computeNextRunAtUTC across America/New_York's 2026 DST transitions —
+ * local time stays put, gap and overlap follow timezoneHelpers.ts.
+ *   2026-03-08 (Sunday) 02:00 EST → 03:00 EDT (gap)
+ *   2026-11-01 (Sunday) 02:00 EDT → 01:00 EST (overlap)
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { computeNextRunAtUTC } from "../src/utils/scheduleUtils";
+
+const timezone = "America/New_York";
+
+describe("daily", () => {
+  test("09:00 stays 09:00 local across spring-forward", () => {
+    const schedule = { timeOfDay: "09:00", timezone };
+
+    assert.equal(
+      computeNextRunAtUTC("daily", "2026-03-07T14:00:00.000Z", schedule),
+      "2026-03-08T13:00:00.000Z",
+    );
+  });
+
+  test("02:30 lands in the gap, then returns to 02:30", () => {
+    const schedule = { timeOfDay: "02:30", timezone };
+
+    const inGap = computeNextRunAtUTC(
+      "daily",
+      "2026-03-07T07:30:00.000Z",
+      schedule,
+    );
+    assert.equal(inGap, "2026-03-08T07:30:00.000Z"); // 03:30 EDT
+
+    assert.equal(
+      computeNextRunAtUTC("daily", inGap as string, schedule),
+      "2026-03-09T06:30:00.000Z", // 02:30 EDT
+    );
+  });
+
+  test("01:30 fires once in the overlap, then follows EST", () => {
+    const schedule = { timeOfDay: "01:30", timezone };
+
+    const inOverlap = computeNextRunAtUTC(
+      "daily",
+      "2026-10-31T05:30:00.000Z",
+      schedule,
+    );
+    assert.equal(inOverlap, "2026-11-01T05:30:00.000Z"); // 01:30 EDT
+
+    assert.equal(
+      computeNextRunAtUTC("daily", inOverlap as string, schedule),
+      "2026-11-02T06:30:00.000Z", // 01:30 EST
+    );
+  });
+
+  test("several times a day step through the gap in order", () => {
+    const schedule = { timesOfDay: ["01:30", "02:30", "09:00"], timezone };
+
+    assert.equal(
+      computeNextRunAtUTC("daily", "2026-03-08T06:30:00.000Z", schedule),
+      "2026-03-08T07:30:00.000Z",
+    );
+  });
+});
+
+describe("weekly", () => {
+  test("Sunday 02:30 lands in the gap", () => {
+    const schedule = { timeOfDay: "02:30", timezone, weekDays: [7] };
+
+    assert.equal(
+      computeNextRunAtUTC("weekly", "2026-03-01T07:30:00.000Z", schedule),
+      "2026-03-08T07:30:00.000Z",
+    );
+  });
+
+  test("Sunday 01:30 takes the first occurrence in the overlap", () => {
+    const schedule = { timeOfDay: "01:30", timezone, weekDays: [7] };
+
+    assert.equal(
+      computeNextRunAtUTC("weekly", "2026-10-25T05:30:00.000Z", schedule),
+      "2026-11-01T05:30:00.000Z",
+    );
+  });
+
+  test("Sunday 09:00 keeps local time after fall-back", () => {
+    const schedule = { timeOfDay: "09:00", timezone, weekDays: [7] };
+
+    assert.equal(
+      computeNextRunAtUTC("weekly", "2026-10-25T13:00:00.000Z", schedule),
+      "2026-11-01T14:00:00.000Z",
+    );
+  });
+});
+
+describe("monthly", () => {
+  test("on the 8th at 02:30 lands in the gap", () => {
+    const schedule = {
+      timeOfDay: "02:30",
+      timezone,
+      recurrence: { monthDay: 8 },
+    };
+
+    assert.equal(
+      computeNextRunAtUTC("monthly", "2026-02-08T07:30:00.000Z", schedule),
+      "2026-03-08T07:30:00.000Z",
+    );
+  });
+
+  test("on the 1st at 01:30 takes the first occurrence in the overlap", () => {
+    const schedule = {
+      timeOfDay: "01:30",
+      timezone,
+      recurrence: { monthDay: 1 },
+    };
+
+    assert.equal(
+      computeNextRunAtUTC("monthly", "2026-10-01T05:30:00.000Z", schedule),
+      "2026-11-01T05:30:00.000Z",
+    );
+  });
+
+  test("second Sunday at 02:30 lands in the gap", () => {
+    const schedule = {
+      timeOfDay: "02:30",
+      timezone,
+      recurrence: { weekOfMonth: 2, weekday: 7 },
+    };
+
+    assert.equal(
+      computeNextRunAtUTC("monthly", "2026-02-08T07:30:00.000Z", schedule),
+      "2026-03-08T07:30:00.000Z",
+    );
+  });
+
+  test("first Sunday at 01:30 takes the first occurrence in overlap", () => {
+    const schedule = {
+      timeOfDay: "01:30",
+      timezone,
+      recurrence: { weekOfMonth: 1, weekday: 7 },
+    };
+
+    assert.equal(
+      computeNextRunAtUTC("monthly", "2026-10-04T05:30:00.000Z", schedule),
+      "2026-11-01T05:30:00.000Z",
+    );
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * DST policy for resolveLocalTime, on America/New_York's 2026 transitions:
+ *   2026-03-08 02:00 EST → 03:00 EDT (gap)
+ *   2026-11-01 02:00 EDT → 01:00 EST (overlap)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { resolveLocalTime } from "../src/utils/timezoneHelpers";
+
+const NY = "America/New_York";
+
+function resolveUTC(date: string, time: string, timezone = NY) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+
+  return resolveLocalTime({ year, month, day }, { hour, minute }, timezone)
+    ?.toUTC()
+    .toISO();
+}
+
+test("gap: 02:30 on spring-forward day moves forward to 03:30 EDT", () => {
+  assert.equal(resolveUTC("2026-03-08", "02:30"), "2026-03-08T07:30:00.000Z");
+});
+
+test("gap: times either side of it keep their own offset", () => {
+  assert.equal(resolveUTC("2026-03-08", "01:59"), "2026-03-08T06:59:00.000Z");
+  assert.equal(resolveUTC("2026-03-08", "03:00"), "2026-03-08T07:00:00.000Z");
+});
+
+test("overlap: 01:30 on fall-back day is the first (EDT) occurrence", () => {
+  assert.equal(resolveUTC("2026-11-01", "01:30"), "2026-11-01T05:30:00.000Z");
+});
+
+test("overlap: times after it use the post-transition offset", () => {
+  assert.equal(resolveUTC("2026-11-01", "02:30"), "2026-11-01T07:30:00.000Z");
+});
+
+test("ordinary days are unaffected", () => {
+  assert.equal(resolveUTC("2026-03-07", "02:30"), "2026-03-07T07:30:00.000Z");
+  assert.equal(resolveUTC("2026-11-02", "01:30"), "2026-11-02T06:30:00.000Z");
+});
+
+test("invalid zone resolves to null", () => {
+  const date = { year: 2026, month: 3, day: 8 };
+  const time = { hour: 2, minute: 30 };
+
+  assert.equal(resolveLocalTime(date, time, "Not/AZone"), null);
+});
@@ -0,0 +1,36 @@
+/**
+ * A one-time run inside a vacation moves to the day after, same local time.
+ */
+
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { firstRunAfterVacation, isOnVacation } from "../src/utils/vacation";
+
+const timezone = "America/New_York";
+const vacation = { startDate: "2026-03-02", endDate: "2026-03-07" };
+
+describe("firstRunAfterVacation", () => {
+  test("keeps the local time across the DST change", () => {
+    const runAtUTC = "2026-03-05T14:00:00.000Z"; // 09:00 EST
+    assert.equal(isOnVacation(runAtUTC, timezone, vacation), true);
+
+    const resumed = firstRunAfterVacation(runAtUTC, timezone, vacation);
+    assert.equal(resumed, "2026-03-08T13:00:00.000Z"); // 09:00 EDT
+    assert.equal(isOnVacation(resumed as string, timezone, vacation), false);
+  });
+
+  test("needs a usable vacation and zone", () => {
+    const runAtUTC = "2026-03-05T14:00:00.000Z";
+
+    assert.equal(firstRunAfterVacation(runAtUTC, timezone, null), null);
+    assert.equal(
+      firstRunAfterVacation(runAtUTC, timezone, {
+        startDate: "2026-03-07",
+        endDate: "2026-03-02",
+      }),
+      null,
+    );
+    assert.equal(firstRunAfterVacation(runAtUTC, undefined, vacation), null);
+  });
+});
@@ -5,11 +5,74 @@
 //  - Shows when device timezone differs from user’s saved timezone
 //  - Offers "Keep Current" or "Switch to New" choices
 //  - Connects to AuthContext (pendingDeviceTimezone, acceptDeviceTimezone, etc.)
+//  - After switching, follows the backend reminder recompute job to the end
 // ----------------------------------------------------------------------------
 
 import React, { useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useAuthContext } from "../context/AuthContext";
+import { useRecomputeJob } from "../hooks/useRecomputeJob";
+
+// progress for recompute_queue/{uid} — written by onRecomputeQueued
+const RecomputeProgress = ({ job, onClose }) => {
+  const status = job?.status || "pending";
+  const finished = status === "done" || status === "failed";
+  const total = Number(job?.total || 0);
+  const processed = Number(job?.processed || 0);
+  const percent = total > 0 ? Math.round((processed / total) * 100) : 0;
+
+  return (
+    <div className="flex flex-col space-y-4 text-center">
+      <div className="text-xl font-semibold text-gray-900 dark:text-white">
+        Updating Prompts
+      </div>
+
+      {!finished && (
+        <>
+          <p className="text-sm text-gray-600 dark:text-gray-300 leading-relaxed">
+            Moving your Prompts to {job?.newTimezone || "your new timezone"}…
+            {total > 0 && ` ${processed} of ${total}`}
+          </p>
+          <div className="h-2 w-full rounded-full bg-gray-100 dark:bg-zinc-800 overflow-hidden">
+            <div
+              className="h-full bg-blue-600 transition-all"
+              style={{ width: `${percent}%` }}
+            />
+          </div>
+        </>
+      )}
+
+      {status === "done" && (
+        <p className="text-sm text-green-600">
+          Timezone updated! {job.updated ?? 0} Prompt
+          {job.updated === 1 ? "" : "s"} now follow {job.newTimezone}.
+          {job.skipped > 0 &&
+            ` ${job.skipped} couldn’t be moved and kept their old time.`}
+          {job.snoozesCleared > 0 &&
+            ` ${job.snoozesCleared} snooze${
+              job.snoozesCleared === 1 ? " was" : "s were"
+            } cleared — those drafts are back on their usual time.`}
+        </p>
+      )}
+
+      {status === "failed" && (
+        <p className="text-sm text-red-600">
+          Your timezone was saved, but your Prompts couldn’t be updated. Try
+          again later.
+        </p>
+      )}
+
+      <div className="flex items-center justify-center mt-4">
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-lg text-sm font-medium border border-gray-300 dark:border-zinc-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-zinc-800 transition"
+        >
+          {finished ? "Close" : "Hide — keep going in background"}
+        </button>
+      </div>
+    </div>
+  );
+};
 
 const TimezoneChangeModal = () => {
   const {
@@ -22,9 +85,14 @@ const TimezoneChangeModal = () => {
 
   const [isProcessing, setIsProcessing] = useState(false);
   const [status, setStatus] = useState(null);
+  const [trackedJobId, setTrackedJobId] = useState(null);
+  const job = useRecomputeJob(trackedJobId);
 
   // Early exit — render nothing if no timezone change is pending
-  if (!pendingDeviceTimezone || !user?.timezone) return null;
+  // and no recompute is being followed
+  if (!trackedJobId && (!pendingDeviceTimezone || !user?.timezone)) {
+    return null;
+  }
 
   const handleAccept = async () => {
     if (!pendingDeviceTimezone) return;
@@ -34,9 +102,10 @@ const TimezoneChangeModal = () => {
       const res = await acceptDeviceTimezone({
         newTimezone: pendingDeviceTimezone,
         persistToProfile: true,
-        runClientRecompute: true,
+        recomputeReminders: true,
       });
       setStatus(res.status);
+      if (res.jobId) setTrackedJobId(res.jobId);
       console.log("✅ TimezoneChangeModal -> accept result:", res);
     } catch (err) {
       console.error("❌ TimezoneChangeModal accept error:", err);
@@ -65,64 +134,71 @@ const TimezoneChangeModal = () => {
           exit={{ scale: 0.9, opacity: 0 }}
           transition={{ type: "spring", stiffness: 180, damping: 18 }}
         >
-          <div className="flex flex-col space-y-4 text-center">
-            <div className="text-xl font-semibold text-gray-900 dark:text-white">
-              Timezone Changed
-            </div>
-            <p className="text-sm text-gray-600 dark:text-gray-300 leading-relaxed">
-              We noticed your device timezone doesn’t match your saved timezone.
-              <br />
-              Would you like to update it for accurate Draft delivery?
-            </p>
-
-            {/* Timezone comparison box */}
-            <div className="mt-3 rounded-xl border border-gray-200 dark:border-zinc-700 bg-gray-50 dark:bg-zinc-800 p-3 text-sm text-gray-700 dark:text-gray-200">
-              <div className="flex justify-between mb-1">
-                <span className="font-medium text-gray-500">Current</span>
-                <span className="font-semibold">{user?.timezone || "—"}</span>
+          {trackedJobId ? (
+            <RecomputeProgress
+              job={job}
+              onClose={() => setTrackedJobId(null)}
+            />
+          ) : (
+            <div className="flex flex-col space-y-4 text-center">
+              <div className="text-xl font-semibold text-gray-900 dark:text-white">
+                Timezone Changed
               </div>
-              <div className="flex justify-between">
-                <span className="font-medium text-gray-500">Detected</span>
-                <span className="font-semibold text-blue-600 dark:text-blue-400">
-                  {pendingDeviceTimezone}
-                </span>
+              <p className="text-sm text-gray-600 dark:text-gray-300 leading-relaxed">
+                We noticed your device timezone doesn’t match your saved
+                timezone.
+                <br />
+                Would you like to update it for accurate Draft delivery?
+              </p>
+
+              {/* Timezone comparison box */}
+              <div className="mt-3 rounded-xl border border-gray-200 dark:border-zinc-700 bg-gray-50 dark:bg-zinc-800 p-3 text-sm text-gray-700 dark:text-gray-200">
+                <div className="flex justify-between mb-1">
+                  <span className="font-medium text-gray-500">Current</span>
+                  <span className="font-semibold">{user?.timezone || "—"}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="font-medium text-gray-500">Detected</span>
+                  <span className="font-semibold text-blue-600 dark:text-blue-400">
+                    {pendingDeviceTimezone}
+                  </span>
+                </div>
               </div>
-            </div>
 
-            {/* Status feedback */}
-            {status === "queued" && (
-              <p className="text-xs text-amber-600">
-                You’re offline or have too many Propmts — update queued for
-                server sync.
-              </p>
-            )}
-            {status === "ok" && (
-              <p className="text-xs text-green-600">Timezone updated!</p>
-            )}
-            {status === "error" && (
-              <p className="text-xs text-red-600">
-                Something went wrong. Try again later.
-              </p>
-            )}
-
-            {/* Buttons */}
-            <div className="flex items-center justify-center gap-3 mt-4">
-              <button
-                onClick={handleDecline}
-                disabled={isProcessing}
-                className="px-4 py-2 rounded-lg text-sm font-medium border border-gray-300 dark:border-zinc-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-zinc-800 transition"
-              >
-                Keep Current
-              </button>
-              <button
-                onClick={handleAccept}
-                disabled={isProcessing}
-                className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-70 transition"
-              >
-                {isProcessing ? "Updating…" : "Switch to New"}
-              </button>
+              {/* Status feedback */}
+              {status === "queued" && (
+                <p className="text-xs text-amber-600">
+                  You’re offline — update queued for server sync.
+                </p>
+              )}
+              {status === "ok" && (
+                <p className="text-xs text-green-600">Timezone updated!</p>
+              )}
+              {status === "error" && (
+                <p className="text-xs text-red-600">
+                  Something went wrong. Try again later.
+                </p>
+              )}
+
+              {/* Buttons */}
+              <div className="flex items-center justify-center gap-3 mt-4">
+                <button
+                  onClick={handleDecline}
+                  disabled={isProcessing}
+                  className="px-4 py-2 rounded-lg text-sm font-medium border border-gray-300 dark:border-zinc-700 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-zinc-800 transition"
+                >
+                  Keep Current
+                </button>
+                <button
+                  onClick={handleAccept}
+                  disabled={isProcessing}
+                  className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-70 transition"
+                >
+                  {isProcessing ? "Updating…" : "Switch to New"}
+                </button>
+              </div>
             </div>
-          </div>
+          )}
         </motion.div>
       </motion.div>
     </AnimatePresence>
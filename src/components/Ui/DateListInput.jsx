@@ -0,0 +1,78 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { X } from "lucide-react";
+import { DateTime } from "luxon";
+
+// date picker + removable chips for a sorted "YYYY-MM-DD" list
+export default function DateListInput({
+  id,
+  value = [],
+  onChange,
+  max,
+  disabled = false,
+}) {
+  const [pending, setPending] = useState("");
+  const isFull = typeof max === "number" && value.length >= max;
+
+  const add = () => {
+    if (!pending || value.includes(pending) || isFull) return;
+    onChange([...value, pending].sort());
+    setPending("");
+  };
+
+  const remove = (date) => onChange(value.filter((d) => d !== date));
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          id={id}
+          type="date"
+          value={pending}
+          min={DateTime.now().toISODate()}
+          onChange={(e) => setPending(e.target.value)}
+          disabled={disabled || isFull}
+          className="flex-1 rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 p-2 text-sm focus:ring-brand focus:border-brand disabled:opacity-50"
+        />
+        <button
+          type="button"
+          onClick={add}
+          disabled={disabled || isFull || !pending}
+          className="px-3 py-1.5 rounded-md text-sm font-medium border border-brand text-brand bg-brand/10 disabled:opacity-40"
+        >
+          Add
+        </button>
+      </div>
+
+      {value.length > 0 && (
+        <ul className="flex flex-wrap gap-1.5">
+          {value.map((date) => (
+            <li
+              key={date}
+              className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs bg-gray-100 dark:bg-white/[0.06] text-gray-700 dark:text-gray-200"
+            >
+              {DateTime.fromISO(date).toFormat("MMM d, yyyy")}
+              <button
+                type="button"
+                onClick={() => remove(date)}
+                disabled={disabled}
+                aria-label={`Remove ${date}`}
+                className="text-gray-500 hover:text-brand"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+DateListInput.propTypes = {
+  id: PropTypes.string,
+  value: PropTypes.arrayOf(PropTypes.string),
+  onChange: PropTypes.func.isRequired,
+  max: PropTypes.number,
+  disabled: PropTypes.bool,
+};
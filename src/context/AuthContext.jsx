@@ -140,11 +140,14 @@ export function AuthContextProvider({ children }) {
     const userId = firebaseUser.uid;
 
     // If you add new subcollections under /users/{uid} in the future, add them here.
+    // Backend-owned ones (draftUsage) are cleared by the onUserDeleted trigger.
     const subcollections = [
       "reminders",
       "drafts",
       "executions",
       "draftInteractions",
+      "deferredRuns",
+      "costDaily",
       "reminderIdempotency",
       "userPrefs",
       "devices", // FCM device tokens — clean up on account deletion
@@ -156,6 +159,15 @@ export function AuthContextProvider({ children }) {
       for (const sub of subcollections) {
         try {
           const snap = await getDocs(collection(db, "users", userId, sub));
+          if (sub === "reminders") {
+            // intent versions live one level down — clear them first
+            for (const reminderDoc of snap.docs) {
+              const versions = await getDocs(
+                collection(reminderDoc.ref, "versions"),
+              );
+              await Promise.all(versions.docs.map((d) => deleteDoc(d.ref)));
+            }
+          }
           if (!snap.empty) {
             await Promise.all(snap.docs.map((d) => deleteDoc(d.ref)));
           }
@@ -1,7 +1,9 @@
 import React from "react";
 import useDraftLimit from "../hooks/useDraftLimit";
 import useActiveReminderLimit from "../hooks/useActiveReminderLimit";
-import { ArrowRight } from "lucide-react";
+import useDeferredRuns from "../hooks/useDeferredRuns";
+import { useAuthContext } from "../../../context/AuthContext";
+import { ArrowRight, Hourglass } from "lucide-react";
 
 const LIMIT = 3;
 
@@ -24,6 +26,10 @@ function PromptBars({ filled, limited }) {
 export default function DraftLimit({ uid }) {
   const { limited: draftLimited, resetsAt } = useDraftLimit(uid);
   const { atActiveLimit, activeCount } = useActiveReminderLimit(uid);
+  const { deferredRuns } = useDeferredRuns(uid);
+  const { currentUser, reminders } = useAuthContext();
+
+  const defers = currentUser?.limitPolicy === "defer";
 
   if (!uid) return null;
 
@@ -52,15 +58,52 @@ export default function DraftLimit({ uid }) {
         {draftLimited && !atActiveLimit && (
           <p className="text-xs font-medium text-yellow-500 dark:text-yellow-400">
             AI drafts used for today. Resets at {resetTime}.
+            {defers && " Blocked drafts wait until then."}
           </p>
         )}
 
         {draftLimited && atActiveLimit && (
           <p className="text-xs font-medium text-yellow-500 dark:text-yellow-400">
             No free AI drafts left today. Resets at {resetTime}.
+            {defers && " Blocked drafts wait until then."}
           </p>
         )}
 
+        {deferredRuns.length > 0 && (
+          <div className="mt-2">
+            <p className="flex items-center gap-1.5 text-xs font-medium text-textLight/80 dark:text-textDark/80">
+              <Hourglass className="w-3 h-3" />
+              Waiting for the reset ({deferredRuns.length})
+            </p>
+            <ul className="mt-1 flex flex-col gap-0.5">
+              {deferredRuns.map((run) => {
+                const reminder = reminders?.find(
+                  (r) => r.id === run.reminderId,
+                );
+                const label =
+                  reminder?.content?.aiPrompt ||
+                  reminder?.content?.message ||
+                  "Deleted prompt";
+
+                return (
+                  <li
+                    key={run.id}
+                    className="flex items-center justify-between gap-3 text-xs text-muted"
+                  >
+                    <span className="truncate">{label}</span>
+                    <span className="shrink-0">
+                      {new Date(run.releaseAtUTC).toLocaleTimeString([], {
+                        hour: "2-digit",
+                        minute: "2-digit",
+                      })}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
         {/* shown only when a limit is hit */}
         {isAnyLimitHit && (
           <a
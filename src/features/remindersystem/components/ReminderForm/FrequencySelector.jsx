@@ -6,6 +6,8 @@ export default function FrequencySelector({ value, onChange }) {
     { id: "one_time", label: "One time" },
     { id: "daily", label: "Every day" },
     { id: "weekly", label: "Every week" },
+    { id: "interval", label: "Every few days" },
+    { id: "monthly", label: "Monthly" },
   ];
 
   const handleChange = useCallback(
@@ -37,7 +39,7 @@ export default function FrequencySelector({ value, onChange }) {
       </legend>
 
       <div
-        className="flex gap-2"
+        className="flex flex-wrap gap-2"
         role="radiogroup"
         aria-label="Draft frequency"
       >
@@ -68,6 +70,7 @@ export default function FrequencySelector({ value, onChange }) {
 }
 
 FrequencySelector.propTypes = {
-  value: PropTypes.oneOf(["one_time", "daily", "weekly"]).isRequired,
+  value: PropTypes.oneOf(["one_time", "daily", "weekly", "interval", "monthly"])
+    .isRequired,
   onChange: PropTypes.func.isRequired,
 };
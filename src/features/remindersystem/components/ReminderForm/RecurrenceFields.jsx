@@ -0,0 +1,178 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { MAX_INTERVAL } from "../../utils/scheduleUtils";
+
+const WEEKDAY_OPTIONS = [
+  { value: 1, label: "Monday" },
+  { value: 2, label: "Tuesday" },
+  { value: 3, label: "Wednesday" },
+  { value: 4, label: "Thursday" },
+  { value: 5, label: "Friday" },
+  { value: 6, label: "Saturday" },
+  { value: 7, label: "Sunday" },
+];
+
+const WEEK_OF_MONTH_OPTIONS = [
+  { value: 1, label: "First" },
+  { value: 2, label: "Second" },
+  { value: 3, label: "Third" },
+  { value: 4, label: "Fourth" },
+  { value: -1, label: "Last" },
+];
+
+const inputClass =
+  "rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 p-2 text-sm focus:ring-brand focus:border-brand";
+
+const labelClass =
+  "block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1";
+
+// value holds interval and monthly fields side by side —
+// useReminderForm only sends the ones for the selected frequency
+export default function RecurrenceFields({ frequency, value, onChange }) {
+  const update = (partial) => onChange({ ...value, ...partial });
+
+  if (frequency === "interval") {
+    const max = MAX_INTERVAL[value.unit] ?? MAX_INTERVAL.day;
+
+    return (
+      <div className="space-y-3">
+        <div>
+          <label htmlFor="remindr-every" className={labelClass}>
+            Repeat every
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="remindr-every"
+              type="number"
+              min={1}
+              max={max}
+              value={value.every ?? ""}
+              onChange={(e) =>
+                update({
+                  every: e.target.value === "" ? "" : Number(e.target.value),
+                })
+              }
+              className={`w-20 ${inputClass}`}
+            />
+            <select
+              aria-label="Interval unit"
+              value={value.unit || "day"}
+              onChange={(e) => update({ unit: e.target.value })}
+              className={inputClass}
+            >
+              <option value="day">days</option>
+              <option value="week">weeks</option>
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="remindr-anchor" className={labelClass}>
+            Starting on
+          </label>
+          <input
+            id="remindr-anchor"
+            type="date"
+            value={value.anchorDate || ""}
+            onChange={(e) => update({ anchorDate: e.target.value })}
+            className={`w-full ${inputClass}`}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (frequency === "monthly") {
+    const byWeekday = value.weekOfMonth !== undefined;
+
+    return (
+      <div className="space-y-3">
+        <div className="flex gap-2" role="radiogroup" aria-label="Monthly on">
+          {[
+            { id: "day", label: "Day of month", active: !byWeekday },
+            { id: "weekday", label: "Weekday", active: byWeekday },
+          ].map((opt) => (
+            <button
+              key={opt.id}
+              type="button"
+              role="radio"
+              aria-checked={opt.active}
+              onClick={() =>
+                opt.id === "day"
+                  ? update({ weekOfMonth: undefined, weekday: undefined })
+                  : update({ weekOfMonth: 1, weekday: value.weekday || 1 })
+              }
+              className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors focus:outline-none focus:ring-1 focus:ring-brand ${
+                opt.active
+                  ? "border border-brand text-brand bg-brand/10"
+                  : "border border-border hover:text-brand dark:hover:text-brand"
+              }`}
+            >
+              {opt.label}
+            </button>
+          ))}
+        </div>
+
+        {byWeekday ? (
+          <div className="flex gap-2">
+            <select
+              aria-label="Week of month"
+              value={value.weekOfMonth}
+              onChange={(e) => update({ weekOfMonth: Number(e.target.value) })}
+              className={inputClass}
+            >
+              {WEEK_OF_MONTH_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <select
+              aria-label="Weekday"
+              value={value.weekday}
+              onChange={(e) => update({ weekday: Number(e.target.value) })}
+              className={inputClass}
+            >
+              {WEEKDAY_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <div>
+            <label htmlFor="remindr-month-day" className={labelClass}>
+              Day of month
+            </label>
+            <select
+              id="remindr-month-day"
+              value={value.monthDay ?? 1}
+              onChange={(e) => update({ monthDay: Number(e.target.value) })}
+              className={inputClass}
+            >
+              {Array.from({ length: 31 }, (_, i) => i + 1).map((d) => (
+                <option key={d} value={d}>
+                  {d}
+                </option>
+              ))}
+            </select>
+            {value.monthDay > 28 && (
+              <div className="text-xs text-gray-500 mt-2">
+                In shorter months this falls on the last day.
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return null;
+}
+
+RecurrenceFields.propTypes = {
+  frequency: PropTypes.oneOf(["interval", "monthly"]).isRequired,
+  value: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
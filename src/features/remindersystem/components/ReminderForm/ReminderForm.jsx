@@ -103,7 +103,9 @@ export default function ReminderForm({ onSuccess, onOpenPreferences } = {}) {
       (validation.errors.date ||
         validation.errors.time ||
         validation.errors.timeOfDay ||
-        validation.errors.weekDays)) ||
+        validation.errors.weekDays ||
+        validation.errors.recurrence ||
+        validation.errors.bounds)) ||
     validation?.errorMessage ||
     null;
 
@@ -0,0 +1,118 @@
+import React from "react";
+import PropTypes from "prop-types";
+import DateListInput from "../../../../components/Ui/DateListInput";
+import {
+  MAX_DRAFTS_LIMIT,
+  MAX_EXCLUDED_DATES,
+} from "../../utils/scheduleUtils";
+
+const END_OPTIONS = [
+  { id: "never", label: "Never" },
+  { id: "date", label: "On a date" },
+  { id: "count", label: "After a number of drafts" },
+];
+
+const inputClass =
+  "rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 p-2 text-sm focus:ring-brand focus:border-brand";
+
+const labelClass =
+  "block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1";
+
+// start date, end condition and skipped dates for recurring drafts
+// interval schedules already pick their first day, so they skip "Starts on"
+export default function ScheduleBoundsFields({ frequency, value, onChange }) {
+  const update = (partial) => onChange({ ...value, ...partial });
+  const today = new Date().toISOString().split("T")[0];
+
+  return (
+    <div className="space-y-3 pt-2">
+      {frequency !== "interval" && (
+        <div>
+          <label htmlFor="remindr-start-date" className={labelClass}>
+            Starts on <span className="text-gray-500">(optional)</span>
+          </label>
+          <input
+            id="remindr-start-date"
+            type="date"
+            value={value.startDate || ""}
+            min={today}
+            onChange={(e) => update({ startDate: e.target.value })}
+            className={`w-full ${inputClass}`}
+          />
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="remindr-end-mode" className={labelClass}>
+          Ends
+        </label>
+        <select
+          id="remindr-end-mode"
+          value={value.endMode || "never"}
+          onChange={(e) => update({ endMode: e.target.value })}
+          className={`w-full ${inputClass}`}
+        >
+          {END_OPTIONS.map((o) => (
+            <option key={o.id} value={o.id}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {value.endMode === "date" && (
+        <input
+          aria-label="End date"
+          type="date"
+          value={value.endDate || ""}
+          min={value.startDate || today}
+          onChange={(e) => update({ endDate: e.target.value })}
+          className={`w-full ${inputClass}`}
+        />
+      )}
+
+      {value.endMode === "count" && (
+        <div className="flex items-center gap-2">
+          <input
+            aria-label="Number of drafts"
+            type="number"
+            min={1}
+            max={MAX_DRAFTS_LIMIT}
+            value={value.maxDrafts ?? ""}
+            onChange={(e) =>
+              update({
+                maxDrafts: e.target.value === "" ? "" : Number(e.target.value),
+              })
+            }
+            className={`w-24 ${inputClass}`}
+          />
+          <span className="text-sm text-gray-600 dark:text-gray-300">
+            drafts
+          </span>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="remindr-excluded-dates" className={labelClass}>
+          Skip these dates <span className="text-gray-500">(optional)</span>
+        </label>
+        <DateListInput
+          id="remindr-excluded-dates"
+          value={value.excludedDates || []}
+          onChange={(excludedDates) => update({ excludedDates })}
+          max={MAX_EXCLUDED_DATES}
+        />
+        <div className="text-xs text-gray-500 mt-2">
+          No draft on these days — the next one still arrives as usual.
+        </div>
+      </div>
+    </div>
+  );
+}
+
+ScheduleBoundsFields.propTypes = {
+  frequency: PropTypes.oneOf(["daily", "weekly", "interval", "monthly"])
+    .isRequired,
+  value: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
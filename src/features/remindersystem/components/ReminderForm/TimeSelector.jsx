@@ -6,9 +6,14 @@ import React, {
   useRef,
 } from "react";
 import PropTypes from "prop-types";
+import { DateTime } from "luxon";
+import RecurrenceFields from "./RecurrenceFields";
+import ScheduleBoundsFields from "./ScheduleBoundsFields";
+import { LEAD_MINUTE_OPTIONS } from "../../utils/scheduleUtils";
 
 const ISO_WEEKDAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
 const MAX_WEEKDAYS = 4;
+const MAX_TIMES = 4;
 
 export default function TimeSelector({
   frequency,
@@ -19,9 +24,39 @@ export default function TimeSelector({
 }) {
   const [date, setDate] = useState(schedule?.date || "");
   const [time, setTime] = useState(schedule?.timeOfDay || schedule?.time || "");
+  // daily/weekly only — times beyond the first one
+  const [extraTimes, setExtraTimes] = useState(() =>
+    Array.isArray(schedule?.timesOfDay) ? schedule.timesOfDay.slice(1) : [],
+  );
   const [weekdays, setWeekdays] = useState(
     Array.isArray(schedule?.weekDays) ? schedule.weekDays : [],
   );
+  // interval + monthly fields kept together so toggling frequency keeps input
+  const [recurrence, setRecurrence] = useState(() => {
+    const today = DateTime.now();
+    return {
+      every: 2,
+      unit: "day",
+      anchorDate: today.toISODate(),
+      monthDay: today.day,
+      ...(schedule?.recurrence || {}),
+    };
+  });
+  const [bounds, setBounds] = useState(() => ({
+    startDate: schedule?.startDate || "",
+    endMode: schedule?.endDate
+      ? "date"
+      : schedule?.maxDrafts
+        ? "count"
+        : "never",
+    endDate: schedule?.endDate || "",
+    maxDrafts: schedule?.maxDrafts ?? 10,
+    excludedDates: Array.isArray(schedule?.excludedDates)
+      ? schedule.excludedDates
+      : [],
+  }));
+
+  const [leadMinutes, setLeadMinutes] = useState(schedule?.leadMinutes || 0);
 
   // Keep a ref to onChange so we never need it in effect deps —
   // avoids the re-emission loop when the parent re-renders
@@ -81,6 +116,19 @@ export default function TimeSelector({
       date: date || undefined,
       timeOfDay: time || undefined,
       weekDays: weekdays && weekdays.length > 0 ? weekdays : undefined,
+      recurrence,
+      timesOfDay:
+        (frequency === "daily" || frequency === "weekly") &&
+        extraTimes.length > 0
+          ? [time, ...extraTimes]
+          : null,
+      // null (not undefined) so a cleared field also clears the form state
+      startDate: (frequency !== "interval" && bounds.startDate) || null,
+      endDate: (bounds.endMode === "date" && bounds.endDate) || null,
+      maxDrafts: bounds.endMode === "count" ? bounds.maxDrafts : null,
+      excludedDates:
+        bounds.excludedDates.length > 0 ? bounds.excludedDates : null,
+      leadMinutes: leadMinutes > 0 ? leadMinutes : null,
       timezone: tz,
     };
 
@@ -90,7 +138,17 @@ export default function TimeSelector({
     }, {});
 
     onChangeRef.current?.(cleaned);
-  }, [date, time, weekdays, tz]); // onChange deliberately omitted — using ref
+  }, [
+    date,
+    time,
+    extraTimes,
+    weekdays,
+    recurrence,
+    bounds,
+    leadMinutes,
+    frequency,
+    tz,
+  ]); // onChange deliberately omitted — using ref
 
   const toggleWeekday = useCallback((isoDayValue) => {
     setWeekdays((prev) => {
@@ -134,6 +192,14 @@ export default function TimeSelector({
         </div>
       )}
 
+      {(frequency === "interval" || frequency === "monthly") && (
+        <RecurrenceFields
+          frequency={frequency}
+          value={recurrence}
+          onChange={setRecurrence}
+        />
+      )}
+
       <div>
         <label
           htmlFor="remindr-time"
@@ -149,6 +215,70 @@ export default function TimeSelector({
           className="w-full rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 p-2 text-sm focus:ring-brand focus:border-brand"
           aria-describedby={errorString ? "remindr-schedule-error" : undefined}
         />
+
+        {(frequency === "daily" || frequency === "weekly") && (
+          <div className="space-y-2 mt-2">
+            {extraTimes.map((extra, i) => (
+              <div key={i} className="flex gap-2 items-center">
+                <input
+                  type="time"
+                  aria-label={`Delivery time ${i + 2}`}
+                  value={extra}
+                  onChange={(e) =>
+                    setExtraTimes((prev) =>
+                      prev.map((t, j) => (j === i ? e.target.value : t)),
+                    )
+                  }
+                  className="w-full rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 p-2 text-sm focus:ring-brand focus:border-brand"
+                />
+                <button
+                  type="button"
+                  onClick={() =>
+                    setExtraTimes((prev) => prev.filter((_, j) => j !== i))
+                  }
+                  className="text-xs text-gray-500 hover:text-brand"
+                  aria-label={`Remove delivery time ${i + 2}`}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            {extraTimes.length < MAX_TIMES - 1 && (
+              <button
+                type="button"
+                onClick={() => setExtraTimes((prev) => [...prev, ""])}
+                className="text-xs font-medium text-brand hover:underline"
+              >
+                + Add another time
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label
+          htmlFor="remindr-lead"
+          className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+        >
+          Prepare ahead
+        </label>
+        <select
+          id="remindr-lead"
+          value={leadMinutes}
+          onChange={(e) => setLeadMinutes(Number(e.target.value))}
+          className="w-full rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 p-2 text-sm focus:ring-brand focus:border-brand"
+        >
+          <option value={0}>Off</option>
+          {LEAD_MINUTE_OPTIONS.map((m) => (
+            <option key={m} value={m}>
+              {m} minutes early
+            </option>
+          ))}
+        </select>
+        <div className="text-xs text-gray-500 mt-1">
+          The draft is prepared early and shows up right at the delivery time.
+        </div>
       </div>
 
       {errorString && (
@@ -205,12 +335,26 @@ export default function TimeSelector({
           </div>
         </div>
       )}
+
+      {frequency !== "one_time" && (
+        <ScheduleBoundsFields
+          frequency={frequency}
+          value={bounds}
+          onChange={setBounds}
+        />
+      )}
     </div>
   );
 }
 
 TimeSelector.propTypes = {
-  frequency: PropTypes.oneOf(["one_time", "daily", "weekly"]).isRequired,
+  frequency: PropTypes.oneOf([
+    "one_time",
+    "daily",
+    "weekly",
+    "interval",
+    "monthly",
+  ]).isRequired,
   schedule: PropTypes.object,
   onChange: PropTypes.func.isRequired,
   timezone: PropTypes.string,
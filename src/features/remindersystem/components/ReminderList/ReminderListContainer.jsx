@@ -2,7 +2,7 @@
  * ReminderListContainer.jsx
  *
  * Main list view for user's active reminders.
- * Handles optimistic deletes, modal state, and empty/error states.
+ * Handles optimistic deletes, pause/resume, modal state, and empty/error states.
  */
 
 import React, { useCallback, useEffect, useState, useMemo } from "react";
@@ -71,7 +71,10 @@ const ReminderListContainer = ({ reminders, error, onAddReminderClick }) => {
       .toMillis();
 
     for (const r of visibleReminders || []) {
-      if (r?.enabled === false) {
+      if (r?.enabled === false && r?.pausedAt) {
+        // paused — still the user's prompt, just on hold
+        active.push(r);
+      } else if (r?.enabled === false) {
         // check if this is a one-time that fired today
         const updatedAtMs = r?.updatedAt?.toMillis?.() ?? 0;
         const firedToday =
@@ -155,6 +158,51 @@ const ReminderListContainer = ({ reminders, error, onAddReminderClick }) => {
     [user, visibleReminders],
   );
 
+  // no optimistic state here — the reminders snapshot flips the card
+  const handlePause = useCallback(
+    async (id) => {
+      if (!user?.uid) {
+        toast.error("Login required to pause this item.");
+        return;
+      }
+
+      try {
+        await remindrClient.pauseReminder(user.uid, id);
+        toast.success("Prompt paused.");
+      } catch (err) {
+        toast.error("Failed to pause prompt. Try again.");
+        console.error("pauseReminder error:", err);
+      }
+    },
+    [user],
+  );
+
+  const handleResume = useCallback(
+    async (id) => {
+      if (!user?.uid) {
+        toast.error("Login required to resume this item.");
+        return;
+      }
+
+      try {
+        await remindrClient.resumeReminder(user.uid, id);
+        toast.success("Prompt resumed.");
+      } catch (err) {
+        if (err?.message === "active_cap_reached") {
+          toast.error(
+            "All active slots are in use — pause or delete one first.",
+          );
+        } else if (err?.message === "no_future_run") {
+          toast.error("This prompt has no upcoming time left to resume into.");
+        } else {
+          toast.error("Failed to resume prompt. Try again.");
+          console.error("resumeReminder error:", err);
+        }
+      }
+    },
+    [user],
+  );
+
   // Error state
   if (error) {
     return (
@@ -202,6 +250,8 @@ const ReminderListContainer = ({ reminders, error, onAddReminderClick }) => {
                 }}
                 onView={handleViewDetails}
                 onDelete={handleDelete}
+                onPause={handlePause}
+                onResume={handleResume}
               />
             </motion.div>
           ))}
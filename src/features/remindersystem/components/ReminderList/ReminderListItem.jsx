@@ -1,10 +1,11 @@
 import React, { memo, useMemo, useCallback, useState } from "react";
 import { motion } from "framer-motion";
-import { Trash2, Eye } from "lucide-react";
+import { Trash2, Eye, Pause, Play } from "lucide-react";
 import { DateTime } from "luxon";
 import clsx from "clsx";
 import { HiOutlineCpuChip, HiOutlineBookmark } from "react-icons/hi2";
 import ConfirmDeletePortal from "./ConfirmDeletePortal";
+import { formatRecurrence } from "../../utils/scheduleUtils";
 
 const toIsoString = (v) => {
   if (!v) return null;
@@ -32,7 +33,11 @@ const freqLabel = (reminder = {}) => {
     one_time: "One time",
     daily: "Every day",
     weekly: "Every week",
+    interval: "Every few days",
+    monthly: "Monthly",
   };
+  const recurrence = formatRecurrence(raw, reminder?.schedule);
+  if (recurrence) return recurrence;
   return map[String(raw).toLowerCase()] || String(raw).replace(/_/g, " ");
 };
 
@@ -42,7 +47,13 @@ const truncate = (text, limit = 90) => {
   return text.length > limit ? text.slice(0, limit).trimEnd() + "…" : text;
 };
 
-const ReminderListItem = ({ reminder, onView, onDelete }) => {
+const ReminderListItem = ({
+  reminder,
+  onView,
+  onDelete,
+  onPause,
+  onResume,
+}) => {
   const {
     id,
     reminderType,
@@ -50,8 +61,13 @@ const ReminderListItem = ({ reminder, onView, onDelete }) => {
     content = {},
     nextRunAtUTC,
     enabled = true,
+    pausedAt,
   } = reminder || {};
 
+  // paused = disabled by the user, not finished — still viewable and actionable
+  const isPaused = !enabled && Boolean(pausedAt);
+  const isLive = enabled || isPaused;
+
   const isAI = String(reminderType || "").toLowerCase() === "ai";
   const tz = schedule?.timezone || DateTime.local().zoneName;
   const nextIso = toIsoString(nextRunAtUTC);
@@ -89,10 +105,27 @@ const ReminderListItem = ({ reminder, onView, onDelete }) => {
   const handleDeleteClick = useCallback(
     (e) => {
       e?.stopPropagation();
-      if (!enabled) return;
+      if (!isLive) return;
       setConfirmOpen(true);
     },
-    [enabled],
+    [isLive],
+  );
+
+  const [isToggling, setIsToggling] = useState(false);
+
+  const handlePauseToggle = useCallback(
+    async (e) => {
+      e?.stopPropagation();
+      const action = isPaused ? onResume : onPause;
+      if (!action || isToggling) return;
+      setIsToggling(true);
+      try {
+        await action(id);
+      } finally {
+        setIsToggling(false);
+      }
+    },
+    [id, isPaused, onPause, onResume, isToggling],
   );
 
   const confirmDelete = useCallback(
@@ -119,10 +152,11 @@ const ReminderListItem = ({ reminder, onView, onDelete }) => {
         className={clsx(
           "w-full rounded-xl border border-border/40 px-4 py-5",
           "bg-white dark:bg-bgImpact transition-colors duration-150",
-          enabled && "cursor-pointer hover:border-border/70",
-          !enabled && "opacity-50 cursor-default",
+          isLive && "cursor-pointer hover:border-border/70",
+          isPaused && "opacity-75",
+          !isLive && "opacity-50 cursor-default",
         )}
-        onClick={() => enabled && onView?.(id)}
+        onClick={() => isLive && onView?.(id)}
         role="listitem"
       >
         <div className="flex flex-col gap-3">
@@ -147,7 +181,12 @@ const ReminderListItem = ({ reminder, onView, onDelete }) => {
                 Preparing…
               </span>
             )}
-            {!enabled && (
+            {isPaused && (
+              <span className="text-[11px] text-muted tracking-wide">
+                Paused
+              </span>
+            )}
+            {!isLive && (
               <span className="text-[11px] text-brand tracking-wide">
                 Completed
               </span>
@@ -165,6 +204,12 @@ const ReminderListItem = ({ reminder, onView, onDelete }) => {
               Next · {formatNextRun(nextIso, tz)} · {freqLabel(reminder)}
             </p>
           )}
+          {isPaused && (
+            <p className="text-xs text-textLight/80 dark:text-textDark/80 tracking-wide">
+              Paused · {freqLabel(reminder)} · resumes from the next upcoming
+              time
+            </p>
+          )}
 
           {/* Actions — stop propagation so clicks don't open the modal */}
           <div
@@ -180,7 +225,23 @@ const ReminderListItem = ({ reminder, onView, onDelete }) => {
               <Eye className="w-4 h-4" />
             </button>
 
-            {enabled && (
+            {isLive && (onPause || onResume) && (
+              <button
+                type="button"
+                onClick={handlePauseToggle}
+                disabled={isToggling}
+                aria-label={isPaused ? "Resume prompt" : "Pause prompt"}
+                className="p-2 rounded-md text-muted hover:text-textLight dark:hover:text-textDark hover:bg-black/5 dark:hover:bg-white/5 transition-colors duration-150 disabled:opacity-40"
+              >
+                {isPaused ? (
+                  <Play className="w-4 h-4" />
+                ) : (
+                  <Pause className="w-4 h-4" />
+                )}
+              </button>
+            )}
+
+            {isLive && (
               <button
                 type="button"
                 onClick={handleDeleteClick}
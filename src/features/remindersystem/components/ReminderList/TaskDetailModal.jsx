@@ -4,9 +4,22 @@ import { motion, AnimatePresence } from "framer-motion";
 import { DateTime } from "luxon";
 import toast from "react-hot-toast";
 
-import { Clock, Copy, X } from "lucide-react";
+import {
+  AlarmClock,
+  Clock,
+  Copy,
+  Pencil,
+  SkipForward,
+  Sparkles,
+  X,
+} from "lucide-react";
 import Spinner from "../../../../components/Ui/LoadingSpinner";
 import { useAuthContext } from "../../../../context/AuthContext";
+import {
+  formatRecurrence,
+  upcomingSkippedDates,
+  SNOOZE_HOUR_OPTIONS,
+} from "../../utils/scheduleUtils";
 
 const toIso = (v) => {
   if (!v) return null;
@@ -49,10 +62,25 @@ const freqLabel = (reminder = {}) => {
     daily: "Every day",
     weekly: "Every week",
     one_time: "One time",
+    interval: "Every few days",
+    monthly: "Monthly",
   };
+  const recurrence = formatRecurrence(raw, reminder?.schedule);
+  if (recurrence) return recurrence;
   return map[String(raw).toLowerCase()] || String(raw).replace(/_/g, " ");
 };
 
+const formatDay = (isoDate) => {
+  if (!isoDate) return null;
+  const dt = DateTime.fromISO(isoDate);
+  return dt.isValid ? dt.toFormat("MMM d, yyyy") : null;
+};
+
+const END_REASON_LABELS = {
+  end_date: "Reached its end date",
+  max_drafts: "Delivered all drafts",
+};
+
 const formatWeekDays = (weekDays = []) => {
   if (!Array.isArray(weekDays) || weekDays.length === 0) return null;
   const map = {
@@ -105,6 +133,12 @@ export default function TaskDetailModal({
   const [task, setTask] = useState(null);
   const [loading, setLoading] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  const [editText, setEditText] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [occurrenceBusy, setOccurrenceBusy] = useState(false);
+  const [showSnooze, setShowSnooze] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
 
   const lastActiveRef = useRef(null);
   const closeRef = useRef(null);
@@ -117,6 +151,8 @@ export default function TaskDetailModal({
     if (!isOpen) return undefined;
 
     lastActiveRef.current = document.activeElement;
+    setIsEditing(false);
+    setShowSnooze(false);
 
     (async () => {
       if (!uid || !taskId || !remindrClient) {
@@ -175,6 +211,97 @@ export default function TaskDetailModal({
     }
   };
 
+  // edits are saved as a new intent version — same reminder, same drafts
+  const handleStartEdit = () => {
+    setEditText(task?.content?.aiPrompt || task?.content?.message || "");
+    setIsEditing(true);
+  };
+
+  const handleSaveEdit = async () => {
+    const field = task?.reminderType === "ai" ? "aiPrompt" : "message";
+    const text = editText.trim();
+    if (!text || text === task?.content?.[field]) {
+      setIsEditing(false);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const res = await remindrClient.updateReminder(uid, taskId, {
+        content: { ...task.content, [field]: text },
+      });
+      const fresh = await remindrClient.getReminder(uid, taskId);
+      if (fresh) setTask(fresh);
+      setIsEditing(false);
+      toast.success(`Saved as version ${res?.version ?? ""}`.trim());
+    } catch (err) {
+      if (err?.message === "no_future_run") {
+        toast.error("This prompt's time has passed — create a new one.");
+      } else if (err?.message === "reminder_not_active") {
+        toast.error("Finished prompts can't be edited.");
+      } else {
+        toast.error("Failed to save changes. Try again.");
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // one-off changes to the next draft — the schedule itself stays as is
+  const runOccurrenceAction = async (action, successMessage) => {
+    setOccurrenceBusy(true);
+    try {
+      await action();
+      const fresh = await remindrClient.getReminder(uid, taskId);
+      if (fresh) setTask(fresh);
+      setShowSnooze(false);
+      toast.success(successMessage);
+    } catch (err) {
+      if (err?.message === "snooze_past_next_run") {
+        toast.error("That runs into the next draft — skip this one instead.");
+      } else {
+        toast.error("Couldn't update the next draft. Try again.");
+      }
+    } finally {
+      setOccurrenceBusy(false);
+    }
+  };
+
+  const handleSkipNext = () =>
+    runOccurrenceAction(
+      () => remindrClient.skipNextOccurrence(uid, taskId),
+      "Next draft skipped.",
+    );
+
+  const handleSnooze = (hours) =>
+    runOccurrenceAction(
+      () => remindrClient.snoozeNextOccurrence(uid, taskId, hours),
+      `Next draft snoozed ${hours}h.`,
+    );
+
+  // draft on demand — lands in the inbox, the schedule doesn't move
+  const handleGenerateNow = async () => {
+    setIsGenerating(true);
+    try {
+      await remindrClient.generateNow(uid, taskId);
+      toast.success("Draft ready — it's in your inbox.");
+    } catch (err) {
+      if (err?.message === "draft_limit_reached") {
+        toast.error("You've reached today's draft limit.");
+      } else if (err?.message === "global_cap_reached") {
+        toast.error("Drafting is paused for today. Try again tomorrow.");
+      } else if (err?.message === "weak_input") {
+        toast.error(
+          "This prompt is too short to generate from — edit it first.",
+        );
+      } else {
+        toast.error("Couldn't generate a draft. Try again.");
+      }
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
   if (!isOpen) return null;
 
   const isAI = task?.reminderType === "ai";
@@ -187,9 +314,29 @@ export default function TaskDetailModal({
   const timezone = task?.schedule?.timezone || DateTime.local().zoneName;
   const frequency = freqLabel(task || {});
   const enabled = task?.enabled === undefined ? true : !!task?.enabled;
+  const isPaused = !enabled && Boolean(task?.pausedAt);
   const createdAt = task?.createdAt;
+  const canEdit = Boolean(task) && (enabled || isPaused);
+  const canChangeNext = Boolean(task) && enabled && Boolean(nextIso);
+  const snoozedFromIso = toIso(task?.snoozedFromUTC);
+  const currentVersion = task?.currentVersion ?? 1;
   const isPendingBackend = enabled === true && !nextIso;
   const weekDaysLabel = formatWeekDays(task?.schedule?.weekDays || []);
+  const timesLabel = Array.isArray(task?.schedule?.timesOfDay)
+    ? [...task.schedule.timesOfDay].sort().join(", ")
+    : null;
+  const maxDrafts = task?.schedule?.maxDrafts;
+  const deliveredCount = task?.deliveredCount ?? 0;
+  const startLabel = formatDay(task?.schedule?.startDate);
+  const endLabel = formatDay(task?.schedule?.endDate);
+  const endReasonLabel = END_REASON_LABELS[task?.endReason];
+  const skippedDates =
+    enabled && task
+      ? upcomingSkippedDates(
+          { frequency: task.frequency, schedule: task.schedule },
+          user?.blackoutDates,
+        )
+      : [];
 
   return createPortal(
     <AnimatePresence>
@@ -259,7 +406,7 @@ export default function TaskDetailModal({
                     <span
                       className={`h-2 w-2 rounded-full ${enabled ? "bg-emerald-400/80" : "bg-brand/70"}`}
                     />
-                    {enabled ? "Active" : "Completed"}
+                    {enabled ? "Active" : isPaused ? "Paused" : "Completed"}
                   </span>
 
                   {isPendingBackend && (
@@ -272,12 +419,57 @@ export default function TaskDetailModal({
 
                 {/* Prompt */}
                 <div className="mb-6 pb-6 border-b border-border/20">
-                  <p className="text-xs text-textLight/80 dark:text-textDark/80 uppercase tracking-wide font-medium mb-2">
-                    Your Prompt
-                  </p>
-                  <p className="text-sm sm:text-base font-medium text-textLight dark:text-textDark leading-snug whitespace-pre-wrap">
-                    {aiPrompt || message || "No content provided"}
-                  </p>
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-xs text-textLight/80 dark:text-textDark/80 uppercase tracking-wide font-medium">
+                      Your Prompt
+                      {currentVersion > 1 && (
+                        <span className="ml-2 normal-case text-muted">
+                          v{currentVersion}
+                        </span>
+                      )}
+                    </p>
+                    {canEdit && !isEditing && (
+                      <button
+                        onClick={handleStartEdit}
+                        className="inline-flex items-center gap-1 text-xs text-muted hover:text-brand transition-colors"
+                      >
+                        <Pencil className="w-3 h-3" />
+                        Edit
+                      </button>
+                    )}
+                  </div>
+                  {isEditing ? (
+                    <div className="space-y-3">
+                      <textarea
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        maxLength={2000}
+                        rows={4}
+                        disabled={isSaving}
+                        className="w-full rounded-lg border border-border/40 bg-transparent p-3 text-sm text-textLight dark:text-textDark focus:ring-brand focus:border-brand disabled:opacity-50"
+                      />
+                      <div className="flex items-center justify-end gap-2">
+                        <button
+                          onClick={() => setIsEditing(false)}
+                          disabled={isSaving}
+                          className="px-3 py-1.5 rounded-md text-sm text-muted hover:text-textLight dark:hover:text-textDark"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={handleSaveEdit}
+                          disabled={isSaving || !editText.trim()}
+                          className="px-3 py-1.5 rounded-md text-sm font-medium bg-brand text-white hover:brightness-110 disabled:opacity-40"
+                        >
+                          {isSaving ? "Saving…" : "Save"}
+                        </button>
+                      </div>
+                    </div>
+                  ) : (
+                    <p className="text-sm sm:text-base font-medium text-textLight dark:text-textDark leading-snug whitespace-pre-wrap">
+                      {aiPrompt || message || "No content provided"}
+                    </p>
+                  )}
                 </div>
 
                 {/* Parameters */}
@@ -320,8 +512,15 @@ export default function TaskDetailModal({
                         ? isPendingBackend
                           ? "Setting up…"
                           : formatNext(nextIso, timezone)
-                        : "Nothing pending"}
+                        : isPaused
+                          ? "Paused — resume to schedule"
+                          : "Nothing pending"}
                     </p>
+                    {enabled && snoozedFromIso && (
+                      <p className="text-muted mt-0.5">
+                        Snoozed from {formatNext(snoozedFromIso, timezone)}
+                      </p>
+                    )}
                   </div>
                   <div>
                     <p className="text-muted mb-1">How often</p>
@@ -337,10 +536,117 @@ export default function TaskDetailModal({
                       </p>
                     </div>
                   )}
+                  {timesLabel && (
+                    <div>
+                      <p className="text-muted mb-1">Delivery times</p>
+                      <p className="text-textLight dark:text-textDark font-medium">
+                        {timesLabel}
+                      </p>
+                    </div>
+                  )}
+                  {startLabel && (
+                    <div>
+                      <p className="text-muted mb-1">Starts</p>
+                      <p className="text-textLight dark:text-textDark font-medium">
+                        {startLabel}
+                      </p>
+                    </div>
+                  )}
+                  {endLabel && (
+                    <div>
+                      <p className="text-muted mb-1">Ends</p>
+                      <p className="text-textLight dark:text-textDark font-medium">
+                        {endLabel}
+                      </p>
+                    </div>
+                  )}
+                  {maxDrafts && (
+                    <div>
+                      <p className="text-muted mb-1">Progress</p>
+                      <p className="text-textLight dark:text-textDark font-medium">
+                        {Math.min(deliveredCount, maxDrafts)} of {maxDrafts}{" "}
+                        delivered
+                      </p>
+                    </div>
+                  )}
+                  {!enabled && endReasonLabel && (
+                    <div>
+                      <p className="text-muted mb-1">Finished</p>
+                      <p className="text-textLight dark:text-textDark font-medium">
+                        {endReasonLabel}
+                      </p>
+                    </div>
+                  )}
                 </div>
 
+                {/* Upcoming skipped dates */}
+                {skippedDates.length > 0 && (
+                  <div className="mb-6 text-xs">
+                    <p className="text-muted mb-2">Skipped dates</p>
+                    <ul className="space-y-1">
+                      {skippedDates.map(({ date, source }) => (
+                        <li
+                          key={date}
+                          className="flex items-center justify-between text-textLight dark:text-textDark"
+                        >
+                          <span className="font-medium">{formatDay(date)}</span>
+                          <span className="text-muted">
+                            {source === "blackout"
+                              ? "Blackout calendar"
+                              : "Skipped for this draft"}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
                 {/* Action bar */}
                 <div className="flex items-center justify-end gap-3 flex-wrap pt-5 border-t border-border/20">
+                  {canChangeNext && showSnooze && (
+                    <div className="inline-flex items-center gap-1">
+                      {SNOOZE_HOUR_OPTIONS.map((hours) => (
+                        <button
+                          key={hours}
+                          onClick={() => handleSnooze(hours)}
+                          disabled={occurrenceBusy}
+                          className="px-2.5 py-2 rounded-lg text-sm text-muted border border-border/40 hover:text-brand disabled:opacity-40"
+                        >
+                          +{hours}h
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {canChangeNext && (
+                    <>
+                      <button
+                        onClick={() => setShowSnooze((v) => !v)}
+                        disabled={occurrenceBusy}
+                        className="inline-flex items-center gap-2 px-4 py-2.5 rounded-lg text-sm font-medium text-muted border border-border/40 hover:text-brand disabled:opacity-40"
+                      >
+                        <AlarmClock className="w-4 h-4" />
+                        Snooze next
+                      </button>
+                      <button
+                        onClick={handleSkipNext}
+                        disabled={occurrenceBusy}
+                        className="inline-flex items-center gap-2 px-4 py-2.5 rounded-lg text-sm font-medium text-muted border border-border/40 hover:text-brand disabled:opacity-40"
+                      >
+                        <SkipForward className="w-4 h-4" />
+                        Skip next
+                      </button>
+                    </>
+                  )}
+                  {task && (
+                    <button
+                      onClick={handleGenerateNow}
+                      disabled={isGenerating}
+                      className="inline-flex items-center gap-2 px-4 py-2.5 rounded-lg text-sm font-medium text-brand border border-brand/40 hover:bg-brand/10 disabled:opacity-40"
+                    >
+                      <Sparkles className="w-4 h-4" />
+                      {isGenerating ? "Generating…" : "Generate now"}
+                    </button>
+                  )}
                   <button
                     onClick={handleCopy}
                     disabled={copied}
@@ -0,0 +1,79 @@
+import { useState, useEffect, useMemo } from "react";
+import {
+  collection,
+  query,
+  orderBy,
+  limit,
+  onSnapshot,
+} from "firebase/firestore";
+import { db } from "../../../services/firebase";
+
+const DAYS = 30;
+
+// adds one rollup slice map ({ id: { calls, costUSD } }) into totals
+function addSlices(totals, slices) {
+  Object.entries(slices || {}).forEach(([id, s]) => {
+    const t = totals[id] || { calls: 0, costUSD: 0 };
+    t.calls += s?.calls || 0;
+    t.costUSD += s?.costUSD || 0;
+    totals[id] = t;
+  });
+}
+
+// daily AI cost rollups (users/{uid}/costDaily, UTC days) — written by the
+// backend after each AI call, see functions/src/usage/rollUpAIUsage.ts
+export default function useAIUsage(uid) {
+  const [days, setDays] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!uid) {
+      setDays([]);
+      setLoading(false);
+      return;
+    }
+
+    const q = query(
+      collection(db, "users", uid, "costDaily"),
+      orderBy("date", "desc"),
+      limit(DAYS),
+    );
+
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => {
+        setDays(snapshot.docs.map((d) => d.data()));
+        setLoading(false);
+      },
+      (error) => {
+        console.error("[useAIUsage] Listener failed", error);
+        setDays([]);
+        setLoading(false);
+      },
+    );
+
+    return () => unsubscribe();
+  }, [uid]);
+
+  const summary = useMemo(() => {
+    const byReminder = {};
+    const byPlatform = {};
+    let calls = 0;
+    let costUSD = 0;
+    let tokens = 0;
+    let unpricedCalls = 0;
+
+    days.forEach((d) => {
+      calls += d.calls || 0;
+      costUSD += d.costUSD || 0;
+      tokens += (d.inputTokens || 0) + (d.outputTokens || 0);
+      unpricedCalls += d.unpricedCalls || 0;
+      addSlices(byReminder, d.byReminder);
+      addSlices(byPlatform, d.byPlatform);
+    });
+
+    return { calls, costUSD, tokens, unpricedCalls, byReminder, byPlatform };
+  }, [days]);
+
+  return { days, summary, loading, windowDays: DAYS };
+}
@@ -10,6 +10,7 @@ const ACTIVE_LIMIT = 3;
 // counts active AI prompt slots — includes one-time reminders that fired today
 // a one-time that executed today still holds its slot until midnight
 // this prevents the "free bar" illusion while draft limit is still active
+// paused reminders are disabled and hold no slot — resuming takes one back
 export default function useActiveReminderLimit(uid) {
   const { timezone } = useAppTimezone();
   const [atActiveLimit, setAtActiveLimit] = useState(false);
@@ -59,8 +60,9 @@ export default function useActiveReminderLimit(uid) {
       // exclude soft-deleted from both
       const activeDocs = activeSnap.docs.filter((doc) => !doc.data().deletedAt);
 
+      // a one-time paused today is disabled too, but it never fired
       const completedTodayDocs = completedSnap.docs.filter(
-        (doc) => !doc.data().deletedAt,
+        (doc) => !doc.data().deletedAt && !doc.data().pausedAt,
       );
 
       // combined count — both hold slots until midnight
@@ -0,0 +1,40 @@
+import { useState, useEffect } from "react";
+import { collection, query, orderBy, onSnapshot } from "firebase/firestore";
+import { db } from "../../../services/firebase";
+
+// runs blocked by the draft limit and queued for after midnight —
+// written and released by the backend (deferRun.ts / releaseDeferredRuns.ts)
+export default function useDeferredRuns(uid) {
+  const [deferredRuns, setDeferredRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!uid) {
+      setDeferredRuns([]);
+      setLoading(false);
+      return;
+    }
+
+    const q = query(
+      collection(db, "users", uid, "deferredRuns"),
+      orderBy("releaseAtUTC", "asc"),
+    );
+
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => {
+        setDeferredRuns(snapshot.docs.map((d) => ({ id: d.id, ...d.data() })));
+        setLoading(false);
+      },
+      (error) => {
+        console.error("[useDeferredRuns] Listener failed", error);
+        setDeferredRuns([]);
+        setLoading(false);
+      },
+    );
+
+    return () => unsubscribe();
+  }, [uid]);
+
+  return { deferredRuns, loading };
+}
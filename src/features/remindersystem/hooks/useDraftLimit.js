@@ -1,25 +1,22 @@
 import { useState, useEffect } from "react";
-import {
-  collection,
-  query,
-  where,
-  onSnapshot,
-  Timestamp,
-} from "firebase/firestore";
+import { doc, onSnapshot } from "firebase/firestore";
 import { DateTime } from "luxon";
 import { db } from "../../../services/firebase";
 import { useAppTimezone } from "../../../context/TimezoneProvider";
 
-const DRAFT_LIMIT = 3;
-
-// real-time listener — updates instantly when scheduler records a new execution
-// mirrors backend checkDraftLimit logic exactly, source of truth is still backend
+// real-time listener on today's metered count — bumped by the backend in the
+// same write as each AI draft (functions/src/drafts/draftUsage.ts)
+// source of truth is still backend checkDraftLimit, which reads the same doc;
+// the limit comes from that doc too, so it's never duplicated here
 export default function useDraftLimit(uid) {
   const { timezone } = useAppTimezone();
   const [limited, setLimited] = useState(false);
   const [count, setCount] = useState(0);
+  const [limit, setLimit] = useState(null);
   const [resetsAt, setResetsAt] = useState(null);
   const [loading, setLoading] = useState(true);
+  // bumped at local midnight so a long-open session moves to the new day
+  const [day, setDay] = useState(0);
 
   useEffect(() => {
     if (!uid) {
@@ -29,16 +26,10 @@ export default function useDraftLimit(uid) {
 
     const userTimezone = timezone || "UTC";
 
-    // start of today in user's timezone — same calculation as backend
-    const startOfToday = DateTime.now()
-      .setZone(userTimezone)
-      .startOf("day")
-      .toUTC()
-      .toJSDate();
-
-    const windowStart = Timestamp.fromDate(startOfToday);
+    // today's key in user's timezone — same calculation as backend
+    const dateKey = DateTime.now().setZone(userTimezone).toISODate();
 
-    // resets at midnight tonight — static for the day, no need to recalculate
+    // resets at midnight tonight — static for the day, re-keyed below
     const tomorrowMidnight = DateTime.now()
       .setZone(userTimezone)
       .plus({ days: 1 })
@@ -47,35 +38,38 @@ export default function useDraftLimit(uid) {
 
     setResetsAt(tomorrowMidnight);
 
-    const q = query(
-      collection(db, "users", uid, "executions"),
-      where("status", "==", "executed"),
-      where("createdAt", ">=", windowStart),
-    );
-
     const unsubscribe = onSnapshot(
-      q,
+      doc(db, "users", uid, "draftUsage", dateKey),
       (snapshot) => {
-        // filter aiUsed in code — avoids needing a 3-field composite index
-        const draftCount = snapshot.docs.filter(
-          (doc) => doc.data().aiUsed === true,
-        ).length;
+        // no doc yet means no AI drafts today — nothing to limit
+        const draftCount = Number(snapshot.data()?.count) || 0;
+        const draftLimit = Number(snapshot.data()?.limit) || null;
 
         setCount(draftCount);
-        setLimited(draftCount >= DRAFT_LIMIT);
+        setLimit(draftLimit);
+        setLimited(draftLimit !== null && draftCount >= draftLimit);
         setLoading(false);
       },
       (error) => {
         console.error("[useDraftLimit] Listener failed", error);
-        // fail open — don't block the user if listener fails
+        // fail open in the UI — the backend still enforces the limit
         setLimited(false);
         setLoading(false);
       },
     );
 
-    // clean up listener when component unmounts or uid/timezone changes
-    return () => unsubscribe();
-  }, [uid, timezone]);
+    // past midnight this listens to the new day's doc
+    const rollover = setTimeout(
+      () => setDay((d) => d + 1),
+      tomorrowMidnight.getTime() - Date.now() + 1000,
+    );
+
+    // clean up listener when component unmounts or uid/timezone/day changes
+    return () => {
+      clearTimeout(rollover);
+      unsubscribe();
+    };
+  }, [uid, timezone, day]);
 
-  return { limited, count, resetsAt, loading };
+  return { limited, count, limit, resetsAt, loading };
 }
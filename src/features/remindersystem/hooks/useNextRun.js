@@ -132,6 +132,10 @@ function normalizeScheduleForUtils(schedule = {}) {
     timeOfDay, // "HH:mm" or null
     date, // "YYYY-MM-DD" or null
     weekDays, // [1..7] or null
+    timesOfDay: Array.isArray(schedule.timesOfDay) ? schedule.timesOfDay : null,
+    recurrence: schedule.recurrence || null, // interval/monthly rule
+    startDate: schedule.startDate || null, // recurring only
+    endDate: schedule.endDate || null, // recurring only
   };
 
   if (DEBUG) {
@@ -147,12 +151,18 @@ function normalizeScheduleForUtils(schedule = {}) {
 /**
  * useNextRun
  * @param {Object} params
- * @param {'one_time'|'daily'|'weekly'} params.frequency
+ * @param {'one_time'|'daily'|'weekly'|'interval'|'monthly'} params.frequency
  * @param {Object} params.schedule - flexible schedule shape (see above)
  * @param {boolean} params.enabled - if false, computation is short-circuited
  * @returns {Object} { nextRunIso, nextRunHuman, isValid }
  */
 export default function useNextRun({ frequency, schedule, enabled = true }) {
+  // recurrence is an object — compare by value, not identity
+  const recurrenceKey = JSON.stringify(schedule?.recurrence ?? null);
+  const timesKey = Array.isArray(schedule?.timesOfDay)
+    ? schedule.timesOfDay.join(",")
+    : "";
+
   const normalized = useMemo(() => {
     if (!enabled) return null;
     return normalizeScheduleForUtils(schedule);
@@ -173,6 +183,10 @@ export default function useNextRun({ frequency, schedule, enabled = true }) {
         ? schedule.weekDays.join(",")
         : schedule?.weekDays) ||
       "",
+    recurrenceKey,
+    timesKey,
+    schedule?.startDate,
+    schedule?.endDate,
   ]);
 
   if (DEBUG) {
@@ -195,6 +209,10 @@ export default function useNextRun({ frequency, schedule, enabled = true }) {
           timeOfDay: normalized.timeOfDay,
           date: normalized.date,
           weekDays: normalized.weekDays,
+          timesOfDay: normalized.timesOfDay,
+          recurrence: normalized.recurrence,
+          startDate: normalized.startDate,
+          endDate: normalized.endDate,
         },
       });
       return iso || null;
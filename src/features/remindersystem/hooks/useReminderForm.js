@@ -59,9 +59,31 @@ function makeDefaultSchedule(confirmedTimezone) {
     timeOfDay: defaultTime.toFormat("HH:mm"),
     date: defaultTime.toISODate(),
     weekDays: [defaultTime.weekday],
+    // only sent for interval/monthly — anchor defaults to today
+    recurrence: {
+      every: 2,
+      unit: "day",
+      anchorDate: defaultTime.toISODate(),
+      monthDay: defaultTime.day,
+    },
   };
 }
 
+// form state keeps interval and monthly fields side by side so switching
+// frequency doesn't lose input — only the fields for `frequency` are sent
+function recurrenceFor(frequency, raw) {
+  if (!raw) return undefined;
+  if (frequency === "interval") {
+    return { every: raw.every, unit: raw.unit, anchorDate: raw.anchorDate };
+  }
+  if (frequency === "monthly") {
+    return raw.weekOfMonth !== undefined
+      ? { weekOfMonth: raw.weekOfMonth, weekday: raw.weekday }
+      : { monthDay: raw.monthDay };
+  }
+  return undefined;
+}
+
 export default function useReminderForm(opts = {}) {
   const { user: userProfile } = useAuthContext();
   const { timezone: providerTimezone } = useAppTimezone();
@@ -167,8 +189,21 @@ export default function useReminderForm(opts = {}) {
       weekDays: Array.isArray(scheduleInternal?.weekDays)
         ? scheduleInternal.weekDays
         : [],
+      recurrence: recurrenceFor(frequency, scheduleInternal?.recurrence),
+      timesOfDay:
+        (frequency === "daily" || frequency === "weekly") &&
+        Array.isArray(scheduleInternal?.timesOfDay)
+          ? scheduleInternal.timesOfDay
+          : undefined,
+      // start/end conditions only apply to recurring reminders
+      ...(frequency !== "one_time" && {
+        startDate: scheduleInternal?.startDate || undefined,
+        endDate: scheduleInternal?.endDate || undefined,
+        maxDrafts: scheduleInternal?.maxDrafts ?? undefined,
+        excludedDates: scheduleInternal?.excludedDates || undefined,
+      }),
     };
-  }, [scheduleInternal, providerTimezone]);
+  }, [scheduleInternal, providerTimezone, frequency]);
 
   const { nextRunIso: nextRunIsoFromHook, nextRunHuman: nextRunHumanFromHook } =
     useNextRun({
@@ -269,6 +304,22 @@ export default function useReminderForm(opts = {}) {
       if (normalized.schedule?.daysOfWeek) {
         cleanSchedule.weekDays = normalized.schedule.daysOfWeek;
       }
+      if (normalized.schedule?.localTimes) {
+        cleanSchedule.timesOfDay = normalized.schedule.localTimes;
+      }
+      if (normalized.schedule?.recurrence) {
+        cleanSchedule.recurrence = normalized.schedule.recurrence;
+      }
+      for (const key of [
+        "startDate",
+        "endDate",
+        "maxDrafts",
+        "excludedDates",
+      ]) {
+        if (normalized.schedule?.[key] !== undefined) {
+          cleanSchedule[key] = normalized.schedule[key];
+        }
+      }
 
       const payload = {
         ownerId,
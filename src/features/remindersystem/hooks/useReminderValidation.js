@@ -1,10 +1,23 @@
 import { useCallback } from "react";
 import { DateTime } from "luxon";
+import {
+  computeNextRunFromSchedule,
+  MAX_TIMES_PER_DAY,
+  validateRecurrence,
+  validateScheduleBounds,
+  validateExcludedDates,
+} from "../utils/scheduleUtils";
 
 const DEFAULT_MIN_PROMPT_LENGTH = 1;
 const DEFAULT_MIN_PROMPT_LENGTH_AI = 8;
 const DEFAULT_MAX_WEEKDAYS = 4;
-const VALID_FREQUENCIES = ["one_time", "daily", "weekly"];
+const VALID_FREQUENCIES = [
+  "one_time",
+  "daily",
+  "weekly",
+  "interval",
+  "monthly",
+];
 
 // catches keyboard mash and garbage input before it wastes a draft slot
 function isWeakInput(text) {
@@ -72,9 +85,42 @@ function normalizeWeekdays(input) {
 }
 
 function computeNextRunIso(schedule) {
-  const { kind, timezone, localTime, localDate, daysOfWeek } = schedule;
+  const {
+    kind,
+    timezone,
+    localTime,
+    localDate,
+    localTimes,
+    daysOfWeek,
+    recurrence,
+    startDate,
+    endDate,
+  } = schedule;
   if (!timezone || !localTime) return null;
 
+  // interval/monthly, multi-time and bounded schedules share the preview
+  // engine with useNextRun
+  if (
+    kind === "interval" ||
+    kind === "monthly" ||
+    localTimes ||
+    startDate ||
+    endDate
+  ) {
+    return computeNextRunFromSchedule({
+      frequency: kind,
+      schedule: {
+        timezone,
+        timeOfDay: localTime,
+        timesOfDay: localTimes,
+        weekDays: daysOfWeek,
+        recurrence,
+        startDate,
+        endDate,
+      },
+    });
+  }
+
   const tmMatch = /^(\d{1,2}):(\d{2})$/.exec(localTime.trim());
   if (!tmMatch) return null;
   const hh = Number(tmMatch[1]);
@@ -316,7 +362,100 @@ export function validateReminderPure(params = {}, options = {}) {
     normalizedSchedule.daysOfWeek = normWd;
   }
 
+  const rawTimes = scheduleWithTZ?.timesOfDay;
+  if (
+    (frequency === "daily" || frequency === "weekly") &&
+    Array.isArray(rawTimes) &&
+    rawTimes.length > 1
+  ) {
+    const canonicalTimes = [];
+    for (const raw of rawTimes) {
+      const m = /^(\d{1,2}):(\d{2})$/.exec(String(raw || "").trim());
+      if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) {
+        return {
+          ok: false,
+          errorCode: "TIME_FORMAT_INVALID",
+          errors: { time: "Each time must be in HH:mm format." },
+        };
+      }
+      canonicalTimes.push(`${m[1].padStart(2, "0")}:${m[2]}`);
+    }
+
+    const uniqueTimes = Array.from(new Set(canonicalTimes)).sort();
+    if (uniqueTimes.length !== canonicalTimes.length) {
+      return {
+        ok: false,
+        errorCode: "TIMES_DUPLICATE",
+        errors: { time: "Each delivery time must be different." },
+      };
+    }
+    if (uniqueTimes.length > MAX_TIMES_PER_DAY) {
+      return {
+        ok: false,
+        errorCode: "TIMES_TOO_MANY",
+        errors: {
+          time: `You can add up to ${MAX_TIMES_PER_DAY} times per day.`,
+        },
+      };
+    }
+
+    // earliest time doubles as timeOfDay for anything that reads one time
+    normalizedSchedule.localTimes = uniqueTimes;
+    normalizedSchedule.localTime = uniqueTimes[0];
+  }
+
+  if (frequency === "interval" || frequency === "monthly") {
+    const recurrence = scheduleWithTZ?.recurrence;
+    const recurrenceError = validateRecurrence(frequency, recurrence);
+    if (recurrenceError) {
+      return {
+        ok: false,
+        errorCode: "RECURRENCE_INVALID",
+        errors: { recurrence: recurrenceError },
+      };
+    }
+    normalizedSchedule.recurrence = recurrence;
+  }
+
+  if (frequency !== "one_time") {
+    const bounds = {
+      startDate: scheduleWithTZ?.startDate || undefined,
+      endDate: scheduleWithTZ?.endDate || undefined,
+      maxDrafts: scheduleWithTZ?.maxDrafts ?? undefined,
+    };
+    const boundsError = validateScheduleBounds(frequency, bounds);
+    if (boundsError) {
+      return {
+        ok: false,
+        errorCode: "SCHEDULE_BOUNDS_INVALID",
+        errors: { bounds: boundsError },
+      };
+    }
+    for (const [key, value] of Object.entries(bounds)) {
+      if (value !== undefined) normalizedSchedule[key] = value;
+    }
+
+    const excludedDates = scheduleWithTZ?.excludedDates || undefined;
+    const excludedError = validateExcludedDates(frequency, excludedDates);
+    if (excludedError) {
+      return {
+        ok: false,
+        errorCode: "EXCLUDED_DATES_INVALID",
+        errors: { bounds: excludedError },
+      };
+    }
+    if (excludedDates) normalizedSchedule.excludedDates = excludedDates;
+  }
+
   const nextRunIso = computeNextRunIso(normalizedSchedule);
+  if (!nextRunIso && normalizedSchedule.endDate) {
+    return {
+      ok: false,
+      errorCode: "SCHEDULE_BOUNDS_INVALID",
+      errors: { bounds: "This schedule ends before its first draft." },
+    };
+  }
+
   if (!nextRunIso) {
     return {
       ok: false,
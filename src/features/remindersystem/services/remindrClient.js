@@ -5,9 +5,9 @@
  * Writes user intent only. Backend owns execution logic.
  *
  * Core rules:
- * - Intent is immutable (no updates)
+ * - Intent is versioned (edits add a new version, never rewrite one)
  * - History is permanent (no deletions)
- * - User can only create or delete
+ * - User can only create, edit, pause/resume, skip/snooze or delete
  */
 
 import {
@@ -34,6 +34,37 @@ const deleteReminderCallable = httpsCallable(functions, "deleteReminder");
 // callable instead of direct write — backend enforces the active cap before saving
 const addPromptCallable = httpsCallable(functions, "addPrompt");
 
+// enabled is backend-owned — pausing goes through callables too
+const pauseReminderCallable = httpsCallable(functions, "pauseReminder");
+const resumeReminderCallable = httpsCallable(functions, "resumeReminder");
+
+// edits go to the backend too — it writes the new intent version
+const editReminderCallable = httpsCallable(functions, "editReminder");
+
+// one-off changes to the next occurrence — the recurring rule stays as is
+const skipNextCallable = httpsCallable(functions, "skipNextOccurrence");
+const snoozeNextCallable = httpsCallable(functions, "snoozeNextOccurrence");
+
+// on-demand draft — runs the execution pipeline without touching the schedule
+const generateNowCallable = httpsCallable(functions, "generateNow");
+const regenerateDraftCallable = httpsCallable(functions, "regenerateDraft");
+
+// generateNow and regenerateDraft share the backend's manual run — same errors
+function toManualRunError(err) {
+  if (err?.code === "functions/resource-exhausted") {
+    // the global AI budget is spent for everyone, not just this user
+    return new Error(
+      err.message === "global_cap_reached"
+        ? "global_cap_reached"
+        : "draft_limit_reached",
+    );
+  }
+  if (err?.code === "functions/failed-precondition") {
+    return new Error(err.message || "weak_input");
+  }
+  return null;
+}
+
 // Get user reminders collection reference
 function getUserRemindersCol(uid) {
   if (!uid) throw new Error("uid is required");
@@ -64,6 +95,42 @@ function normalizeSchedule(
     out.weekDays = rawWd.slice(0, 7);
   }
 
+  const rawTimes = payloadSchedule?.localTimes || payloadSchedule?.timesOfDay;
+  if (
+    (frequency === "daily" || frequency === "weekly") &&
+    Array.isArray(rawTimes) &&
+    rawTimes.length > 1
+  ) {
+    out.timesOfDay = rawTimes.slice(0, 4);
+  }
+
+  if (
+    (frequency === "interval" || frequency === "monthly") &&
+    payloadSchedule?.recurrence
+  ) {
+    out.recurrence = { ...payloadSchedule.recurrence };
+  }
+
+  if (frequency !== "one_time") {
+    if (payloadSchedule?.startDate) out.startDate = payloadSchedule.startDate;
+    if (payloadSchedule?.endDate) out.endDate = payloadSchedule.endDate;
+    if (Number.isInteger(payloadSchedule?.maxDrafts)) {
+      out.maxDrafts = payloadSchedule.maxDrafts;
+    }
+    if (
+      Array.isArray(payloadSchedule?.excludedDates) &&
+      payloadSchedule.excludedDates.length > 0
+    ) {
+      out.excludedDates = payloadSchedule.excludedDates.slice(0, 100);
+    }
+  }
+
+  if (Number.isInteger(payloadSchedule?.leadMinutes)) {
+    if (payloadSchedule.leadMinutes > 0) {
+      out.leadMinutes = payloadSchedule.leadMinutes;
+    }
+  }
+
   return out;
 }
 
@@ -155,10 +222,41 @@ export async function addReminder(payload) {
 }
 
 /**
- * Updates not supported - intent is immutable.
+ * edit reminder via backend callable — saved as a new intent version.
+ * changes: { content?, frequency?, schedule? }; omitted fields carry over.
+ * Returns { status: "edited", version, nextRunAtUTC }.
  */
-export async function updateReminder() {
-  throw new Error("Reminder updates are not supported. Intent is immutable.");
+export async function updateReminder(uid, reminderId, changes = {}) {
+  if (!uid || !reminderId) {
+    throw new Error("uid and reminderId are required");
+  }
+
+  const payload = { reminderId };
+  if (changes.content) payload.content = changes.content;
+  if (changes.frequency) payload.frequency = changes.frequency;
+  if (changes.schedule) {
+    // schedule shape depends on frequency — they travel together
+    if (!changes.frequency) {
+      throw new Error("frequency is required with schedule");
+    }
+    payload.schedule = normalizeSchedule(
+      changes.schedule,
+      changes.schedule.timezone || "UTC",
+      changes.frequency,
+    );
+  }
+
+  try {
+    const res = await editReminderCallable(payload);
+    return res.data;
+  } catch (err) {
+    if (err?.code === "functions/failed-precondition") {
+      // "reminder_not_active" | "no_future_run"
+      throw new Error(err.message);
+    }
+    console.error("updateReminder failed:", err);
+    throw err;
+  }
 }
 
 /**
@@ -179,6 +277,134 @@ export async function deleteReminder(uid, reminderId) {
   }
 }
 
+/**
+ * pause reminder via backend callable.
+ * Returns { status: "paused" | "already_paused" }.
+ */
+export async function pauseReminder(uid, reminderId) {
+  if (!uid || !reminderId) {
+    throw new Error("uid and reminderId are required");
+  }
+
+  try {
+    const res = await pauseReminderCallable({ reminderId });
+    return res.data;
+  } catch (err) {
+    console.error("pauseReminder failed:", err);
+    throw err;
+  }
+}
+
+/**
+ * resume reminder via backend callable — next run is computed from now.
+ * Returns { status: "resumed", nextRunAtUTC } | { status: "not_paused" }.
+ */
+export async function resumeReminder(uid, reminderId) {
+  if (!uid || !reminderId) {
+    throw new Error("uid and reminderId are required");
+  }
+
+  try {
+    const res = await resumeReminderCallable({ reminderId });
+    return res.data;
+  } catch (err) {
+    // resuming an AI prompt takes back an active slot
+    if (err?.code === "functions/resource-exhausted") {
+      throw new Error("active_cap_reached");
+    }
+    if (err?.code === "functions/failed-precondition") {
+      throw new Error("no_future_run");
+    }
+    console.error("resumeReminder failed:", err);
+    throw err;
+  }
+}
+
+/**
+ * skip the next occurrence via backend callable — recorded as skipped_user.
+ * Returns { status: "skipped", nextRunAtUTC } | { status: "already_ran" }.
+ */
+export async function skipNextOccurrence(uid, reminderId) {
+  if (!uid || !reminderId) {
+    throw new Error("uid and reminderId are required");
+  }
+
+  try {
+    const res = await skipNextCallable({ reminderId });
+    return res.data;
+  } catch (err) {
+    console.error("skipNextOccurrence failed:", err);
+    throw err;
+  }
+}
+
+/**
+ * snooze the next occurrence by a few hours via backend callable.
+ * Returns { status: "snoozed", snoozedUntilUTC }.
+ */
+export async function snoozeNextOccurrence(uid, reminderId, hours) {
+  if (!uid || !reminderId) {
+    throw new Error("uid and reminderId are required");
+  }
+
+  try {
+    const res = await snoozeNextCallable({ reminderId, hours });
+    return res.data;
+  } catch (err) {
+    // snoozing can't run into the occurrence after this one
+    if (err?.message === "snooze_past_next_run") {
+      throw new Error("snooze_past_next_run");
+    }
+    console.error("snoozeNextOccurrence failed:", err);
+    throw err;
+  }
+}
+
+/**
+ * generate a draft right now via backend callable. Counts toward the daily
+ * draft limit; the next scheduled run is unaffected.
+ * Returns { status: "generated", draftId }.
+ */
+export async function generateNow(uid, reminderId) {
+  if (!uid || !reminderId) {
+    throw new Error("uid and reminderId are required");
+  }
+
+  try {
+    const res = await generateNowCallable({ reminderId });
+    return res.data;
+  } catch (err) {
+    const mapped = toManualRunError(err);
+    if (mapped) throw mapped;
+    console.error("generateNow failed:", err);
+    throw err;
+  }
+}
+
+/**
+ * regenerate a draft, or retry a failed execution, via backend callable.
+ * Pass exactly one of draftId / executionId. The new draft keeps the
+ * original slot and links back (regeneratedFrom / retryOf).
+ * Returns { status: "generated", draftId }.
+ */
+export async function regenerateDraft(uid, { draftId, executionId } = {}) {
+  if (!uid || (!draftId && !executionId)) {
+    throw new Error("uid and draftId or executionId are required");
+  }
+
+  try {
+    const res = await regenerateDraftCallable(
+      draftId ? { draftId } : { executionId },
+    );
+    return res.data;
+  } catch (err) {
+    const mapped = toManualRunError(err);
+    if (mapped) throw mapped;
+    console.error("regenerateDraft failed:", err);
+    throw err;
+  }
+}
+
 /**
  * Fetch single reminder by ID.
  */
@@ -218,6 +444,12 @@ const defaultExport = {
   addReminder,
   updateReminder,
   deleteReminder,
+  pauseReminder,
+  resumeReminder,
+  skipNextOccurrence,
+  snoozeNextOccurrence,
+  generateNow,
+  regenerateDraft,
   getReminder,
   listUserReminders,
   subscribeToReminders,
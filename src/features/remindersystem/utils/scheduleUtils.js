@@ -102,6 +102,323 @@ function buildCandidateForDate(dateDt, hour, minute, tz, maxShiftMinutes = 60) {
   return null;
 }
 
+/* ---------------------------
+   Interval / monthly recurrence
+   --------------------------- */
+// Mirrors functions/src/utils/recurrence.ts — the backend decides the real
+// run time, this only drives validation and the preview.
+//   interval: recurrence = { every, unit: "day" | "week", anchorDate: "YYYY-MM-DD" }
+//   monthly:  recurrence = { monthDay } or { weekOfMonth: 1..4 | -1, weekday: 1..7 }
+
+export const MAX_INTERVAL = { day: 90, week: 12 };
+
+const ORDINAL_LABELS = { 1: "First", 2: "Second", 3: "Third", 4: "Fourth" };
+const WEEKDAY_NAMES = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+const isIntBetween = (v, min, max) =>
+  Number.isInteger(v) && v >= min && v <= max;
+
+/**
+ * Returns a user-facing error string, or null when the rule is usable.
+ */
+export function validateRecurrence(frequency, recurrence) {
+  if (!recurrence || typeof recurrence !== "object") {
+    return "Choose how often this repeats.";
+  }
+
+  if (frequency === "interval") {
+    const { every, unit, anchorDate } = recurrence;
+    if (unit !== "day" && unit !== "week") return "Choose days or weeks.";
+    if (!isIntBetween(every, 1, MAX_INTERVAL[unit])) {
+      return `Repeat every 1 to ${MAX_INTERVAL[unit]} ${unit}s.`;
+    }
+    if (!anchorDate || !DateTime.fromISO(anchorDate).isValid) {
+      return "Choose a start date.";
+    }
+    return null;
+  }
+
+  if (frequency === "monthly") {
+    const { monthDay, weekOfMonth, weekday } = recurrence;
+    if (monthDay !== undefined) {
+      return isIntBetween(monthDay, 1, 31)
+        ? null
+        : "Choose a day of the month.";
+    }
+    if (!(weekOfMonth === -1 || isIntBetween(weekOfMonth, 1, 4))) {
+      return "Choose which week of the month.";
+    }
+    return isIntBetween(weekday, 1, 7) ? null : "Choose a weekday.";
+  }
+
+  return null;
+}
+
+// day past the end of a short month lands on its last day ("31st" → Apr 30)
+function monthlyDateIn(monthStart, rule) {
+  const daysInMonth = monthStart.daysInMonth;
+
+  if (rule.monthDay !== undefined) {
+    return monthStart.set({ day: Math.min(rule.monthDay, daysInMonth) });
+  }
+
+  if (rule.weekOfMonth === -1) {
+    const last = monthStart.set({ day: daysInMonth });
+    return last.minus({ days: (last.weekday - rule.weekday + 7) % 7 });
+  }
+
+  const firstMatch = 1 + ((rule.weekday - monthStart.weekday + 7) % 7);
+  return monthStart.set({ day: firstMatch + (rule.weekOfMonth - 1) * 7 });
+}
+
+function nextRecurrenceAfter(frequency, recurrence, hour, minute, tz, nowDt) {
+  if (validateRecurrence(frequency, recurrence)) return null;
+
+  if (frequency === "interval") {
+    const anchor = DateTime.fromISO(recurrence.anchorDate, { zone: tz });
+    const stepDays =
+      recurrence.unit === "week" ? recurrence.every * 7 : recurrence.every;
+    const elapsed = Math.floor(
+      nowDt.startOf("day").diff(anchor.startOf("day"), "days").days,
+    );
+    let step = Math.max(0, Math.floor(elapsed / stepDays) - 1);
+
+    for (let i = 0; i < 4; i++, step++) {
+      const day = anchor.plus({ days: step * stepDays });
+      const candidate = buildCandidateForDate(day, hour, minute, tz);
+      if (candidate && candidate > nowDt) return candidate;
+    }
+    return null;
+  }
+
+  const monthStart = nowDt.startOf("month");
+  for (let i = 0; i < 2; i++) {
+    const day = monthlyDateIn(monthStart.plus({ months: i }), recurrence);
+    const candidate = buildCandidateForDate(day, hour, minute, tz);
+    if (candidate && candidate > nowDt) return candidate;
+  }
+  return null;
+}
+
+/**
+ * formatRecurrence(frequency, schedule) => "Every 3 days", "First Monday of the month"
+ * Returns null for frequencies without a recurrence rule.
+ */
+export function formatRecurrence(frequency, schedule = {}) {
+  const r = schedule?.recurrence;
+  if (!r || validateRecurrence(frequency, r)) return null;
+
+  if (frequency === "interval") {
+    if (r.every === 1) return r.unit === "week" ? "Every week" : "Every day";
+    return `Every ${r.every} ${r.unit}s`;
+  }
+
+  if (frequency === "monthly") {
+    if (r.monthDay !== undefined) {
+      const n = r.monthDay;
+      const suffix =
+        n % 10 === 1 && n !== 11
+          ? "st"
+          : n % 10 === 2 && n !== 12
+            ? "nd"
+            : n % 10 === 3 && n !== 13
+              ? "rd"
+              : "th";
+      return `Monthly on the ${n}${suffix}`;
+    }
+    const ordinal =
+      r.weekOfMonth === -1 ? "Last" : ORDINAL_LABELS[r.weekOfMonth];
+    return `${ordinal} ${WEEKDAY_NAMES[r.weekday - 1]} of the month`;
+  }
+
+  return null;
+}
+
+/* ---------------------------
+   Several times a day (daily / weekly)
+   --------------------------- */
+// schedule.timesOfDay: ["08:00", "18:00"] — each time is its own run
+
+export const MAX_TIMES_PER_DAY = 4;
+
+function computeNextRunForTimes({ frequency, schedule }, from) {
+  const times =
+    (frequency === "daily" || frequency === "weekly") &&
+    Array.isArray(schedule.timesOfDay) &&
+    schedule.timesOfDay.length > 1
+      ? schedule.timesOfDay
+      : [schedule.timeOfDay];
+
+  // same UTC ISO format for every time, so string compare orders them
+  let best = null;
+  for (const timeOfDay of times) {
+    const iso = computeNextRunIgnoringBounds(
+      { frequency, schedule: { ...schedule, timeOfDay } },
+      from,
+    );
+    if (iso && (!best || iso < best)) best = iso;
+  }
+  return best;
+}
+
+/* ---------------------------
+   Start dates / end conditions
+   --------------------------- */
+// Mirrors functions/src/utils/scheduleBounds.ts. Recurring only:
+//   startDate "YYYY-MM-DD" · endDate "YYYY-MM-DD" (inclusive) · maxDrafts 1..365
+
+export const MAX_DRAFTS_LIMIT = 365;
+
+const isDateString = (v) =>
+  typeof v === "string" &&
+  /^\d{4}-\d{2}-\d{2}$/.test(v) &&
+  DateTime.fromISO(v).isValid;
+
+/**
+ * Returns a user-facing error string, or null when the bounds are usable.
+ */
+export function validateScheduleBounds(frequency, schedule = {}) {
+  const { startDate, endDate, maxDrafts } = schedule || {};
+  if (startDate == null && endDate == null && maxDrafts == null) return null;
+
+  if (frequency === "one_time") {
+    return "Start and end options are only for repeating drafts.";
+  }
+  if (startDate != null && !isDateString(startDate)) {
+    return "Choose a valid start date.";
+  }
+  if (endDate != null && !isDateString(endDate)) {
+    return "Choose a valid end date.";
+  }
+  if (startDate && endDate && endDate < startDate) {
+    return "End date can't be before the start date.";
+  }
+  if (
+    maxDrafts != null &&
+    !(
+      Number.isInteger(maxDrafts) &&
+      maxDrafts >= 1 &&
+      maxDrafts <= MAX_DRAFTS_LIMIT
+    )
+  ) {
+    return `Stop after 1 to ${MAX_DRAFTS_LIMIT} drafts.`;
+  }
+  return null;
+}
+
+/* ---------------------------
+   Excluded dates / blackout calendar
+   --------------------------- */
+// Mirrors functions/src/utils/excludedDates.ts. schedule.excludedDates is per
+// reminder, blackoutDates lives on the user profile; both "YYYY-MM-DD" lists
+// of local dates that recurring reminders skip.
+
+export const MAX_EXCLUDED_DATES = 100;
+export const MAX_BLACKOUT_DATES = 200;
+
+export function validateExcludedDates(frequency, excludedDates) {
+  if (excludedDates == null) return null;
+  if (frequency === "one_time") {
+    return "Skipped dates are only for repeating drafts.";
+  }
+  if (!Array.isArray(excludedDates) || !excludedDates.every(isDateString)) {
+    return "Choose valid dates to skip.";
+  }
+  if (excludedDates.length > MAX_EXCLUDED_DATES) {
+    return `You can skip up to ${MAX_EXCLUDED_DATES} dates.`;
+  }
+  return null;
+}
+
+/**
+ * upcomingSkippedDates({ frequency, schedule }, blackoutDates, limit)
+ * => [{ date: "YYYY-MM-DD", source: "reminder" | "blackout" }]
+ * Only dates the schedule would actually have run on.
+ */
+export function upcomingSkippedDates(
+  { frequency, schedule },
+  blackoutDates = [],
+  limit = 5,
+) {
+  if (frequency === "one_time" || !schedule?.timezone) return [];
+  const tz = schedule.timezone;
+  if (!IANAZone.isValidZone(tz)) return [];
+
+  const own = Array.isArray(schedule.excludedDates)
+    ? schedule.excludedDates
+    : [];
+  const blackout = Array.isArray(blackoutDates) ? blackoutDates : [];
+  const today = DateTime.now().setZone(tz).toISODate();
+
+  const dates = Array.from(new Set([...own, ...blackout]))
+    .filter((d) => isDateString(d) && d >= today)
+    .sort();
+
+  const out = [];
+  for (const date of dates) {
+    if (out.length >= limit) break;
+
+    // does the schedule have a run on this day at all?
+    const dayStart = DateTime.fromISO(date, { zone: tz })
+      .startOf("day")
+      .minus({ milliseconds: 1 });
+    const next = computeNextRunFromSchedule({ frequency, schedule }, dayStart);
+    if (!next) continue;
+
+    const runDate = DateTime.fromISO(next, { zone: "utc" })
+      .setZone(tz)
+      .toISODate();
+    if (runDate !== date) continue;
+
+    out.push({ date, source: own.includes(date) ? "reminder" : "blackout" });
+  }
+  return out;
+}
+
+/**
+ * parseVacation(users/{uid}.vacation) => { startDate, endDate } | null
+ * Account-wide vacation mode, both dates inclusive — every recurring run
+ * inside it is skipped by the backend (skipped_vacation); a one-time run
+ * moves to the day after.
+ */
+export function parseVacation(vacation) {
+  if (
+    !vacation ||
+    !isDateString(vacation.startDate) ||
+    !isDateString(vacation.endDate) ||
+    vacation.endDate < vacation.startDate
+  ) {
+    return null;
+  }
+  return { startDate: vacation.startDate, endDate: vacation.endDate };
+}
+
+/**
+ * vacationCovering(isoUtc, vacation, timezone) => vacation | null
+ * The vacation when that instant's local date falls inside it.
+ */
+export function vacationCovering(isoUtc, vacation, timezone) {
+  const range = parseVacation(vacation);
+  if (!range || !isoUtc) return null;
+
+  const zone = timezone && IANAZone.isValidZone(timezone) ? timezone : "UTC";
+  const date = DateTime.fromISO(isoUtc, { zone: "utc" })
+    .setZone(zone)
+    .toISODate();
+
+  return date && date >= range.startDate && date <= range.endDate
+    ? range
+    : null;
+}
+
 /* ---------------------------
    Validate schedule shape
    --------------------------- */
@@ -166,6 +483,20 @@ export function isValidSchedule(frequency, schedule = {}) {
     }
   }
 
+  if (frequency === "interval" || frequency === "monthly") {
+    const recurrenceError = validateRecurrence(frequency, schedule.recurrence);
+    if (recurrenceError) return { ok: false, error: recurrenceError };
+  }
+
+  const boundsError = validateScheduleBounds(frequency, schedule);
+  if (boundsError) return { ok: false, error: boundsError };
+
+  const excludedError = validateExcludedDates(
+    frequency,
+    schedule.excludedDates,
+  );
+  if (excludedError) return { ok: false, error: excludedError };
+
   return { ok: true };
 }
 
@@ -175,11 +506,42 @@ export function isValidSchedule(frequency, schedule = {}) {
 /**
  * Compute the next run as UTC ISO string (suppress ms) or null.
  * Accepts `now` as DateTime|Date|number|string|undefined.
+ * Recurring schedules never run before startDate or after endDate.
  */
 export function computeNextRunFromSchedule(
   { frequency, schedule },
   now = undefined
 ) {
+  if (!schedule || typeof schedule !== "object") return null;
+  if (frequency === "one_time") {
+    return computeNextRunIgnoringBounds({ frequency, schedule }, now);
+  }
+
+  const tz =
+    typeof schedule.timezone === "string" && schedule.timezone.length
+      ? schedule.timezone
+      : "UTC";
+  if (!IANAZone.isValidZone(tz)) return null;
+
+  let from = parseNowToZone(now, tz);
+  if (isDateString(schedule.startDate)) {
+    // a millisecond before local midnight so a 00:00 run on startDate counts
+    const start = DateTime.fromISO(schedule.startDate, { zone: tz })
+      .startOf("day")
+      .minus({ milliseconds: 1 });
+    if (start > from) from = start;
+  }
+
+  const next = computeNextRunForTimes({ frequency, schedule }, from);
+  if (!next || !isDateString(schedule.endDate)) return next;
+
+  const nextLocalDate = DateTime.fromISO(next, { zone: "utc" })
+    .setZone(tz)
+    .toISODate();
+  return nextLocalDate > schedule.endDate ? null : next;
+}
+
+function computeNextRunIgnoringBounds({ frequency, schedule }, now) {
   if (!schedule || typeof schedule !== "object") return null;
   const tz =
     typeof schedule.timezone === "string" && schedule.timezone.length
@@ -251,6 +613,18 @@ export function computeNextRunFromSchedule(
       return best ? toUtcIso(best) : null;
     }
 
+    if (frequency === "interval" || frequency === "monthly") {
+      const next = nextRecurrenceAfter(
+        frequency,
+        schedule.recurrence,
+        hour,
+        minute,
+        tz,
+        nowDt,
+      );
+      return next ? toUtcIso(next) : null;
+    }
+
     return null;
   } catch (err) {
     // dev-time debug output
@@ -503,8 +877,23 @@ export function formatNextRunForDisplay(isoUtc) {
   }
 }
 
+// quick picks for snoozing the next draft — the backend allows up to 12h
+// and never past the occurrence after it (snoozeNextOccurrence.ts)
+export const SNOOZE_HOUR_OPTIONS = [1, 3, 6];
+
+// mirrors functions/src/utils/leadTime.ts — minutes a draft is generated
+// ahead of its delivery time and held until then
+export const LEAD_MINUTE_OPTIONS = [5, 10, 15, 30];
+
 export default {
   isValidSchedule,
+  validateRecurrence,
+  formatRecurrence,
+  validateScheduleBounds,
+  validateExcludedDates,
+  upcomingSkippedDates,
+  parseVacation,
+  vacationCovering,
   computeNextRunFromSchedule,
   computeNextRunAfterTimezoneChange,
   computeNextRun,
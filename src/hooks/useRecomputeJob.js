@@ -0,0 +1,33 @@
+// src/hooks/useRecomputeJob.js
+// Live view of recompute_queue/{jobId} while the backend re-anchors reminders
+// after a timezone change. Pass null to stop listening.
+
+import { useState, useEffect } from "react";
+import { doc, onSnapshot } from "firebase/firestore";
+import { db } from "../services/firebase";
+
+export const useRecomputeJob = (jobId) => {
+  const [job, setJob] = useState(null);
+
+  useEffect(() => {
+    if (!jobId) {
+      setJob(null);
+      return;
+    }
+
+    const unsubscribe = onSnapshot(
+      doc(db, "recompute_queue", jobId),
+      (snap) => setJob(snap.exists() ? snap.data() : null),
+      (err) => {
+        console.error("useRecomputeJob: listener error", err);
+        setJob({ status: "failed", error: String(err?.message || err) });
+      },
+    );
+
+    return unsubscribe;
+  }, [jobId]);
+
+  return job;
+};
+
+export default useRecomputeJob;
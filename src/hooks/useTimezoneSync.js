@@ -4,7 +4,6 @@ import { IANAZone } from "luxon";
 import { doc, setDoc, serverTimestamp } from "firebase/firestore";
 import { auth, db } from "../services/firebase";
 import { useTimezoneDetection } from "./useTimezoneDetection";
-import remindrClient from "../features/remindersystem/services/remindrClient";
 import {
   TZ_ACCEPTED_KEY,
   TZ_DECLINED_KEY,
@@ -39,9 +38,6 @@ import {
  * @property {(isLoggingOut: boolean) => void} markLogout
  */
 
-const MAX_CLIENT_RECOMPUTE_COUNT = 5;
-const RECOMPUTE_BATCH_SIZE = 50;
-const ENABLE_REMINDER_RECOMPUTE = false;
 const MAX_QUEUE_ATTEMPTS = 5;
 
 function reportError(err, context = {}) {
@@ -79,6 +75,17 @@ function makeOpId() {
   return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
 }
 
+// one job per user — a newer timezone replaces an unstarted job
+function queueReminderRecompute(uid, newTimezone) {
+  return setDoc(doc(db, "recompute_queue", uid), {
+    uid,
+    newTimezone,
+    requestedAt: serverTimestamp(),
+    status: "pending",
+    requester: "client",
+  });
+}
+
 function enqueueTimezoneUpdate(uid, tz) {
   if (!uid || !tz) return;
   try {
@@ -191,6 +198,12 @@ async function flushTimezoneQueue({ rateLimitMs = 250 } = {}) {
 
         clearDeclinedLocal(item.uid, item.tz);
 
+        // reminders still carry the old zone — best-effort, the profile
+        // write above is what this queue item was for
+        await queueReminderRecompute(item.uid, item.tz).catch((qErr) =>
+          reportError(qErr, { fn: "flushTimezoneQueue_recompute", key }),
+        );
+
         try {
           localStorage.setItem(
             TZ_ACCEPTED_KEY,
@@ -321,8 +334,7 @@ export default function useTimezoneSync({
     async ({
       newTimezone,
       persistToProfile = true,
-      runClientRecompute = true,
-      progressCb = null,
+      recomputeReminders = true,
     } = {}) => {
       if (!firebaseUser?.uid) {
         const msg = "No authenticated user";
@@ -408,7 +420,7 @@ export default function useTimezoneSync({
 
         const count = Number(totalReminders || 0);
 
-        if (!runClientRecompute) {
+        if (!recomputeReminders || count === 0) {
           return {
             status: "ok",
             runId: null,
@@ -417,141 +429,23 @@ export default function useTimezoneSync({
           };
         }
 
-        if (count > MAX_CLIENT_RECOMPUTE_COUNT) {
-          if (ENABLE_REMINDER_RECOMPUTE) {
-            try {
-              const qRef = doc(db, "recompute_queue", firebaseUser.uid);
-              await setDoc(
-                qRef,
-                {
-                  uid: firebaseUser.uid,
-                  newTimezone,
-                  requestedAt: serverTimestamp(),
-                  status: "pending",
-                  requester: "client",
-                },
-                { merge: true },
-              );
-              console.log(
-                "acceptDeviceTimezone: queued recompute for server (too many reminders)",
-              );
-              return { status: "queued", queuedForServer: true };
-            } catch (qErr) {
-              console.error(
-                "acceptDeviceTimezone: failed to write queue doc:",
-                qErr,
-              );
-              return { status: "error", error: String(qErr?.message || qErr) };
-            }
-          } else {
-            console.log(
-              "acceptDeviceTimezone: server recompute disabled, returning queued status",
-            );
-            return { status: "queued", queuedForServer: true };
-          }
-        }
-
-        if (
-          remindrClient &&
-          typeof remindrClient.recomputeRemindersForUserTimezone === "function"
-        ) {
-          try {
-            const res = await remindrClient.recomputeRemindersForUserTimezone(
-              firebaseUser.uid,
-              newTimezone,
-              {
-                maxClientCount: MAX_CLIENT_RECOMPUTE_COUNT,
-                batchSize: RECOMPUTE_BATCH_SIZE,
-                progressCb,
-              },
-            );
-
-            if (res && res.status === "ok") {
-              console.log(
-                "acceptDeviceTimezone: client recompute completed",
-                res,
-              );
-              return {
-                status: "ok",
-                runId: res.runId,
-                processed: res.processed,
-                queuedForServer: false,
-              };
-            }
-
-            if (res && res.status === "queued") {
-              console.log(
-                "acceptDeviceTimezone: recompute queued for server by helper",
-              );
-              return {
-                status: "queued",
-                runId: res.runId,
-                queuedForServer: true,
-              };
-            }
-
-            console.warn(
-              "acceptDeviceTimezone: recompute returned unexpected result",
-              res,
-            );
-            return {
-              status: "error",
-              error: "Recompute returned unexpected result",
-              details: res,
-            };
-          } catch (recomputeErr) {
-            console.error(
-              "acceptDeviceTimezone: client recompute failed:",
-              recomputeErr,
-            );
-            if (ENABLE_REMINDER_RECOMPUTE) {
-              try {
-                const qRef = doc(db, "recompute_queue", firebaseUser.uid);
-                await setDoc(
-                  qRef,
-                  {
-                    uid: firebaseUser.uid,
-                    newTimezone,
-                    requestedAt: serverTimestamp(),
-                    status: "pending",
-                    requester: "client",
-                    error: String(recomputeErr?.message || recomputeErr),
-                  },
-                  { merge: true },
-                );
-                console.log(
-                  "acceptDeviceTimezone: recompute failed - queued job for server",
-                );
-                return {
-                  status: "queued",
-                  queuedForServer: true,
-                  error: String(recomputeErr?.message || recomputeErr),
-                };
-              } catch (qErr2) {
-                console.error(
-                  "acceptDeviceTimezone: failed to queue after recompute error:",
-                  qErr2,
-                );
-                return {
-                  status: "error",
-                  error: String(recomputeErr?.message || recomputeErr),
-                };
-              }
-            } else {
-              return {
-                status: "error",
-                error: String(recomputeErr?.message || recomputeErr),
-              };
-            }
-          }
+        // the backend re-anchors every active reminder (onRecomputeQueued);
+        // the modal follows progress on the job doc
+        try {
+          await queueReminderRecompute(firebaseUser.uid, newTimezone);
+          console.log("acceptDeviceTimezone: queued reminder recompute");
+          return {
+            status: "queued",
+            jobId: firebaseUser.uid,
+            queuedForServer: true,
+          };
+        } catch (qErr) {
+          console.error(
+            "acceptDeviceTimezone: failed to write queue doc:",
+            qErr,
+          );
+          return { status: "error", error: String(qErr?.message || qErr) };
         }
-
-        return {
-          status: "ok",
-          runId: null,
-          processed: 0,
-          queuedForServer: false,
-        };
       } finally {
         timezoneUpdateInProgressRef.current = false;
       }
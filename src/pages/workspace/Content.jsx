@@ -1,5 +1,6 @@
 import React, { useMemo, useState } from "react";
-import { collection, query, orderBy } from "firebase/firestore";
+import { collection, query, orderBy, where } from "firebase/firestore";
+import { AlertCircle, RefreshCw } from "lucide-react";
 import { db } from "../../services/firebase";
 import { useCollection } from "../../hooks/useCollection";
 import { useAuthContext } from "../../context/AuthContext";
@@ -9,6 +10,11 @@ import { markOpened } from "../../services/draftInteractionsService";
 import ReminderDropdown from "./ContentDraftUI/DeliveryDropdown";
 import DeliveriesEmptyState from "./ContentDraftUI/DeliveriesEmptyState";
 import Spinner from "../../components/Ui/LoadingSpinner";
+import { showToast } from "../../components/ToastSystem/toastUtils";
+import remindrClient from "../../features/remindersystem/services/remindrClient";
+
+// failed runs stay retryable from the inbox for a week
+const RETRY_WINDOW_DAYS = 7;
 
 export default function Content() {
   const { currentUser } = useAuthContext();
@@ -17,6 +23,7 @@ export default function Content() {
   const [selectedDelivery, setSelectedDelivery] = useState(null);
   const [activeTab, setActiveTab] = useState("all");
   const [selectedReminderId, setSelectedReminderId] = useState("all");
+  const [retryingId, setRetryingId] = useState(null);
 
   const draftsQuery = useMemo(() => {
     if (!userId) return null;
@@ -27,11 +34,17 @@ export default function Content() {
   }, [userId]);
 
   const {
-    documents: drafts = [],
+    documents: allDrafts = [],
     isPending,
     error,
   } = useCollection(draftsQuery);
 
+  // prepared ahead of their slot (lead time) — held until deliverAt
+  const drafts = useMemo(
+    () => allDrafts.filter((d) => d.hidden !== true),
+    [allDrafts],
+  );
+
   const remindersQuery = useMemo(() => {
     if (!userId) return null;
     return collection(db, "users", userId, "reminders");
@@ -52,6 +65,61 @@ export default function Content() {
     return map;
   }, [reminders]);
 
+  const failedQuery = useMemo(() => {
+    if (!userId) return null;
+    const since = new Date(Date.now() - RETRY_WINDOW_DAYS * 86400000);
+    return query(
+      collection(db, "users", userId, "executions"),
+      where("status", "==", "failed"),
+      where("createdAt", ">=", since),
+    );
+  }, [userId]);
+
+  const { documents: failedExecutions = [] } = useCollection(failedQuery);
+
+  // scheduled failures nobody has retried yet — a retry's draft has retryOf
+  const retryableFailures = useMemo(() => {
+    const retried = new Set(drafts.map((d) => d.retryOf).filter(Boolean));
+    return failedExecutions
+      .filter((e) => e.trigger !== "manual" && !retried.has(e.id))
+      .filter((e) => reminderMap.has(e.reminderId));
+  }, [failedExecutions, drafts, reminderMap]);
+
+  const handleRetry = async (executionId) => {
+    setRetryingId(executionId);
+    try {
+      await remindrClient.regenerateDraft(userId, { executionId });
+      showToast({ type: "success", message: "Draft ready." });
+    } catch (err) {
+      showToast({
+        type: "error",
+        message:
+          err?.message === "draft_limit_reached"
+            ? "You've reached today's draft limit."
+            : err?.message === "global_cap_reached"
+              ? "Drafting is paused for today. Try again tomorrow."
+              : "Retry failed. Try again later.",
+      });
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  // every draft for the selected slot — the original plus its regenerations
+  const alternatives = useMemo(() => {
+    const selected = selectedDelivery?.draft;
+    if (!selected) return [];
+    return drafts
+      .filter(
+        (d) =>
+          d.reminderId === selected.reminderId &&
+          d.scheduledForUTC === selected.scheduledForUTC,
+      )
+      .sort(
+        (a, b) => (a.createdAt?.seconds ?? 0) - (b.createdAt?.seconds ?? 0),
+      );
+  }, [drafts, selectedDelivery]);
+
   const interactionMap = useMemo(() => {
     const map = new Map();
     interactions.forEach((i) => map.set(i.id, i));
@@ -229,6 +297,42 @@ export default function Content() {
           />
         </div>
 
+        {/* Failed runs */}
+        {retryableFailures.length > 0 && (
+          <div className="mb-5 space-y-2">
+            {retryableFailures.map((execution) => {
+              const reminder = reminderMap.get(execution.reminderId);
+              const title = truncate(
+                firstDefinedString(
+                  reminder?.content?.aiPrompt,
+                  reminder?.content?.message,
+                ) || "Untitled",
+              );
+              return (
+                <div
+                  key={execution.id}
+                  className="flex items-center gap-3 rounded-xl px-4 py-3 border border-red-300/40 dark:border-red-800/40 bg-red-50/50 dark:bg-red-900/10"
+                >
+                  <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />
+                  <p className="flex-1 min-w-0 text-sm text-textLight dark:text-textDark truncate">
+                    Couldn't prepare “{title}”
+                  </p>
+                  <button
+                    onClick={() => handleRetry(execution.id)}
+                    disabled={retryingId !== null}
+                    className="inline-flex items-center gap-1.5 text-sm font-medium text-brand hover:brightness-110 disabled:opacity-40"
+                  >
+                    <RefreshCw
+                      className={`w-3.5 h-3.5 ${retryingId === execution.id ? "animate-spin" : ""}`}
+                    />
+                    Retry
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
         {/* List */}
         {deliveryItems.length === 0 ? (
           <DeliveriesEmptyState
@@ -269,6 +373,7 @@ export default function Content() {
       {selectedDelivery && (
         <DraftModal
           draft={selectedDelivery}
+          alternatives={alternatives}
           onClose={() => setSelectedDelivery(null)}
         />
       )}
@@ -16,6 +16,8 @@ function formatFrequency(freq) {
   if (freq === "one_time") return "Once";
   if (freq === "daily") return "Daily";
   if (freq === "weekly") return "Weekly";
+  if (freq === "interval") return "Interval";
+  if (freq === "monthly") return "Monthly";
   return "—";
 }
 
@@ -6,18 +6,22 @@ import {
   ChevronDown,
   Pencil,
   FileText,
+  RefreshCw,
   SlidersHorizontal,
 } from "lucide-react";
 import { DateTime } from "luxon";
 import { useAuthContext } from "../../../context/AuthContext";
 import { markCopied } from "../../../services/draftInteractionsService";
 import { showToast } from "../../../components/ToastSystem/toastUtils";
+import remindrClient from "../../../features/remindersystem/services/remindrClient";
 
 const freqLabel = (raw) => {
   const map = {
     daily: "Every day",
     weekly: "Every week",
     one_time: "One time",
+    interval: "Every few days",
+    monthly: "Monthly",
   };
   return map[raw] || "One time";
 };
@@ -31,9 +35,13 @@ const PLATFORM_URLS = {
   linkedin: "https://www.linkedin.com/feed/",
 };
 
-export default function DraftDetailView({ draft: deliveryItem }) {
+export default function DraftDetailView({
+  draft: deliveryItem,
+  alternatives = [],
+}) {
   const [copied, setCopied] = useState(false);
   const [showMoreDetails, setShowMoreDetails] = useState(false);
+  const [regenerating, setRegenerating] = useState(false);
   const { currentUser } = useAuthContext();
   const uid = currentUser?.uid;
 
@@ -88,6 +96,37 @@ export default function DraftDetailView({ draft: deliveryItem }) {
     }
   };
 
+  // new draft lands next to this one (same slot) via the drafts snapshot
+  const handleRegenerate = async () => {
+    setRegenerating(true);
+    try {
+      await remindrClient.regenerateDraft(uid, { draftId: draft.id });
+      showToast({ type: "success", message: "New version ready below." });
+    } catch (err) {
+      showToast({
+        type: "error",
+        message:
+          err?.message === "draft_limit_reached"
+            ? "You've reached today's draft limit."
+            : err?.message === "global_cap_reached"
+              ? "Drafting is paused for today. Try again tomorrow."
+              : "Couldn't regenerate this draft. Try again.",
+      });
+    } finally {
+      setRegenerating(false);
+    }
+  };
+
+  const handleCopyAlternative = async (alt) => {
+    try {
+      await navigator.clipboard.writeText(alt.content);
+      markCopied({ uid, draftId: alt.id });
+      showToast({ type: "success", message: "Copied." });
+    } catch {
+      showToast({ type: "error", message: "Failed to copy. Try again." });
+    }
+  };
+
   return (
     <div className="flex flex-col h-full">
       {/* Header */}
@@ -110,6 +149,11 @@ export default function DraftDetailView({ draft: deliveryItem }) {
               <p className="text-xs text-muted uppercase tracking-wide">
                 Prompt
               </p>
+              {draft?.reminderVersion > 1 && (
+                <span className="text-xs text-muted">
+                  · v{draft.reminderVersion}
+                </span>
+              )}
             </div>
             <p className="text-sm sm:text-base text-textLight dark:text-textDark leading-normal">
               {prompt}
@@ -134,6 +178,47 @@ export default function DraftDetailView({ draft: deliveryItem }) {
           </p>
         </div>
 
+        {/* Every version of this slot, side by side */}
+        {alternatives.length > 1 && (
+          <div className="mt-5">
+            <div className="flex items-center gap-1.5 mb-3">
+              <RefreshCw className="w-3 h-3 text-muted" />
+              <p className="text-xs text-muted uppercase tracking-wide">
+                Alternatives ({alternatives.length})
+              </p>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {alternatives.map((alt, i) => (
+                <div
+                  key={alt.id}
+                  className={`rounded-xl px-3 py-3 border ${
+                    alt.id === draft.id
+                      ? "border-brand/40 bg-brand/5"
+                      : "border-border/20 bg-black/5 dark:bg-white/5"
+                  }`}
+                >
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-xs text-muted">
+                      {i === 0 ? "Original" : `Version ${i + 1}`}
+                      {alt.id === draft.id && " · viewing"}
+                    </p>
+                    <button
+                      onClick={() => handleCopyAlternative(alt)}
+                      className="text-muted hover:text-brand transition-colors"
+                      aria-label="Copy this version"
+                    >
+                      <Copy className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                  <p className="text-sm leading-relaxed whitespace-pre-wrap text-textLight dark:text-textDark line-clamp-[12]">
+                    {alt.content}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {(platform || tone || role || frequency) && (
           <div className="mt-4 pt-4 border-t border-border/10">
             <button
@@ -179,7 +264,17 @@ export default function DraftDetailView({ draft: deliveryItem }) {
       </div>
 
       {/* Action bar */}
-      <div className="px-5 sm:px-6 py-4 border-t border-border/10 bg-bgLight dark:bg-bgImpact">
+      <div className="px-5 sm:px-6 py-4 border-t border-border/10 bg-bgLight dark:bg-bgImpact space-y-2">
+        <button
+          onClick={handleRegenerate}
+          disabled={regenerating}
+          className="w-full inline-flex items-center justify-center gap-2 px-6 py-2 rounded-lg text-sm font-medium text-muted border border-border/40 hover:text-brand transition-colors duration-150 disabled:opacity-40"
+        >
+          <RefreshCw
+            className={`w-4 h-4 ${regenerating ? "animate-spin" : ""}`}
+          />
+          {regenerating ? "Regenerating…" : "Regenerate"}
+        </button>
         <motion.button
           onClick={handleCopy}
           disabled={copied}
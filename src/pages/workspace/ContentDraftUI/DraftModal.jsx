@@ -5,7 +5,7 @@ import { useAuthContext } from "../../../context/AuthContext";
 import { markDismissed } from "../../../services/draftInteractionsService";
 import DraftDetailView from "./DraftDetailView";
 
-export default function DraftModal({ draft, onClose }) {
+export default function DraftModal({ draft, alternatives, onClose }) {
   const { currentUser } = useAuthContext();
   const uid = currentUser?.uid;
 
@@ -70,7 +70,7 @@ export default function DraftModal({ draft, onClose }) {
 
           {/* Scroll container — only one max-h here */}
           <div className="overflow-y-auto max-h-[90vh] sm:max-h-[85vh]">
-            <DraftDetailView draft={draft} />
+            <DraftDetailView draft={draft} alternatives={alternatives} />
           </div>
         </motion.div>
       </div>
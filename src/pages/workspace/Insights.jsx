@@ -4,6 +4,7 @@ import TimeOfDayChart from "../../pages/workspace/InsightsUI/Charts/TimeOfDayCha
 import PlatformFocusChart from "../../pages/workspace/InsightsUI/Charts/PlatformFocusChart";
 import EngagementMixChart from "../../pages/workspace/InsightsUI/Charts/EngagementMixChart";
 import ActiveRemindersChart from "../../pages/workspace/InsightsUI/Charts/ActiveRemindersChart";
+import AIUsageChart from "../../pages/workspace/InsightsUI/Charts/AIUsageChart";
 import { Loader2, AlertCircle, BarChart3 } from "lucide-react";
 
 export default function Insights() {
@@ -88,6 +89,8 @@ export default function Insights() {
           activeCount={activeCount}
           totalReminders={totalReminders}
         />
+
+        <AIUsageChart uid={user?.uid} reminders={reminders} />
       </div>
     </div>
   );
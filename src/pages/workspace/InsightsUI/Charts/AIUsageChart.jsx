@@ -0,0 +1,127 @@
+import { useMemo } from "react";
+import { Coins } from "lucide-react";
+import useAIUsage from "../../../../features/remindersystem/hooks/useAIUsage";
+
+const formatCost = (usd) => `$${usd.toFixed(usd > 0 && usd < 1 ? 4 : 2)}`;
+
+const sortByCost = (slices) =>
+  Object.entries(slices)
+    .map(([id, s]) => ({ id, ...s }))
+    .sort((a, b) => b.costUSD - a.costUSD || b.calls - a.calls);
+
+function SliceList({ title, rows, labelFor }) {
+  if (rows.length === 0) return null;
+
+  return (
+    <div>
+      <p className="text-xs font-medium text-gray-400 mb-2">{title}</p>
+      <ul className="space-y-1.5">
+        {rows.map((row) => (
+          <li
+            key={row.id}
+            className="flex items-center justify-between gap-3 text-xs"
+          >
+            <span className="truncate text-gray-300">{labelFor(row.id)}</span>
+            <span className="shrink-0 text-gray-500">
+              {row.calls} · {formatCost(row.costUSD)}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// spend per day, per platform and per prompt — from the backend's daily
+// cost rollups
+export default function AIUsageChart({ uid, reminders }) {
+  const { days, summary, loading, windowDays } = useAIUsage(uid);
+
+  const reminderLabel = useMemo(() => {
+    const map = new Map(
+      (reminders || []).map((r) => [
+        r.id,
+        r.content?.aiPrompt || r.content?.message || "Untitled prompt",
+      ]),
+    );
+    return (id) => map.get(id) || "Deleted prompt";
+  }, [reminders]);
+
+  // oldest → newest for the bars
+  const daily = useMemo(() => [...days].reverse(), [days]);
+  const maxDayCost = Math.max(...daily.map((d) => d.costUSD || 0), 0);
+
+  return (
+    <div className="bg-gray-900 border border-gray-800 rounded-lg p-6 hover:border-gray-700 transition-colors lg:col-span-2">
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <div className="flex items-center gap-2 mb-1">
+            <Coins className="h-4 w-4 text-purple-500" />
+            <h3 className="text-sm font-semibold text-white">AI Usage</h3>
+          </div>
+          <p className="text-xs text-gray-500">Last {windowDays} days (UTC)</p>
+        </div>
+        <div className="text-right">
+          <p className="text-2xl font-bold text-white">
+            {formatCost(summary.costUSD)}
+          </p>
+          <p className="text-xs text-gray-500">
+            {summary.calls} drafts · {summary.tokens.toLocaleString()} tokens
+          </p>
+        </div>
+      </div>
+
+      {!loading && days.length === 0 ? (
+        <div className="text-center py-12">
+          <p className="text-sm text-gray-500">No AI usage yet</p>
+          <p className="text-xs text-gray-600 mt-1">
+            Spend shows up here after your first AI draft
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="flex items-end gap-1 h-24 mb-1">
+            {daily.map((d) => (
+              <div
+                key={d.date}
+                title={`${d.date}: ${d.calls || 0} drafts · ${formatCost(d.costUSD || 0)}`}
+                className="flex-1 bg-purple-500/80 rounded-sm min-h-[2px]"
+                style={{
+                  height: `${maxDayCost > 0 ? ((d.costUSD || 0) / maxDayCost) * 100 : 0}%`,
+                }}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between text-[10px] text-gray-600 mb-6">
+            <span>{daily[0]?.date}</span>
+            <span>{daily[daily.length - 1]?.date}</span>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+            <SliceList
+              title="By prompt"
+              rows={sortByCost(summary.byReminder)}
+              labelFor={reminderLabel}
+            />
+            <SliceList
+              title="By platform"
+              rows={sortByCost(summary.byPlatform)}
+              labelFor={(id) =>
+                id === "none"
+                  ? "No platform"
+                  : id.charAt(0).toUpperCase() + id.slice(1)
+              }
+            />
+          </div>
+
+          {summary.unpricedCalls > 0 && (
+            <p className="text-[11px] text-gray-600 mt-4">
+              {summary.unpricedCalls} drafts came from a model without a known
+              price and aren't included in the total.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -91,7 +91,11 @@ const Overview = () => {
           hasError={!!remindersError}
         />
 
-        <NextDeliveryPanel next={next} />
+        <NextDeliveryPanel
+          next={next}
+          vacation={currentUser?.vacation}
+          timezone={currentUser?.timezone}
+        />
       </div>
     </PageTransition>
   );
@@ -1,12 +1,22 @@
 import React, { useState, useEffect } from "react";
-import { Clock, ArrowRight } from "lucide-react";
+import { Clock, ArrowRight, Palmtree } from "lucide-react";
 import { Link } from "react-router-dom";
+import { DateTime } from "luxon";
+import toast from "react-hot-toast";
 import LoadingDots from "../../../components/Ui/LoadingDots";
+import { useAuthContext } from "../../../context/AuthContext";
+import remindrClient from "../../../features/remindersystem/services/remindrClient";
+import {
+  vacationCovering,
+  SNOOZE_HOUR_OPTIONS,
+} from "../../../features/remindersystem/utils/scheduleUtils";
 
 const FREQUENCY_LABELS = {
   daily: "Every day",
   weekly: "Every week",
   one_time: "One time",
+  interval: "Every few days",
+  monthly: "Monthly",
 };
 
 function formatLabels(isoString, timezone) {
@@ -59,14 +69,68 @@ function getDelayState(nextRunAtUTC) {
   return "normal";
 }
 
-const NextDeliveryPanel = ({ next }) => {
+// shown in place of the next draft while vacation mode covers today
+const VacationPausedPanel = ({ vacation }) => (
+  <section className="w-full border-t border-border pt-8 mt-6 space-y-4">
+    <p className="text-xs uppercase tracking-wider text-brand">
+      Delivery paused
+    </p>
+    <div className="flex items-center gap-2">
+      <Palmtree className="w-4 h-4 text-muted flex-shrink-0" />
+      <p className="text-xl font-semibold text-textLight dark:text-textDark tracking-tight">
+        On vacation until {DateTime.fromISO(vacation.endDate).toFormat("MMM d")}
+      </p>
+    </div>
+    <p className="text-sm text-textLight/70 dark:text-textDark/70">
+      No drafts are prepared until then — everything resumes on its own.{" "}
+      <Link
+        to="/workspace/settings/preferences"
+        className="underline text-muted hover:text-brand"
+      >
+        Vacation settings
+      </Link>
+    </p>
+  </section>
+);
+
+const NextDeliveryPanel = ({ next, vacation, timezone }) => {
+  const { currentUser } = useAuthContext();
   const [, setTick] = useState(0);
+  const [busy, setBusy] = useState(false);
 
   useEffect(() => {
     const interval = setInterval(() => setTick((t) => t + 1), 60000);
     return () => clearInterval(interval);
   }, []);
 
+  const activeVacation = vacationCovering(
+    new Date().toISOString(),
+    vacation,
+    timezone,
+  );
+
+  // the reminders snapshot moves the panel on to the new next draft
+  const changeNext = async (action, successMessage) => {
+    if (!currentUser?.uid || !next?.id) return;
+    setBusy(true);
+    try {
+      await action(currentUser.uid, next.id);
+      toast.success(successMessage);
+    } catch (err) {
+      if (err?.message === "snooze_past_next_run") {
+        toast.error("That runs into the next draft — skip this one instead.");
+      } else {
+        toast.error("Couldn't update the next draft. Try again.");
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (activeVacation) {
+    return <VacationPausedPanel vacation={activeVacation} />;
+  }
+
   if (!next) {
     return (
       <section className="w-full border-t justify-center grid border-border pt-8 mt-6 space-y-5">
@@ -114,6 +178,14 @@ const NextDeliveryPanel = ({ next }) => {
 
   const delayState = getDelayState(next.nextRunAtUTC);
 
+  // next run lands inside an upcoming vacation — skipped, or moved to
+  // the day after when it's a one-time
+  const skippedByVacation = vacationCovering(
+    next.nextRunAtUTC,
+    vacation,
+    next.schedule?.timezone || timezone,
+  );
+
   return (
     <section className="w-full border-t border-border pt-8 mt-6 space-y-6">
       <div className="space-y-4">
@@ -162,6 +234,22 @@ const NextDeliveryPanel = ({ next }) => {
           </p>
         )}
 
+        {skippedByVacation &&
+          (next.frequency === "one_time" ? (
+            <p className="text-sm text-textLight/70 dark:text-textDark/70">
+              Falls in your vacation — moves to{" "}
+              {DateTime.fromISO(skippedByVacation.endDate)
+                .plus({ days: 1 })
+                .toFormat("MMM d")}
+              .
+            </p>
+          ) : (
+            <p className="text-sm text-textLight/70 dark:text-textDark/70">
+              Falls in your vacation — skipped, back after{" "}
+              {DateTime.fromISO(skippedByVacation.endDate).toFormat("MMM d")}.
+            </p>
+          ))}
+
         {delayState === "long_delay" && (
           <p className="text-sm text-textLight/70 dark:text-textDark/70">
             Taking longer than usual{" "}
@@ -172,6 +260,48 @@ const NextDeliveryPanel = ({ next }) => {
           </p>
         )}
 
+        {next.snoozedFromUTC && (
+          <p className="text-sm text-textLight/70 dark:text-textDark/70">
+            Snoozed — originally{" "}
+            {formatLabels(next.snoozedFromUTC, next.schedule?.timezone).timeStr}
+          </p>
+        )}
+
+        {delayState === "normal" && !skippedByVacation && (
+          <div className="flex items-center gap-3 text-sm">
+            <button
+              onClick={() =>
+                changeNext(
+                  remindrClient.skipNextOccurrence,
+                  "Next draft skipped.",
+                )
+              }
+              disabled={busy}
+              className="text-muted hover:text-brand transition-colors disabled:opacity-40"
+            >
+              Skip this one
+            </button>
+            <span className="text-muted">·</span>
+            <span className="text-muted">Snooze</span>
+            {SNOOZE_HOUR_OPTIONS.map((hours) => (
+              <button
+                key={hours}
+                onClick={() =>
+                  changeNext(
+                    (uid, id) =>
+                      remindrClient.snoozeNextOccurrence(uid, id, hours),
+                    `Next draft snoozed ${hours}h.`,
+                  )
+                }
+                disabled={busy}
+                className="text-muted hover:text-brand transition-colors disabled:opacity-40"
+              >
+                +{hours}h
+              </button>
+            ))}
+          </div>
+        )}
+
         <div className="flex items-center gap-3 text-xs text-textLight/80 dark:text-textDark/80">
           {freqLabel && <span>{freqLabel}</span>}
           {platformLabel && (
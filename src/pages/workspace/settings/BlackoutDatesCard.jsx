@@ -0,0 +1,65 @@
+import React, { useState } from "react";
+import { doc, updateDoc } from "firebase/firestore";
+import { CalendarOff, Loader2 } from "lucide-react";
+import { db } from "../../../services/firebase";
+import { useAuthContext } from "../../../context/AuthContext";
+import { showToast } from "../../../components/ToastSystem/toastUtils";
+import DateListInput from "../../../components/Ui/DateListInput";
+import { MAX_BLACKOUT_DATES } from "../../../features/remindersystem/utils/scheduleUtils";
+
+// user-level skip list — every recurring draft skips these days
+const BlackoutDatesCard = () => {
+  const { currentUser } = useAuthContext();
+  const [isSaving, setIsSaving] = useState(false);
+
+  // profile is a live snapshot, so the list updates itself after each save
+  const blackoutDates = Array.isArray(currentUser?.blackoutDates)
+    ? currentUser.blackoutDates
+    : [];
+
+  const handleChange = async (next) => {
+    if (!currentUser?.uid) return;
+    setIsSaving(true);
+    try {
+      await updateDoc(doc(db, "users", currentUser.uid), {
+        blackoutDates: next,
+      });
+    } catch {
+      showToast({ type: "error", message: "Failed to update blackout dates." });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 bg-white dark:bg-bgDark border border-gray-200 dark:border-white/[0.08] rounded-xl overflow-hidden">
+      <div className="px-5 py-5">
+        <div className="flex items-center gap-2 mb-1">
+          <CalendarOff
+            size={15}
+            className="text-textLight/80 dark:text-textDark/80"
+          />
+          <h3 className="text-xl font-semibold text-textLight dark:text-textDark font-grotesk">
+            Blackout Dates
+          </h3>
+          {isSaving && (
+            <Loader2 size={14} className="animate-spin text-muted" />
+          )}
+        </div>
+        <p className="text-sm text-textLight/80 dark:text-textDark/80 font-inter mb-3">
+          Holidays or days off. Repeating drafts skip these dates and pick up
+          again on the next one.
+        </p>
+        <DateListInput
+          id="blackout-dates"
+          value={blackoutDates}
+          onChange={handleChange}
+          max={MAX_BLACKOUT_DATES}
+          disabled={isSaving}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default BlackoutDatesCard;
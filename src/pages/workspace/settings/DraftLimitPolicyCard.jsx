@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from "react";
+import { doc, updateDoc } from "firebase/firestore";
+import { ListOrdered, ChevronUp, ChevronDown, Loader2 } from "lucide-react";
+import { db } from "../../../services/firebase";
+import { useAuthContext } from "../../../context/AuthContext";
+import { showToast } from "../../../components/ToastSystem/toastUtils";
+
+// mirrors functions/src/utils/deferral.ts
+const MAX_PRIORITY_ENTRIES = 50;
+
+const POLICIES = [
+  { value: "skip", label: "Skip them" },
+  { value: "defer", label: "Save them for after midnight" },
+];
+
+const optionClass = (selected) =>
+  `px-3 py-1.5 rounded-md text-sm font-medium border ${
+    selected
+      ? "border-brand text-brand bg-brand/10"
+      : "border-gray-300 dark:border-gray-700 text-muted hover:text-textLight dark:hover:text-textDark"
+  }`;
+
+// what happens to drafts blocked by the daily limit, and who goes first
+const DraftLimitPolicyCard = () => {
+  const { currentUser, reminders } = useAuthContext();
+  const [isSaving, setIsSaving] = useState(false);
+
+  const policy = currentUser?.limitPolicy === "defer" ? "defer" : "skip";
+  const priority = currentUser?.reminderPriority;
+
+  // ranked ids first, then everything unranked in list order
+  const ranked = useMemo(() => {
+    const order = Array.isArray(priority) ? priority : [];
+    const rank = (id) => {
+      const i = order.indexOf(id);
+      return i === -1 ? order.length : i;
+    };
+    return (reminders || [])
+      .filter(
+        (r) =>
+          r.reminderType === "ai" &&
+          !r.deletedAt &&
+          (r.enabled !== false || r.pausedAt),
+      )
+      .map((r, i) => ({ r, i }))
+      .sort((a, b) => rank(a.r.id) - rank(b.r.id) || a.i - b.i)
+      .map(({ r }) => r);
+  }, [reminders, priority]);
+
+  const write = async (fields) => {
+    if (!currentUser?.uid) return;
+    setIsSaving(true);
+    try {
+      await updateDoc(doc(db, "users", currentUser.uid), fields);
+    } catch {
+      showToast({ type: "error", message: "Failed to update draft limit." });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const move = (index, delta) => {
+    const ids = ranked.map((r) => r.id);
+    const [moved] = ids.splice(index, 1);
+    ids.splice(index + delta, 0, moved);
+    write({ reminderPriority: ids.slice(0, MAX_PRIORITY_ENTRIES) });
+  };
+
+  return (
+    <div className="mt-4 bg-white dark:bg-bgDark border border-gray-200 dark:border-white/[0.08] rounded-xl overflow-hidden">
+      <div className="px-5 py-5">
+        <div className="flex items-center gap-2 mb-1">
+          <ListOrdered
+            size={15}
+            className="text-textLight/80 dark:text-textDark/80"
+          />
+          <h3 className="text-xl font-semibold text-textLight dark:text-textDark font-grotesk">
+            When Drafts Run Out
+          </h3>
+          {isSaving && (
+            <Loader2 size={14} className="animate-spin text-muted" />
+          )}
+        </div>
+        <p className="text-sm text-textLight/80 dark:text-textDark/80 font-inter mb-3">
+          Drafts due after you've used today's AI drafts can be skipped, or
+          saved and prepared right after your limit resets at midnight.
+        </p>
+
+        <div className="flex flex-wrap gap-2">
+          {POLICIES.map((p) => (
+            <button
+              key={p.value}
+              type="button"
+              onClick={() => write({ limitPolicy: p.value })}
+              disabled={isSaving || policy === p.value}
+              aria-pressed={policy === p.value}
+              className={optionClass(policy === p.value)}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+
+        {policy === "defer" && ranked.length > 1 && (
+          <div className="mt-4">
+            <p className="text-xs text-muted mb-2">
+              Saved drafts are prepared in this order — the top ones get the new
+              day's drafts first.
+            </p>
+            <ol className="flex flex-col gap-1">
+              {ranked.map((r, i) => (
+                <li
+                  key={r.id}
+                  className="flex items-center gap-2 rounded-md border border-gray-200 dark:border-white/[0.08] px-2 py-1.5 text-sm"
+                >
+                  <span className="w-5 text-xs text-muted">{i + 1}.</span>
+                  <span className="flex-1 truncate text-textLight dark:text-textDark">
+                    {r.content?.aiPrompt || "No prompt provided."}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => move(i, -1)}
+                    disabled={isSaving || i === 0}
+                    aria-label="Move up"
+                    className="text-muted hover:text-brand disabled:opacity-30"
+                  >
+                    <ChevronUp size={16} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => move(i, 1)}
+                    disabled={isSaving || i === ranked.length - 1}
+                    aria-label="Move down"
+                    className="text-muted hover:text-brand disabled:opacity-30"
+                  >
+                    <ChevronDown size={16} />
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DraftLimitPolicyCard;
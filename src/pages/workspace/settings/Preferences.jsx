@@ -4,6 +4,9 @@ import { db } from "../../../services/firebase";
 import { useAuthContext } from "../../../context/AuthContext";
 import { showToast } from "../../../components/ToastSystem/toastUtils";
 import SettingsSkeleton from "./SettingsSkeleton";
+import BlackoutDatesCard from "./BlackoutDatesCard";
+import VacationCard from "./VacationCard";
+import DraftLimitPolicyCard from "./DraftLimitPolicyCard";
 import {
   Loader2,
   CheckCircle,
@@ -371,6 +374,10 @@ const Preferences = () => {
           </div>
         </div>
       </div>
+
+      <VacationCard />
+      <BlackoutDatesCard />
+      <DraftLimitPolicyCard />
     </div>
   );
 };
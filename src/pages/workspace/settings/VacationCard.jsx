@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from "react";
+import { doc, updateDoc } from "firebase/firestore";
+import { DateTime } from "luxon";
+import { Palmtree, Loader2 } from "lucide-react";
+import { db } from "../../../services/firebase";
+import { useAuthContext } from "../../../context/AuthContext";
+import { showToast } from "../../../components/ToastSystem/toastUtils";
+import { parseVacation } from "../../../features/remindersystem/utils/scheduleUtils";
+
+const inputClass =
+  "w-full rounded-md border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 p-2 text-sm focus:ring-brand focus:border-brand disabled:opacity-50";
+
+const formatDay = (d) => DateTime.fromISO(d).toFormat("MMM d, yyyy");
+
+// account-wide "away from … to …" — recurring drafts in the range are skipped,
+// one-time drafts move to the day after
+const VacationCard = () => {
+  const { currentUser } = useAuthContext();
+  const saved = parseVacation(currentUser?.vacation);
+
+  const [startDate, setStartDate] = useState(saved?.startDate || "");
+  const [endDate, setEndDate] = useState(saved?.endDate || "");
+  const [isSaving, setIsSaving] = useState(false);
+
+  // keep the inputs in step with the live profile snapshot
+  useEffect(() => {
+    setStartDate(saved?.startDate || "");
+    setEndDate(saved?.endDate || "");
+  }, [saved?.startDate, saved?.endDate]);
+
+  const today = DateTime.now()
+    .setZone(currentUser?.timezone || DateTime.local().zoneName)
+    .toISODate();
+  const isActive = saved && saved.startDate <= today && saved.endDate >= today;
+  const isPast = saved && saved.endDate < today;
+
+  const canSave =
+    startDate &&
+    endDate &&
+    endDate >= startDate &&
+    (startDate !== saved?.startDate || endDate !== saved?.endDate);
+
+  const write = async (vacation) => {
+    if (!currentUser?.uid) return;
+    setIsSaving(true);
+    try {
+      await updateDoc(doc(db, "users", currentUser.uid), { vacation });
+      showToast({
+        type: "success",
+        message: vacation ? "Vacation saved." : "Vacation mode turned off.",
+      });
+    } catch {
+      showToast({ type: "error", message: "Failed to update vacation." });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 bg-white dark:bg-bgDark border border-gray-200 dark:border-white/[0.08] rounded-xl overflow-hidden">
+      <div className="px-5 py-5">
+        <div className="flex items-center gap-2 mb-1">
+          <Palmtree
+            size={15}
+            className="text-textLight/80 dark:text-textDark/80"
+          />
+          <h3 className="text-xl font-semibold text-textLight dark:text-textDark font-grotesk">
+            Vacation Mode
+          </h3>
+          {isSaving && (
+            <Loader2 size={14} className="animate-spin text-muted" />
+          )}
+        </div>
+        <p className="text-sm text-textLight/80 dark:text-textDark/80 font-inter mb-3">
+          Away for a while? No drafts are prepared between these dates, and
+          everything picks up again on its own afterwards.
+        </p>
+
+        {saved && !isPast && (
+          <p className="text-sm font-medium text-brand mb-3">
+            {isActive
+              ? `On vacation until ${formatDay(saved.endDate)}`
+              : `Scheduled: ${formatDay(saved.startDate)} – ${formatDay(saved.endDate)}`}
+          </p>
+        )}
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label
+              htmlFor="vacation-start"
+              className="block text-xs text-muted mb-1"
+            >
+              From
+            </label>
+            <input
+              id="vacation-start"
+              type="date"
+              value={startDate}
+              min={today}
+              onChange={(e) => setStartDate(e.target.value)}
+              disabled={isSaving}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="vacation-end"
+              className="block text-xs text-muted mb-1"
+            >
+              Until
+            </label>
+            <input
+              id="vacation-end"
+              type="date"
+              value={endDate}
+              min={startDate || today}
+              onChange={(e) => setEndDate(e.target.value)}
+              disabled={isSaving}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center gap-2 mt-4">
+          <button
+            type="button"
+            onClick={() => write({ startDate, endDate })}
+            disabled={isSaving || !canSave}
+            className="px-3 py-1.5 rounded-md text-sm font-medium border border-brand text-brand bg-brand/10 disabled:opacity-40"
+          >
+            Save
+          </button>
+          {saved && (
+            <button
+              type="button"
+              onClick={() => write(null)}
+              disabled={isSaving}
+              className="px-3 py-1.5 rounded-md text-sm font-medium text-muted hover:text-textLight dark:hover:text-textDark disabled:opacity-40"
+            >
+              Turn off
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VacationCard;